@@ -0,0 +1,126 @@
+// browserSession.js
+// Browser launch, session check and profile navigation shared by the drafter and its tools
+require('dotenv').config();
+const { chromium } = require('playwright');
+const { FAILURE_CODES, createFailure } = require('./failureCodes');
+const { validateUsername } = require('./usernameUtils');
+const { openDMController } = require('./dmFlowController');
+const { detectExistingConversation } = require('./conversationDetector');
+const { readThreadMessages } = require('./conversationTools');
+const { humanDelay } = require('./utils');
+const logger = require('./logger');
+
+/**
+ * Initializes browser with persistent context
+ * @returns {Promise<Object>} { browser } - Browser context (no page created)
+ */
+async function initializeBrowser() {
+  logger.info('Launching browser with persistent context...');
+  
+  const browser = await chromium.launchPersistentContext('./browser-data', {
+    headless: false,
+    viewport: { width: 1200, height: 800 },
+    args: ['--disable-blink-features=AutomationControlled']
+  });
+  
+  logger.success('Browser launched successfully');
+  
+  return { browser };
+}
+
+/**
+ * Navigates to a user's Instagram profile page
+ * @param {Object} page - Playwright page object
+ * @param {string} username - Instagram username to navigate to
+ */
+async function navigateToProfile(page, username) {
+  const usernameError = validateUsername(username);
+  if (usernameError) {
+    throw createFailure(FAILURE_CODES.INVALID_USERNAME, `Invalid username "${username}": ${usernameError}`);
+  }
+
+  const profileUrl = `https://www.instagram.com/${username}/`;
+  logger.info(`Navigating to profile: ${profileUrl}`);
+  
+  await page.goto(profileUrl, { waitUntil: 'domcontentloaded' });
+  await humanDelay(1500, 2500);
+  
+  // Check if redirected to login page
+  const loginInput = await page.$('input[name="username"]');
+  if (loginInput) {
+    throw createFailure(FAILURE_CODES.NOT_LOGGED_IN, 'Not logged in - redirected to login page. Run loginSeeder.js first.');
+  }
+  
+  // Deleted, renamed or banned accounts show Instagram's "page isn't available" screen
+  const unavailable = await page.getByText("Sorry, this page isn't available").count();
+  if (unavailable > 0) {
+    throw createFailure(FAILURE_CODES.ACCOUNT_NOT_FOUND, `Account not found: ${profileUrl} is not available`);
+  }
+  
+  logger.success(`Successfully navigated to ${username}'s profile`);
+}
+
+/**
+ * Launches the browser on first use and verifies the Instagram session.
+ * The browser is shared by every campaign in the run.
+ *
+ * @param {Object} session - Run state ({ browser })
+ * @returns {Promise<Object>} Browser context
+ * @throws {Error} If the browser cannot start or the session is not logged in
+ */
+async function ensureBrowser(session) {
+  if (session.browser) {
+    return session.browser;
+  }
+
+  logger.section('Browser Initialization');
+  const browserResult = await initializeBrowser();
+  session.browser = browserResult.browser;
+
+  // Verify login with a temporary page (will be closed)
+  const tempPage = await session.browser.newPage();
+  await tempPage.goto('https://www.instagram.com/', { waitUntil: 'domcontentloaded' });
+  await humanDelay(2000, 3000);
+
+  const loginInput = await tempPage.$('input[name="username"]');
+  if (loginInput) {
+    await tempPage.close();
+    throw new Error('Not logged in. Please run loginSeeder.js first to establish session.');
+  }
+
+  // Close the temporary verification page
+  await tempPage.close();
+  logger.success('Browser initialized and session verified');
+
+  return session.browser;
+}
+
+/**
+ * Opens a user's DM thread and reads it with both conversation detectors.
+ *
+ * @param {Object} page - Playwright page object
+ * @param {string} username - Instagram username
+ * @returns {Promise<{ thread: Object, hasConversation: boolean }>} readThreadMessages() result
+ *   and detectExistingConversation() verdict
+ * @throws {Error} If the profile or its DM thread cannot be opened (with a failure code)
+ */
+async function openThread(page, username) {
+  await navigateToProfile(page, username);
+
+  const dmResult = await openDMController(page);
+  if (!dmResult.success) {
+    throw createFailure(dmResult.code, `Failed to open DM: ${dmResult.error || 'Unknown error'}`);
+  }
+  await humanDelay(1000, 2000);
+
+  const thread = await readThreadMessages(page);
+  const conversation = await detectExistingConversation(page);
+  return { thread, hasConversation: conversation.hasConversation };
+}
+
+module.exports = {
+  initializeBrowser,
+  ensureBrowser,
+  navigateToProfile,
+  openThread,
+};
@@ -0,0 +1,247 @@
+// campaigns.js
+// Named campaigns, each with its own sheet, selection, template and limits
+//
+// A campaign overrides the matching .env settings for the duration of its run,
+// so every module keeps reading its configuration from process.env.
+require('dotenv').config();
+const fs = require('fs');
+const { flushWrites } = require('./sheetsManager');
+
+/**
+ * Campaign fields and the environment variable each one overrides.
+ * Fields left out of a campaign keep their .env value.
+ */
+const CAMPAIGN_FIELDS = {
+  sheetId: 'GOOGLE_SHEET_ID',
+  sheet: 'GOOGLE_SHEET_NAME',
+  storagePath: 'STORAGE_PATH',
+  filter: 'FILTER',
+  activateStatus: 'ACTIVATE_STATUS',
+  sourceMode: 'SOURCE_MODE',
+  template: 'DRAFT_MESSAGE',
+  sourceMessages: 'SOURCE_MESSAGES',
+  followUpTemplate: 'FOLLOW_UP_MESSAGE',
+  variants: 'MESSAGE_VARIANTS_PATH',
+  maxDraft: 'MAX_DRAFT',
+  maxProcess: 'MAX_PROCCESS',
+};
+
+/**
+ * Environment variables of a campaign's own message. A campaign setting one
+ * of them without sourceMessages does not inherit the .env SOURCE_MESSAGES,
+ * which would otherwise take precedence over its message.
+ */
+const MESSAGE_FIELDS = ['DRAFT_MESSAGE', 'MESSAGE_VARIANTS_PATH'];
+
+/**
+ * Campaign used when no --campaign flag is given: the .env settings as they are
+ */
+const DEFAULT_CAMPAIGN = { name: 'default', env: {} };
+
+/**
+ * .env values replaced by the campaign currently running, keyed by variable
+ */
+const baseEnv = {};
+
+/**
+ * Returns the campaigns file path (CAMPAIGNS_PATH, defaults to ./campaigns.json).
+ *
+ * @returns {string} Campaigns file path
+ */
+function getCampaignsPath() {
+  return process.env.CAMPAIGNS_PATH || './campaigns.json';
+}
+
+/**
+ * Loads the campaigns file: a JSON array of campaign objects, e.g.
+ *   [{ "name": "spring", "sheet": "Spring Leads", "filter": "status = New",
+ *      "template": "Hey! ...", "maxDraft": 10, "maxProcess": 50 }]
+ * sourceMessages is an object like SOURCE_MESSAGES (or its JSON string).
+ *
+ * @param {string} [filePath] - Campaigns file (defaults to getCampaignsPath())
+ * @returns {Array<{ name: string, env: Object<string, string>, dropsSourceMessages: boolean }>}
+ *   Campaigns with their env overrides (dropsSourceMessages is true when the .env
+ *   SOURCE_MESSAGES was left out for the campaign's own message, not by the campaign)
+ * @throws {Error} If the file is missing, not valid JSON, or a campaign is malformed
+ */
+function loadCampaigns(filePath = getCampaignsPath()) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Campaigns file not found: ${filePath}. Set CAMPAIGNS_PATH or create the file.`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (parseError) {
+    throw new Error(`Failed to parse campaigns file ${filePath}: ${parseError.message}`);
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error(`Invalid campaigns file ${filePath}: expected a non-empty JSON array of campaigns`);
+  }
+
+  const names = new Set();
+
+  return parsed.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Invalid campaign at position ${index + 1} in ${filePath}: expected an object`);
+    }
+
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      throw new Error(`Invalid campaign at position ${index + 1} in ${filePath}: "name" is required`);
+    }
+    if (name.toLowerCase() === 'all') {
+      throw new Error(`Invalid campaign name "${name}" in ${filePath}: "all" selects every campaign`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate campaign name "${name}" in ${filePath}`);
+    }
+    names.add(name);
+
+    const env = {};
+    for (const [field, value] of Object.entries(entry)) {
+      if (field === 'name') {
+        continue;
+      }
+
+      if (!CAMPAIGN_FIELDS[field]) {
+        throw new Error(
+          `Unknown field "${field}" in campaign "${name}". ` +
+          `Valid fields: name, ${Object.keys(CAMPAIGN_FIELDS).join(', ')}`
+        );
+      }
+
+      if (field === 'sourceMessages' && value && typeof value === 'object' && !Array.isArray(value)) {
+        env[CAMPAIGN_FIELDS[field]] = JSON.stringify(value);
+        continue;
+      }
+
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`Campaign "${name}": "${field}" must be ${field === 'sourceMessages' ? 'an object or JSON string' : 'a string or number'}`);
+      }
+
+      env[CAMPAIGN_FIELDS[field]] = String(value);
+    }
+
+    const dropsSourceMessages = env.SOURCE_MESSAGES === undefined && MESSAGE_FIELDS.some(key => env[key] !== undefined);
+    if (dropsSourceMessages) {
+      env.SOURCE_MESSAGES = '';
+    }
+
+    return { name, env, dropsSourceMessages };
+  });
+}
+
+/**
+ * Reads the campaign names passed with --campaign (repeatable and/or comma-separated).
+ *
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Array<string>} Requested campaign names (empty if none)
+ */
+function parseCampaignArgs(argv) {
+  const names = [];
+
+  argv.forEach((arg, index) => {
+    let value = null;
+    if (arg === '--campaign') {
+      value = argv[index + 1] || '';
+    } else if (arg.startsWith('--campaign=')) {
+      value = arg.slice('--campaign='.length);
+    }
+
+    if (value !== null) {
+      names.push(...value.split(',').map(name => name.trim()).filter(Boolean));
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Picks the requested campaigns, in the order they were requested.
+ * "all" selects every campaign in file order.
+ *
+ * @param {Array<Object>} campaigns - Campaigns from loadCampaigns()
+ * @param {Array<string>} names - Requested campaign names
+ * @returns {Array<Object>} Selected campaigns
+ * @throws {Error} If a name does not match any campaign
+ */
+function selectCampaigns(campaigns, names) {
+  if (names.some(name => name.toLowerCase() === 'all')) {
+    return campaigns;
+  }
+
+  const selected = [];
+  for (const name of names) {
+    const campaign = campaigns.find(candidate => candidate.name === name);
+    if (!campaign) {
+      throw new Error(`Unknown campaign "${name}". Campaigns in ${getCampaignsPath()}: ${campaigns.map(c => c.name).join(', ')}`);
+    }
+    if (!selected.includes(campaign)) {
+      selected.push(campaign);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Runs fn with the campaign's settings applied to process.env, then flushes
+ * the campaign's queued sheet writes and restores the previous values.
+ * Queued writes address rows of the campaign's sheet, so they must be
+ * written out before another campaign's settings take effect.
+ *
+ * @param {Object} campaign - Campaign ({ name, env })
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withCampaignEnv(campaign, fn) {
+  const previous = {};
+  for (const [key, value] of Object.entries(campaign.env)) {
+    previous[key] = process.env[key];
+    if (!(key in baseEnv)) {
+      baseEnv[key] = process.env[key];
+    }
+    process.env[key] = value;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      await flushWrites();
+    } finally {
+      for (const [key, value] of Object.entries(previous)) {
+        delete baseEnv[key];
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Returns an environment variable as set in .env, ignoring the override of
+ * the campaign currently running (for settings shared by every campaign).
+ *
+ * @param {string} key - Environment variable name
+ * @returns {string|undefined} Value outside any campaign
+ */
+function getBaseEnv(key) {
+  return key in baseEnv ? baseEnv[key] : process.env[key];
+}
+
+module.exports = {
+  CAMPAIGN_FIELDS,
+  DEFAULT_CAMPAIGN,
+  getBaseEnv,
+  getCampaignsPath,
+  loadCampaigns,
+  parseCampaignArgs,
+  selectCampaigns,
+  withCampaignEnv,
+};
@@ -0,0 +1,219 @@
+// columnMapping.js
+// Resolves sheet columns by header name (with configurable aliases)
+require('dotenv').config();
+
+/**
+ * Canonical header name for each known column, keyed by column key
+ */
+const COLUMN_HEADERS = {
+  DATE_ADDED: 'Date Added',
+  USERNAME: 'Username',
+  SOURCE: 'Source',
+  DATE_SENT: 'Date Sent',
+  DATE_DRAFTED: 'Date Drafted',
+  OPERATOR: 'Operator',
+  MESSAGE: 'Message',
+  VARIANT: 'Variant',
+  STATUS: 'Status',
+  CLAIMED_BY: 'Claimed By',
+  CLAIMED_AT: 'Claimed At',
+  ATTEMPTS: 'Attempts',
+  LAST_ERROR: 'Last Error',
+  FAILURE_CODE: 'Failure Code',
+  REPLIED_AT: 'Replied At',
+  REPLY_SNIPPET: 'Reply Snippet',
+  FOLLOW_UP_COUNT: 'Follow-Up Count',
+  FOLLOW_UP_DATE: 'Follow-Up Date',
+};
+
+/**
+ * Column keys that must be present in every sheet.
+ * Other COLUMN_HEADERS entries are optional and enable extra features when present.
+ */
+const REQUIRED_COLUMNS = ['DATE_ADDED', 'USERNAME', 'SOURCE', 'DATE_SENT', 'MESSAGE', 'STATUS'];
+
+/**
+ * Row properties backing the core columns, so filters and templates see the
+ * same normalized values as the rest of the pipeline (e.g. canonical usernames)
+ */
+const ROW_PROPERTIES = {
+  USERNAME: 'username',
+  SOURCE: 'source',
+  STATUS: 'status',
+  DATE_ADDED: 'dateAdded',
+};
+
+/**
+ * Short names accepted for a column in filters and templates, keyed by name
+ */
+const COLUMN_NAME_ALIASES = {
+  added: 'DATE_ADDED',
+};
+
+/**
+ * Normalizes a header for comparison (trimmed, lowercase, single spaces).
+ *
+ * @param {string} header - Raw header text
+ * @returns {string} Comparable header text
+ */
+function normalizeHeader(header) {
+  return String(header || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Reduces a column name used in a filter or template to lowercase letters
+ * and digits, so dateAdded, DATE_ADDED, date_added and "Date Added" name
+ * the same column.
+ *
+ * @param {string} name - Column key, header name or placeholder
+ * @returns {string} Comparable name
+ */
+function normalizeColumnName(name) {
+  return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Resolves a column named in a filter or template: a short name (added), a
+ * column key or canonical header, or any other sheet header.
+ *
+ * @param {string} name - Column name as written
+ * @param {{ headers: Array<string>, columns: Object<string, number> }} columnMap - Column map
+ * @returns {{ key: string }|{ header: string }|null} Mapped column key, extra column
+ *   header, or null when the sheet has no such column
+ */
+function resolveColumnName(name, columnMap) {
+  const { headers, columns } = columnMap;
+  const normalized = normalizeColumnName(name);
+  const key = COLUMN_NAME_ALIASES[normalized] || Object.keys(COLUMN_HEADERS).find(candidate =>
+    normalizeColumnName(candidate) === normalized || normalizeColumnName(COLUMN_HEADERS[candidate]) === normalized
+  );
+  if (key && columns[key] !== undefined) {
+    return { key };
+  }
+
+  const headerIndex = headers.findIndex(header => header && normalizeColumnName(header) === normalized);
+  if (headerIndex === -1) {
+    return null;
+  }
+  const mappedKey = Object.keys(columns).find(candidate => columns[candidate] === headerIndex);
+  return mappedKey ? { key: mappedKey } : { header: headers[headerIndex] };
+}
+
+/**
+ * Parses the COLUMN_ALIASES environment variable.
+ * Format: JSON object keyed by canonical header name (or column key), whose
+ * values are one alias or an array of aliases, e.g.
+ *   {"Username": ["Handle", "IG Handle"], "Date Added": "Added On"}
+ *
+ * @returns {Object<string, Array<string>>} Aliases keyed by column key
+ * @throws {Error} If COLUMN_ALIASES is not valid JSON or names an unknown column
+ */
+function loadColumnAliases() {
+  const raw = process.env.COLUMN_ALIASES;
+  const aliases = {};
+
+  if (!raw || raw.trim() === '') {
+    return aliases;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (parseError) {
+    throw new Error(`COLUMN_ALIASES is not valid JSON: ${parseError.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('COLUMN_ALIASES must be a JSON object keyed by column header name');
+  }
+
+  for (const [name, value] of Object.entries(parsed)) {
+    const key = Object.keys(COLUMN_HEADERS).find(columnKey =>
+      columnKey === name || normalizeHeader(COLUMN_HEADERS[columnKey]) === normalizeHeader(name)
+    );
+
+    if (!key) {
+      throw new Error(
+        `COLUMN_ALIASES references unknown column "${name}". ` +
+        `Known columns: ${Object.values(COLUMN_HEADERS).join(', ')}`
+      );
+    }
+
+    const list = Array.isArray(value) ? value : [value];
+    if (list.some(alias => typeof alias !== 'string' || alias.trim() === '')) {
+      throw new Error(`COLUMN_ALIASES for "${name}" must be a non-empty string or an array of non-empty strings`);
+    }
+
+    aliases[key] = list.map(alias => alias.trim());
+  }
+
+  return aliases;
+}
+
+/**
+ * Locates every known column in the header row by name or alias.
+ *
+ * @param {Array<string>} headerRow - Header values from row 1
+ * @param {Object<string, Array<string>>} [aliases] - Aliases keyed by column key (defaults to COLUMN_ALIASES)
+ * @returns {Object} Column map with:
+ *   - headers: trimmed header row
+ *   - columns: 0-based column index keyed by column key (only columns found)
+ * @throws {Error} If a required column is missing or a column matches more than one header
+ */
+function resolveColumnMap(headerRow, aliases = loadColumnAliases()) {
+  if (!Array.isArray(headerRow)) {
+    throw new Error('Header row must be an array');
+  }
+
+  const headers = headerRow.map(header => String(header || '').trim());
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [key, canonical] of Object.entries(COLUMN_HEADERS)) {
+    const names = [canonical, ...(aliases[key] || [])].map(normalizeHeader);
+    const matches = [];
+
+    normalizedHeaders.forEach((header, index) => {
+      if (header && names.includes(header)) {
+        matches.push(index);
+      }
+    });
+
+    if (matches.length > 1) {
+      throw new Error(
+        `Invalid sheet structure: column "${canonical}" matches more than one header ` +
+        `(${matches.map(index => `"${headers[index]}"`).join(', ')}). Remove or rename the duplicates.`
+      );
+    }
+
+    if (matches.length === 1) {
+      columns[key] = matches[0];
+    }
+  }
+
+  const missing = REQUIRED_COLUMNS.filter(key => columns[key] === undefined);
+  if (missing.length > 0) {
+    const describe = key => {
+      const names = [COLUMN_HEADERS[key], ...(aliases[key] || [])];
+      return names.length > 1 ? `${names[0]} (or ${names.slice(1).join(', ')})` : names[0];
+    };
+
+    throw new Error(
+      `Invalid sheet structure: missing required column(s): ${missing.map(describe).join(', ')}. ` +
+      `Found headers: ${headers.filter(Boolean).join(', ') || '(none)'}. ` +
+      'Rename the headers or map them with COLUMN_ALIASES.'
+    );
+  }
+
+  return { headers, columns };
+}
+
+module.exports = {
+  COLUMN_HEADERS,
+  REQUIRED_COLUMNS,
+  ROW_PROPERTIES,
+  loadColumnAliases,
+  resolveColumnMap,
+  normalizeColumnName,
+  resolveColumnName,
+};
@@ -172,8 +172,43 @@ async function hasExistingMessages(page) {
   }
 }
 
+// Reads the open DM thread: the composer's current text and every message
+// bubble, flagged as outgoing when it sits against the right edge of the thread.
+// Each message carries the datetime of the nearest timestamp above it (or null).
+async function readThreadMessages(page) {
+  return page.evaluate(() => {
+    const composer = document.querySelector(
+      'div[role="textbox"][contenteditable="true"], p[contenteditable="true"], div[contenteditable="true"], textarea'
+    );
+    const composerText = composer ? (composer.value || composer.innerText || composer.textContent || '').trim() : '';
+
+    const thread =
+      document.querySelector('div[data-scope="messages_table"]') ||
+      document.querySelector('div[role="dialog"]') ||
+      document.body;
+    const threadBox = thread.getBoundingClientRect();
+    const stamps = Array.from(thread.querySelectorAll('time[datetime]'));
+
+    const messages = Array.from(thread.querySelectorAll('div[role="row"] div[dir="auto"], div[role="presentation"] div[dir="auto"]'))
+      .filter(node => !composer || !composer.contains(node))
+      .map(node => {
+        const box = node.getBoundingClientRect();
+        const above = stamps.filter(stamp => stamp.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING);
+        return {
+          text: (node.innerText || node.textContent || '').trim(),
+          outgoing: threadBox.right - box.right < box.left - threadBox.left,
+          time: above.length > 0 ? above[above.length - 1].getAttribute('datetime') : null,
+        };
+      })
+      .filter(message => message.text);
+
+    return { composerText, messages };
+  });
+}
+
 module.exports = {
   getFirstName,
   hasExistingMessages,
+  readThreadMessages,
 };
 
@@ -0,0 +1,82 @@
+// csvStorage.js
+// Local CSV file storage backend
+const fs = require('fs');
+const { parseCsv, stringifyCsv } = require('./csvUtils');
+
+/**
+ * Creates a storage adapter backed by a local CSV file.
+ * The first line of the file is the header row, exactly like the sheet.
+ *
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Object} Storage adapter ({ name, loadRows, updateRow, updateRows, appendRow, appendRows })
+ */
+function createCsvStorage(filePath) {
+  function readGrid() {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`CSV storage file not found: ${filePath}`);
+    }
+
+    try {
+      return parseCsv(fs.readFileSync(filePath, 'utf8'));
+    } catch (readError) {
+      throw new Error(`Failed to read CSV storage file at ${filePath}: ${readError.message}`);
+    }
+  }
+
+  function writeGrid(grid) {
+    try {
+      fs.writeFileSync(filePath, stringifyCsv(grid), 'utf8');
+    } catch (writeError) {
+      throw new Error(`Failed to write CSV storage file at ${filePath}: ${writeError.message}`);
+    }
+  }
+
+  return {
+    name: 'csv',
+
+    async loadRows() {
+      return readGrid();
+    },
+
+    async updateRow(rowIndex, cells) {
+      await this.updateRows([{ rowIndex, cells }]);
+    },
+
+    async updateRows(updates) {
+      const grid = readGrid();
+
+      for (const { rowIndex, cells } of updates) {
+        if (rowIndex > grid.length) {
+          throw new Error(`Failed to update row ${rowIndex}: CSV file only has ${grid.length} rows`);
+        }
+
+        const row = grid[rowIndex - 1];
+        for (const [col, value] of Object.entries(cells)) {
+          const columnIndex = Number(col);
+          while (row.length <= columnIndex) {
+            row.push('');
+          }
+          row[columnIndex] = value;
+        }
+      }
+
+      writeGrid(grid);
+    },
+
+    async appendRow(values) {
+      await this.appendRows([values]);
+    },
+
+    async appendRows(rows) {
+      const grid = readGrid();
+      for (const values of rows) {
+        grid.push(values.map(value => (value === undefined || value === null ? '' : String(value))));
+      }
+      writeGrid(grid);
+    },
+  };
+}
+
+module.exports = {
+  createCsvStorage,
+};
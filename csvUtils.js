@@ -0,0 +1,91 @@
+// csvUtils.js
+// Minimal RFC 4180 CSV reader/writer used by the local storage backends.
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Supports quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM written by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  // Flush the last field/row when the file has no trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serializes a single value as a CSV field, quoting when required.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe field
+ */
+function formatField(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Serializes rows into CSV text (LF line endings, trailing newline).
+ *
+ * @param {Array<Array<*>>} rows - Rows to serialize
+ * @returns {string} CSV text
+ */
+function stringifyCsv(rows) {
+  return rows.map(row => row.map(formatField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  stringifyCsv,
+};
@@ -1,6 +1,18 @@
 // databaseLoader.js
 require('dotenv').config();
-const { loadDatabaseRows } = require('./sheetsManager');
+const { loadDatabaseRows, updateRowFields, getColumnMap } = require('./sheetsManager');
+const { isClaimExpired } = require('./rowClaims');
+const { SUPPRESSED_STATUS, OPT_OUT_REASON, loadSuppressionList } = require('./suppressionList');
+const { parseFilter, resolveFilterColumns, matchesFilter } = require('./filterExpression');
+const { getQueueOptions, orderQueue } = require('./queueOrdering');
+const { LEAD_STATUSES } = require('./leadStatus');
+const { getRetryPolicy, isRetryEligible } = require('./retryPolicy');
+const logger = require('./logger');
+
+/**
+ * Status written to rows whose username is not a valid Instagram username
+ */
+const INVALID_USERNAME_STATUS = LEAD_STATUSES.INVALID_USERNAME;
 
 /**
  * Valid source mode values
@@ -35,6 +47,20 @@ function validateSourceMode() {
   return normalized;
 }
 
+/**
+ * Parses the optional FILTER environment variable (see filterExpression.js).
+ *
+ * @returns {Object|null} Parsed filter, or null when FILTER is not set
+ * @throws {Error} If FILTER is malformed
+ */
+function loadFilter() {
+  const filterText = process.env.FILTER;
+  if (!filterText || filterText.trim() === '') {
+    return null;
+  }
+  return parseFilter(filterText);
+}
+
 /**
  * Validates and parses the MAX_PROCCESS environment variable.
  * Note: Variable name uses "PROCCESS" spelling as specified.
@@ -88,24 +114,40 @@ function validateActivateStatus() {
  * 
  * Processing pipeline:
  * 1. Load all rows from sheetsManager
- * 2. Filter by status (exact match with ACTIVATE_STATUS)
+ * 2. Filter by status (exact match with ACTIVATE_STATUS, an expired
+ *    "In Progress" claim left behind by a crashed run, or a Failed row due
+ *    for a retry under the retry policy, see retryPolicy.js)
  * 3. Filter by source mode (if not "all")
- * 4. Deduplicate by username (keep first occurrence)
- * 5. Limit to MAX_PROCCESS entries
+ *    When FILTER is set, its expression replaces stages 2 and 3 (ANDed with
+ *    ACTIVATE_STATUS when it has no status condition)
+ * 4. Drop rows with invalid usernames, optionally marking them "Invalid Username"
+ * 5. Drop rows on the suppression list, optionally marking them "Suppressed"
+ * 6. Deduplicate by username (keep first occurrence)
+ * 7. Order the queue (QUEUE_ORDER, SOURCE_PRIORITY, QUEUE_SEED, QUEUE_INTERLEAVE)
+ * 8. Limit to MAX_PROCCESS entries
  * 
+ * @param {Object} [options]
+ * @param {boolean} [options.markInvalid] - Queue an "Invalid Username" status for rows
+ *   with invalid usernames (leave false in dry-run mode)
+ * @param {boolean} [options.markSuppressed] - Queue a "Suppressed" status for rows
+ *   on the suppression list (leave false in dry-run mode)
  * @returns {Promise<Array<Object>>} Filtered and deduplicated array of row objects:
  *   - rowIndex: 1-based sheet row index
- *   - username: normalized lowercase username
+ *   - username: canonical lowercase username
  *   - source: source value from sheet
  *   - status: status value from sheet
  *   - rawRow: complete raw row array
  * @throws {Error} If environment variables are invalid or data loading fails
  */
-async function loadFilteredDatabase() {
+async function loadFilteredDatabase(options = {}) {
   // Validate environment variables upfront
   const activateStatus = validateActivateStatus();
-  const sourceMode = validateSourceMode();
+  let filter = loadFilter();
+  const sourceMode = filter ? 'all' : validateSourceMode();
   const maxProcess = validateMaxProcess();
+  const queueOptions = getQueueOptions();
+  const retryPolicy = getRetryPolicy();
+  const now = Date.now();
 
   // --- STAGE 1: Load all rows from Google Sheets ---
   let allRows;
@@ -124,13 +166,46 @@ async function loadFilteredDatabase() {
     );
   }
 
+  // Check FILTER columns against the sheet before using it
+  const columnMap = filter ? await getColumnMap() : null;
+  if (filter) {
+    filter = resolveFilterColumns(filter, columnMap);
+
+    // Without a status condition the filter would select Drafted, Sent,
+    // Replied... rows again, so it only applies to rows at ACTIVATE_STATUS
+    if (!filter.clauses.some(clause => clause.key === 'STATUS')) {
+      logger.info(`FILTER has no status condition - selecting rows with status "${activateStatus}" only`);
+      filter = {
+        ...filter,
+        clauses: [...filter.clauses, { column: 'status', key: 'STATUS', op: 'in', values: [activateStatus] }],
+      };
+    }
+  }
+
   // --- STAGE 2: Filter by Status (exact match) ---
-  // Only include rows where row.status exactly matches ACTIVATE_STATUS
+  // Only include rows where row.status exactly matches ACTIVATE_STATUS.
+  // Rows "In Progress" under an expired claim are eligible again; rows under
+  // a live claim belong to another run and are skipped. Failed rows past
+  // their retry cooldown with attempts left are eligible again too.
+  let retryCount = 0;
   const statusFiltered = allRows.filter(row => {
     if (!row || typeof row !== 'object') {
       return false;
     }
 
+    const retryDue = isRetryEligible(row, retryPolicy, now);
+    const requeued = isClaimExpired(row, now) || retryDue;
+
+    // FILTER replaces the status and source checks (a filter without a status
+    // condition was limited to ACTIVATE_STATUS above). An expired claim or a
+    // retry-due row is also evaluated as if it were back at ACTIVATE_STATUS.
+    if (filter) {
+      const matched = matchesFilter(filter, row, columnMap) ||
+        (requeued && matchesFilter(filter, { ...row, status: activateStatus }, columnMap));
+      retryCount += matched && retryDue ? 1 : 0;
+      return matched;
+    }
+
     const rowStatus = row.status;
     
     // Handle missing or non-string status
@@ -139,9 +214,15 @@ async function loadFilteredDatabase() {
     }
 
     // Exact match (case-sensitive as specified)
-    return rowStatus.trim() === activateStatus;
+    const matched = rowStatus.trim() === activateStatus || requeued;
+    retryCount += matched && retryDue ? 1 : 0;
+    return matched;
   });
 
+  if (retryCount > 0) {
+    logger.info(`${retryCount} Failed row(s) are due for a retry`);
+  }
+
   // --- STAGE 3: Filter by Source Mode ---
   // If SOURCE_MODE is "all", skip this filter
   // Otherwise, only include rows where row.source exactly matches SOURCE_MODE
@@ -167,13 +248,61 @@ async function loadFilteredDatabase() {
     });
   }
 
-  // --- STAGE 4: Deduplication by Username ---
-  // Deduplicate rows based on lowercase username
+  // --- STAGE 4: Username Validation ---
+  // Rows whose username Instagram would reject never reach the browser.
+  // Blank usernames are left alone (skipped below) rather than marked.
+  const validRows = [];
+
+  for (const row of sourceFiltered) {
+    if (!row.usernameError || !row.username) {
+      validRows.push(row);
+      continue;
+    }
+
+    if (options.markInvalid) {
+      logger.warn(`Row ${row.rowIndex}: invalid username "${row.rawUsername}" (${row.usernameError}) - marking ${INVALID_USERNAME_STATUS}`);
+      await updateRowFields(row.rowIndex, { STATUS: INVALID_USERNAME_STATUS }, { username: row.username });
+    } else {
+      logger.warn(`Row ${row.rowIndex}: invalid username "${row.rawUsername}" (${row.usernameError}) - skipping`);
+    }
+  }
+
+  // --- STAGE 5: Suppression List ---
+  // People who asked not to be contacted, customers, staff and partners are
+  // never selected, whatever campaign or filter is running
+  let suppressionList;
+  try {
+    suppressionList = await loadSuppressionList();
+  } catch (error) {
+    throw new Error(`Failed to load suppression list: ${error.message}`);
+  }
+
+  const unsuppressedRows = [];
+
+  for (const row of validRows) {
+    const suppression = suppressionList.get(row.username);
+    if (!suppression) {
+      unsuppressedRows.push(row);
+      continue;
+    }
+
+    const reason = suppression.reason || 'no reason given';
+    if (options.markSuppressed) {
+      const status = suppression.reason === OPT_OUT_REASON ? LEAD_STATUSES.OPTED_OUT : SUPPRESSED_STATUS;
+      logger.warn(`Row ${row.rowIndex}: ${row.username} is suppressed (${reason}) - marking ${status}`);
+      await updateRowFields(row.rowIndex, { STATUS: status }, { username: row.username });
+    } else {
+      logger.warn(`Row ${row.rowIndex}: ${row.username} is suppressed (${reason}) - skipping`);
+    }
+  }
+
+  // --- STAGE 6: Deduplication by Username ---
+  // Deduplicate rows based on canonical username
   // Keep the first occurrence and discard subsequent duplicates
   const seenUsernames = new Set();
   const deduplicated = [];
 
-  for (const row of sourceFiltered) {
+  for (const row of unsuppressedRows) {
     if (!row || typeof row !== 'object') {
       continue;
     }
@@ -185,7 +314,7 @@ async function loadFilteredDatabase() {
       continue;
     }
 
-    // Username is already normalized to lowercase by sheetsManager
+    // Username is already canonicalized by sheetsManager
     const normalizedUsername = username.toLowerCase().trim();
 
     // Skip if we've already seen this username
@@ -198,14 +327,28 @@ async function loadFilteredDatabase() {
     deduplicated.push(row);
   }
 
-  // --- STAGE 5: Apply Process Limit ---
+  // --- STAGE 7: Queue Ordering ---
+  // Decide which rows MAX_PROCCESS keeps (newest first, by source weight,
+  // a seeded random sample, optionally interleaved across sources)
+  const ordered = orderQueue(deduplicated, queueOptions);
+  if (queueOptions.order !== 'sheet' || queueOptions.interleave) {
+    logger.info(
+      `Queue order: ${queueOptions.order}` +
+      (queueOptions.order === 'random' ? ` (seed ${queueOptions.seed})` : '') +
+      (queueOptions.interleave ? ', interleaved by source' : '')
+    );
+  }
+
+  // --- STAGE 8: Apply Process Limit ---
   // Return no more than MAX_PROCCESS entries
-  const limited = deduplicated.slice(0, maxProcess);
+  const limited = ordered.slice(0, maxProcess);
 
   return limited;
 }
 
 module.exports = {
+  VALID_SOURCE_MODES,
+  INVALID_USERNAME_STATUS,
   loadFilteredDatabase,
 };
 
@@ -2,13 +2,46 @@
 const { openDirectMessage } = require('./flow1_directMessage');
 const { openDMViaOptionsMenu } = require('./flow2_optionsMenu');
 const { humanDelay, ts } = require('./utils');
+const { FAILURE_CODES, classifyFailure } = require('./failureCodes');
+
+/**
+ * Describes why a flow failed
+ *
+ * @param {Object} flowResult - Flow 1 or Flow 2 result
+ * @returns {string} Error or reason reported by the flow
+ */
+function describeFlowFailure(flowResult) {
+  return flowResult.error || flowResult.reason || 'Unknown error';
+}
+
+/**
+ * Picks the failure code once both flows failed. Only a confirmed "can't
+ * message this account" state is messaging-unavailable (never retried); a
+ * missing Message button or "Send message" option may just be a slow page or
+ * a changed selector, so it stays a retryable dm-not-opened.
+ *
+ * @param {Object} flow1Result - Flow 1 result
+ * @param {Object} flow2Result - Flow 2 result
+ * @returns {string} One of FAILURE_CODES
+ */
+function getDMFailureCode(flow1Result, flow2Result) {
+  const errors = [flow1Result.error, flow2Result.error].filter(Boolean);
+  if (errors.some(error => classifyFailure(error) === FAILURE_CODES.MESSAGING_UNAVAILABLE)) {
+    return FAILURE_CODES.MESSAGING_UNAVAILABLE;
+  }
+  if (errors.some(error => classifyFailure(error) === FAILURE_CODES.TIMEOUT)) {
+    return FAILURE_CODES.TIMEOUT;
+  }
+  return FAILURE_CODES.DM_NOT_OPENED;
+}
 
 /**
  * Unified DM opening controller
  * Attempts Flow 1 first, then falls back to Flow 2 automatically.
  *
  * @param {Object} profilePage - Playwright page object (user's profile)
- * @returns {Object} result - { success, used, flow1, flow2 }
+ * @returns {Object} result - { success, used, flow1, flow2 }, plus `error` and
+ *   `code` (one of FAILURE_CODES) when both flows failed
  */
 async function openDMController(profilePage) {
   console.log(`[${ts()}] 🚀 Starting DM Flow Controller...`);
@@ -37,7 +70,7 @@ async function openDMController(profilePage) {
   }
 
   // --- Fallback to Flow 2 ---
-  console.log(`[${ts()}] ⚠️ Flow 1 failed (${flow1Result.error || flow1Result.reason || 'Unknown error'})`);
+  console.log(`[${ts()}] ⚠️ Flow 1 failed (${describeFlowFailure(flow1Result)})`);
   console.log(`[${ts()}] 🔁 Trying Flow 2 (Options Menu fallback)...`);
   await humanDelay(500, 1000, 'between Flow 1 and Flow 2');
 
@@ -65,6 +98,8 @@ async function openDMController(profilePage) {
   return {
     success: false,
     used: 'none',
+    error: `Flow 1: ${describeFlowFailure(flow1Result)}; Flow 2: ${describeFlowFailure(flow2Result)}`,
+    code: getDMFailureCode(flow1Result, flow2Result),
     flow1: flow1Result,
     flow2: flow2Result,
     timestamp: ts(),
@@ -1,10 +1,18 @@
 // envValidator.js
 const fs = require('fs');
-
-/**
- * Valid source mode values
- */
-const VALID_SOURCE_MODES = ['likes', 'comments', 'followers', 'all'];
+const { VALID_STORAGE_BACKENDS, FILE_STORAGE_BACKENDS } = require('./storageAdapter');
+const { loadColumnAliases } = require('./columnMapping');
+const { ROW_IDENTITY_MODES } = require('./sheetsManager');
+const { VALID_SOURCE_MODES } = require('./databaseLoader');
+const { parseFilter } = require('./filterExpression');
+const { getQueueOptions } = require('./queueOrdering');
+const { getRetryPolicy } = require('./retryPolicy');
+const { getSendWatchOptions } = require('./sendWatcher');
+const { getOptOutPhrases } = require('./optOut');
+const { isTemplateSyntax, parseTemplate } = require('./templateEngine');
+const { getVariantsPath, loadVariants } = require('./messageVariants');
+const { loadSourceMessages, findSourcesWithoutMessage } = require('./sourceMessages');
+const { getFollowUpOptions } = require('./followUpPolicy');
 
 /**
  * Validates and returns all required environment variables.
@@ -12,11 +20,16 @@ const VALID_SOURCE_MODES = ['likes', 'comments', 'followers', 'all'];
  * 
  * @returns {Object} Sanitized configuration object with:
  *   - instagramUsername: string
- *   - sheetId: string
- *   - sheetName: string
- *   - draftMessage: string
+ *   - storageBackend: string (sheets, csv, json or sqlite)
+ *   - storagePath: string|null (file path for local backends)
+ *   - sheetId: string|null (sheets backend only)
+ *   - sheetName: string|null (sheets backend only)
+ *   - draftMessage: string (empty when message variants replace it)
+ *   - variants: Array<{ id, weight, template }>|null (MESSAGE_VARIANTS_PATH)
+ *   - sourceMessages: Object<string, string> (SOURCE_MESSAGES templates keyed by lowercase source)
  *   - activateStatus: string
- *   - sourceMode: string (normalized lowercase)
+ *   - sourceMode: string|null (normalized lowercase; null if unset and FILTER is used)
+ *   - filter: string|null (FILTER expression)
  *   - maxDraft: number (parsed integer)
  *   - maxProcess: number (parsed integer)
  * @throws {Error} If any required variable is missing or invalid
@@ -30,75 +43,166 @@ function validateEnv() {
     errors.push('INSTAGRAM_USERNAME is required and must be a non-empty string');
   }
 
-  // --- Validate GOOGLE_SHEET_ID ---
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  if (!sheetId || typeof sheetId !== 'string' || sheetId.trim() === '') {
-    errors.push('GOOGLE_SHEET_ID is required and must be a non-empty string');
+  // --- Validate STORAGE_BACKEND ---
+  const storageBackend = (process.env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+  if (!VALID_STORAGE_BACKENDS.includes(storageBackend)) {
+    errors.push(`STORAGE_BACKEND must be one of: ${VALID_STORAGE_BACKENDS.join(', ')}. Received: "${process.env.STORAGE_BACKEND}"`);
   }
 
-  // --- Validate GOOGLE_SHEET_NAME ---
-  const sheetName = process.env.GOOGLE_SHEET_NAME;
-  if (!sheetName || typeof sheetName !== 'string' || sheetName.trim() === '') {
-    errors.push('GOOGLE_SHEET_NAME is required and must be a non-empty string');
+  // --- Validate STORAGE_PATH (local file backends) ---
+  const storagePath = process.env.STORAGE_PATH;
+  if (FILE_STORAGE_BACKENDS.includes(storageBackend)) {
+    if (!storagePath || typeof storagePath !== 'string' || storagePath.trim() === '') {
+      errors.push(`STORAGE_PATH is required when STORAGE_BACKEND is "${storageBackend}"`);
+    } else if (!fs.existsSync(storagePath)) {
+      errors.push(`STORAGE_PATH file not found: ${storagePath}`);
+    }
   }
 
-  // --- Validate GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH ---
-  const googleCredentials = process.env.GOOGLE_CREDENTIALS;
-  const googleCredentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
-  
-  if (!googleCredentials && !googleCredentialsPath) {
-    errors.push('Either GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH must be provided');
-  } else {
-    // If GOOGLE_CREDENTIALS is provided, validate it's valid JSON
-    if (googleCredentials) {
-      if (typeof googleCredentials !== 'string' || googleCredentials.trim() === '') {
-        errors.push('GOOGLE_CREDENTIALS must be a non-empty JSON string');
-      } else {
-        try {
-          JSON.parse(googleCredentials);
-        } catch (parseError) {
-          errors.push(`GOOGLE_CREDENTIALS is not valid JSON: ${parseError.message}`);
+  // Google Sheets settings are only required when the sheets backend is selected
+  const sheetId = process.env.GOOGLE_SHEET_ID;
+  const sheetName = process.env.GOOGLE_SHEET_NAME;
+  if (storageBackend === 'sheets') {
+    // --- Validate GOOGLE_SHEET_ID ---
+    if (!sheetId || typeof sheetId !== 'string' || sheetId.trim() === '') {
+      errors.push('GOOGLE_SHEET_ID is required and must be a non-empty string');
+    }
+
+    // --- Validate GOOGLE_SHEET_NAME ---
+    if (!sheetName || typeof sheetName !== 'string' || sheetName.trim() === '') {
+      errors.push('GOOGLE_SHEET_NAME is required and must be a non-empty string');
+    }
+
+    // --- Validate SHEETS_API_URL (optional local emulator) ---
+    const sheetsApiUrl = process.env.SHEETS_API_URL;
+    if (sheetsApiUrl && !/^https?:\/\/\S+$/.test(sheetsApiUrl.trim())) {
+      errors.push(`SHEETS_API_URL must be an http(s) URL. Received: "${sheetsApiUrl}"`);
+    }
+
+    // --- Validate GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH ---
+    // Credentials are optional when talking to a local emulator via SHEETS_API_URL
+    const googleCredentials = process.env.GOOGLE_CREDENTIALS;
+    const googleCredentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
+
+    if (!sheetsApiUrl && !googleCredentials && !googleCredentialsPath) {
+      errors.push('Either GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH must be provided');
+    } else {
+      // If GOOGLE_CREDENTIALS is provided, validate it's valid JSON
+      if (googleCredentials) {
+        if (typeof googleCredentials !== 'string' || googleCredentials.trim() === '') {
+          errors.push('GOOGLE_CREDENTIALS must be a non-empty JSON string');
+        } else {
+          try {
+            JSON.parse(googleCredentials);
+          } catch (parseError) {
+            errors.push(`GOOGLE_CREDENTIALS is not valid JSON: ${parseError.message}`);
+          }
         }
       }
-    }
     
-    // If GOOGLE_CREDENTIALS_PATH is provided, validate file exists and is readable
-    if (googleCredentialsPath) {
-      if (typeof googleCredentialsPath !== 'string' || googleCredentialsPath.trim() === '') {
-        errors.push('GOOGLE_CREDENTIALS_PATH must be a non-empty string');
-      } else if (!fs.existsSync(googleCredentialsPath)) {
-        errors.push(`GOOGLE_CREDENTIALS_PATH file not found: ${googleCredentialsPath}`);
-      } else {
-        try {
-          const fileContent = fs.readFileSync(googleCredentialsPath, 'utf8');
-          JSON.parse(fileContent);
-        } catch (fileError) {
-          errors.push(`GOOGLE_CREDENTIALS_PATH file is not readable or contains invalid JSON: ${fileError.message}`);
+      // If GOOGLE_CREDENTIALS_PATH is provided, validate file exists and is readable
+      if (googleCredentialsPath) {
+        if (typeof googleCredentialsPath !== 'string' || googleCredentialsPath.trim() === '') {
+          errors.push('GOOGLE_CREDENTIALS_PATH must be a non-empty string');
+        } else if (!fs.existsSync(googleCredentialsPath)) {
+          errors.push(`GOOGLE_CREDENTIALS_PATH file not found: ${googleCredentialsPath}`);
+        } else {
+          try {
+            const fileContent = fs.readFileSync(googleCredentialsPath, 'utf8');
+            JSON.parse(fileContent);
+          } catch (fileError) {
+            errors.push(`GOOGLE_CREDENTIALS_PATH file is not readable or contains invalid JSON: ${fileError.message}`);
+          }
         }
       }
     }
   }
 
-  // --- Validate DRAFT_MESSAGE ---
+  // --- Validate SUPPRESSION_SHEET (optional) ---
+  const suppressionSheet = process.env.SUPPRESSION_SHEET;
+  if (suppressionSheet && storageBackend !== 'sheets') {
+    errors.push(`SUPPRESSION_SHEET requires STORAGE_BACKEND "sheets"; use SUPPRESSION_PATH for the "${storageBackend}" backend`);
+  }
+
+  // --- Validate COLUMN_ALIASES (optional) ---
+  try {
+    loadColumnAliases();
+  } catch (aliasError) {
+    errors.push(aliasError.message);
+  }
+
+  // --- Validate MESSAGE_VARIANTS_PATH (optional) ---
+  let variants = null;
+  try {
+    variants = loadVariants();
+  } catch (variantsError) {
+    errors.push(variantsError.message);
+  }
+
+  // --- Validate SOURCE_MESSAGES (optional) ---
+  let sourceMessages = {};
+  try {
+    sourceMessages = loadSourceMessages();
+  } catch (sourceMessagesError) {
+    errors.push(sourceMessagesError.message);
+  }
+
+  // --- Validate DRAFT_MESSAGE (optional when MESSAGE_VARIANTS_PATH or SOURCE_MESSAGES is set) ---
+  // Without it, SOURCE_MESSAGES must cover every active source (checked with SOURCE_MODE below)
   const draftMessage = process.env.DRAFT_MESSAGE;
-  if (!draftMessage || typeof draftMessage !== 'string' || draftMessage.trim() === '') {
-    errors.push('DRAFT_MESSAGE is required and must be a non-empty string');
+  const hasDraftMessage = typeof draftMessage === 'string' && draftMessage.trim() !== '';
+  const hasFallbackMessage = hasDraftMessage || Boolean(getVariantsPath());
+  if (!hasFallbackMessage && Object.keys(sourceMessages).length === 0) {
+    errors.push('DRAFT_MESSAGE is required and must be a non-empty string (or set MESSAGE_VARIANTS_PATH or SOURCE_MESSAGES)');
   }
 
+  // --- Validate template syntax of DRAFT_MESSAGE and FOLLOW_UP_MESSAGE ---
+  ['DRAFT_MESSAGE', 'FOLLOW_UP_MESSAGE'].forEach(name => {
+    if (isTemplateSyntax(process.env[name])) {
+      try {
+        parseTemplate(process.env[name]);
+      } catch (templateError) {
+        errors.push(`${name}: ${templateError.message}`);
+      }
+    }
+  });
+
   // --- Validate ACTIVATE_STATUS ---
   const activateStatus = process.env.ACTIVATE_STATUS;
   if (!activateStatus || typeof activateStatus !== 'string' || activateStatus.trim() === '') {
     errors.push('ACTIVATE_STATUS is required and must be a non-empty string');
   }
 
-  // --- Validate SOURCE_MODE ---
+  // --- Validate FILTER (optional; replaces the ACTIVATE_STATUS / SOURCE_MODE selection) ---
+  // Syntax is checked here; column names are checked once the header row is read
+  const filterText = process.env.FILTER && process.env.FILTER.trim() !== '' ? process.env.FILTER : null;
+  if (filterText) {
+    try {
+      parseFilter(filterText);
+    } catch (filterError) {
+      errors.push(filterError.message);
+    }
+  }
+
+  // --- Validate SOURCE_MODE (optional when FILTER is set) ---
   const sourceMode = process.env.SOURCE_MODE;
   if (!sourceMode || typeof sourceMode !== 'string' || sourceMode.trim() === '') {
-    errors.push(`SOURCE_MODE is required and must be one of: ${VALID_SOURCE_MODES.join(', ')}`);
+    if (!filterText) {
+      errors.push(`SOURCE_MODE is required and must be one of: ${VALID_SOURCE_MODES.join(', ')}`);
+    }
   } else {
     const normalizedSourceMode = sourceMode.trim().toLowerCase();
     if (!VALID_SOURCE_MODES.includes(normalizedSourceMode)) {
       errors.push(`SOURCE_MODE must be one of: ${VALID_SOURCE_MODES.join(', ')}. Received: "${sourceMode}"`);
+    } else if (!filterText && !hasFallbackMessage && Object.keys(sourceMessages).length > 0) {
+      // Active sources are known up front; custom sources selected by FILTER are checked once rows are loaded
+      const activeSources = normalizedSourceMode === 'all'
+        ? VALID_SOURCE_MODES.filter(mode => mode !== 'all')
+        : [normalizedSourceMode];
+      const missing = findSourcesWithoutMessage(activeSources, sourceMessages);
+      if (missing.length > 0) {
+        errors.push(`SOURCE_MESSAGES has no template for source(s) ${missing.map(source => `"${source}"`).join(', ')} and there is no DRAFT_MESSAGE to fall back on`);
+      }
     }
   }
 
@@ -136,6 +240,75 @@ function validateEnv() {
     }
   }
 
+  // --- Validate write batching and retry settings (optional) ---
+  for (const name of ['WRITE_BATCH_SIZE', 'WRITE_FLUSH_MS', 'WRITE_RETRY_ATTEMPTS', 'WRITE_RETRY_BASE_MS']) {
+    const value = process.env[name];
+    if (value !== undefined && value.trim() !== '') {
+      const parsed = Number(value.trim());
+      if (!Number.isInteger(parsed) || parsed < 1) {
+        errors.push(`${name} must be a positive integer. Received: "${value}"`);
+      }
+    }
+  }
+
+  // --- Validate row claim settings (optional) ---
+  const claimTtl = process.env.CLAIM_TTL_MINUTES;
+  if (claimTtl !== undefined && claimTtl.trim() !== '') {
+    const parsed = Number(claimTtl.trim());
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      errors.push(`CLAIM_TTL_MINUTES must be a positive integer. Received: "${claimTtl}"`);
+    }
+  }
+
+  const claimSettle = process.env.CLAIM_SETTLE_MS;
+  if (claimSettle !== undefined && claimSettle.trim() !== '') {
+    const parsed = Number(claimSettle.trim());
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      errors.push(`CLAIM_SETTLE_MS must be a non-negative integer. Received: "${claimSettle}"`);
+    }
+  }
+
+  // --- Validate ROW_IDENTITY_MODE (optional) ---
+  const rowIdentityMode = process.env.ROW_IDENTITY_MODE;
+  if (rowIdentityMode && !ROW_IDENTITY_MODES.includes(rowIdentityMode.trim().toLowerCase())) {
+    errors.push(`ROW_IDENTITY_MODE must be one of: ${ROW_IDENTITY_MODES.join(', ')}. Received: "${rowIdentityMode}"`);
+  }
+
+  // --- Validate QUEUE_ORDER, SOURCE_PRIORITY and QUEUE_INTERLEAVE (optional) ---
+  try {
+    getQueueOptions();
+  } catch (queueError) {
+    errors.push(queueError.message);
+  }
+
+  // --- Validate RETRY_MAX_ATTEMPTS, RETRY_COOLDOWN_MINUTES and NON_RETRYABLE_FAILURES (optional) ---
+  try {
+    getRetryPolicy();
+  } catch (retryError) {
+    errors.push(retryError.message);
+  }
+
+  // --- Validate SEND_WATCH_MINUTES and SEND_WATCH_POLL_SECONDS (optional) ---
+  try {
+    getSendWatchOptions();
+  } catch (watchError) {
+    errors.push(watchError.message);
+  }
+
+  // --- Validate FOLLOW_UP_AFTER_DAYS and FOLLOW_UP_MAX (optional) ---
+  try {
+    getFollowUpOptions();
+  } catch (followUpError) {
+    errors.push(followUpError.message);
+  }
+
+  // --- Validate OPT_OUT_PHRASES_PATH (optional) ---
+  try {
+    getOptOutPhrases();
+  } catch (optOutError) {
+    errors.push(optOutError.message);
+  }
+
   // --- Throw all errors at once if any found ---
   if (errors.length > 0) {
     const errorMessage = 'Environment validation failed:\n' + errors.map(err => `  - ${err}`).join('\n');
@@ -145,11 +318,16 @@ function validateEnv() {
   // --- Return sanitized configuration object ---
   return {
     instagramUsername: instagramUsername.trim(),
-    sheetId: sheetId.trim(),
-    sheetName: sheetName.trim(),
-    draftMessage: draftMessage.trim(),
+    storageBackend,
+    storagePath: storagePath ? storagePath.trim() : null,
+    sheetId: sheetId ? sheetId.trim() : null,
+    sheetName: sheetName ? sheetName.trim() : null,
+    draftMessage: (draftMessage || '').trim(),
+    variants,
+    sourceMessages,
     activateStatus: activateStatus.trim(),
-    sourceMode: process.env.SOURCE_MODE.trim().toLowerCase(),
+    sourceMode: sourceMode && sourceMode.trim() ? sourceMode.trim().toLowerCase() : null,
+    filter: filterText ? filterText.trim() : null,
     maxDraft: parseInt(process.env.MAX_DRAFT, 10),
     maxProcess: parseInt(process.env.MAX_PROCCESS, 10),
   };
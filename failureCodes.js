@@ -0,0 +1,89 @@
+// failureCodes.js
+// Machine-readable failure codes written to the Failure Code column
+
+/**
+ * Failure codes reported by processUser, openDMController and draftMessage
+ */
+const FAILURE_CODES = {
+  ACCOUNT_NOT_FOUND: 'account-not-found',
+  INVALID_USERNAME: 'invalid-username',
+  MESSAGING_UNAVAILABLE: 'messaging-unavailable',
+  NOT_LOGGED_IN: 'not-logged-in',
+  TIMEOUT: 'timeout',
+  DM_NOT_OPENED: 'dm-not-opened',
+  DM_INPUT_NOT_FOUND: 'dm-input-not-found',
+  DRAFT_NOT_VERIFIED: 'draft-not-verified',
+  DRAFT_FAILED: 'draft-failed',
+  OTHER: 'other',
+};
+
+/**
+ * Patterns recognizing a failure code from an error message, for errors
+ * thrown without a code and rows failed before the Failure Code column existed
+ */
+const MESSAGE_PATTERNS = [
+  { code: FAILURE_CODES.ACCOUNT_NOT_FOUND, pattern: /account not found|page isn't available|user not found/i },
+  { code: FAILURE_CODES.INVALID_USERNAME, pattern: /invalid username/i },
+  { code: FAILURE_CODES.MESSAGING_UNAVAILABLE, pattern: /can't message|cannot message|not accepting messages/i },
+  { code: FAILURE_CODES.NOT_LOGGED_IN, pattern: /not logged in/i },
+  { code: FAILURE_CODES.TIMEOUT, pattern: /timeout|timed out/i },
+  { code: FAILURE_CODES.DM_NOT_OPENED, pattern: /failed to open dm|message button not found|dm modal not detected/i },
+  { code: FAILURE_CODES.DM_INPUT_NOT_FOUND, pattern: /no dm input field/i },
+  { code: FAILURE_CODES.DRAFT_FAILED, pattern: /failed to draft message/i },
+];
+
+/**
+ * Returns true if the value is one of FAILURE_CODES.
+ *
+ * @param {string} code - Candidate code
+ * @returns {boolean} Whether the code is known
+ */
+function isFailureCode(code) {
+  return Object.values(FAILURE_CODES).includes(code);
+}
+
+/**
+ * Recognizes a failure code from an error message (FAILURE_CODES.OTHER if none matches).
+ *
+ * @param {string} errorMessage - Error text
+ * @returns {string} Failure code
+ */
+function classifyFailure(errorMessage) {
+  const match = MESSAGE_PATTERNS.find(entry => entry.pattern.test(String(errorMessage || '')));
+  return match ? match.code : FAILURE_CODES.OTHER;
+}
+
+/**
+ * Creates an Error carrying a failure code, for failures detected by throwing.
+ *
+ * @param {string} code - One of FAILURE_CODES
+ * @param {string} message - Error message
+ * @returns {Error} Error with `failureCode` set
+ */
+function createFailure(code, message) {
+  const error = new Error(message);
+  error.failureCode = code;
+  return error;
+}
+
+/**
+ * Returns the failure code of a thrown error: its own code, or one
+ * recognized from its message.
+ *
+ * @param {Error} error - Thrown error
+ * @returns {string} Failure code
+ */
+function getFailureCode(error) {
+  if (error && isFailureCode(error.failureCode)) {
+    return error.failureCode;
+  }
+  return classifyFailure(error && error.message);
+}
+
+module.exports = {
+  FAILURE_CODES,
+  isFailureCode,
+  classifyFailure,
+  createFailure,
+  getFailureCode,
+};
@@ -0,0 +1,356 @@
+// filterExpression.js
+// Parses and evaluates FILTER expressions that select which rows to process
+//
+// Examples:
+//   status in (Ready, Retry) and source in (comments, likes) and added this month
+//   status = New and added last 7 days and "Lead Score" != low
+//   source not in (followers) and added between 2024-01-01 and 2024-01-31
+//
+// A filter without a status condition only selects rows at ACTIVATE_STATUS
+// (see databaseLoader.js).
+const { ROW_PROPERTIES, resolveColumnName } = require('./columnMapping');
+
+/**
+ * Keywords that cannot be used as bare column names or values
+ */
+const KEYWORDS = ['and', 'in', 'not', 'contains', 'last', 'this', 'today', 'since', 'before', 'between'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Splits a filter expression into tokens.
+ *
+ * @param {string} text - Filter expression
+ * @returns {Array<{ type: string, value: string, position: number }>} Tokens
+ *   (type is word, string, op, lparen, rparen or comma)
+ * @throws {Error} If a quoted string is not terminated
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      const end = text.indexOf(ch, i + 1);
+      if (end === -1) {
+        throw new Error(`Invalid FILTER: unterminated quote starting at position ${i + 1}`);
+      }
+      tokens.push({ type: 'string', value: text.slice(i + 1, end), position: i + 1 });
+      i = end + 1;
+    } else if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch === ',' ? 'comma' : ch === '(' ? 'lparen' : 'rparen', value: ch, position: i + 1 });
+      i++;
+    } else if (text.startsWith('!=', i)) {
+      tokens.push({ type: 'op', value: '!=', position: i + 1 });
+      i += 2;
+    } else if (ch === '=') {
+      tokens.push({ type: 'op', value: '=', position: i + 1 });
+      i++;
+    } else {
+      const match = /^[^\s"'(),=!]+/.exec(text.slice(i));
+      if (!match) {
+        throw new Error(`Invalid FILTER: unexpected character "${ch}" at position ${i + 1}`);
+      }
+      tokens.push({ type: 'word', value: match[0], position: i + 1 });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses a date from a filter or a sheet cell. Plain YYYY-MM-DD dates are
+ * read as local midnight so "today" and "this month" line up with them.
+ *
+ * @param {string} value - Date text
+ * @returns {number} Time in ms (NaN if unparseable)
+ */
+function parseDateValue(value) {
+  const plain = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return plain
+    ? new Date(Number(plain[1]), Number(plain[2]) - 1, Number(plain[3])).getTime()
+    : Date.parse(value);
+}
+
+/**
+ * Parses a date used in a filter.
+ *
+ * @param {Object} token - Token holding the date
+ * @returns {number} Time in ms
+ * @throws {Error} If the date cannot be parsed
+ */
+function parseFilterDate(token) {
+  const time = parseDateValue(token.value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid FILTER: "${token.value}" at position ${token.position} is not a date (use YYYY-MM-DD)`);
+  }
+  return time;
+}
+
+/**
+ * Parses a FILTER expression: clauses joined by "and", where each clause is one of
+ *   <column> = <value> | <column> != <value>
+ *   <column> in (<value>, ...) | <column> not in (<value>, ...)
+ *   <column> contains <value>
+ *   <column> last <N> days | this week | this month | today
+ *   <column> since <date> | before <date> | between <date> and <date>
+ *
+ * Columns are column keys (STATUS, DATE_ADDED, ...) or header names; quote
+ * names containing spaces ("Lead Score"). "added" is short for Date Added.
+ *
+ * @param {string} text - Filter expression
+ * @returns {{ text: string, clauses: Array<Object> }} Parsed filter
+ * @throws {Error} If the expression is malformed
+ */
+function parseFilter(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Invalid FILTER: expression is empty');
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toLowerCase() === word;
+  const describe = token => (token ? `"${token.value}" at position ${token.position}` : 'end of expression');
+
+  const next = expected => {
+    const token = tokens[index];
+    if (!token) {
+      throw new Error(`Invalid FILTER: expected ${expected} but reached the end of the expression`);
+    }
+    index++;
+    return token;
+  };
+
+  const expectWord = word => {
+    const token = next(`"${word}"`);
+    if (!isWord(token, word)) {
+      throw new Error(`Invalid FILTER: expected "${word}" but found ${describe(token)}`);
+    }
+  };
+
+  const parseValue = () => {
+    const token = next('a value');
+    if (token.type === 'string') return token;
+    if (token.type === 'word' && !KEYWORDS.includes(token.value.toLowerCase())) return token;
+    throw new Error(`Invalid FILTER: expected a value but found ${describe(token)}`);
+  };
+
+  const parseList = () => {
+    const open = next('"("');
+    if (open.type !== 'lparen') {
+      throw new Error(`Invalid FILTER: expected "(" but found ${describe(open)}`);
+    }
+
+    const values = [parseValue().value];
+    while (peek() && peek().type === 'comma') {
+      index++;
+      values.push(parseValue().value);
+    }
+
+    const close = next('")"');
+    if (close.type !== 'rparen') {
+      throw new Error(`Invalid FILTER: expected "," or ")" but found ${describe(close)}`);
+    }
+    return values;
+  };
+
+  const parseClause = () => {
+    const columnToken = parseValue();
+    const column = columnToken.value;
+    const operator = next(`an operator after column "${column}"`);
+    const op = operator.value.toLowerCase();
+
+    if (operator.type === 'op') {
+      return { column, position: columnToken.position, op: op === '=' ? 'in' : 'notIn', values: [parseValue().value] };
+    }
+
+    if (operator.type !== 'word') {
+      throw new Error(`Invalid FILTER: expected an operator after column "${column}" but found ${describe(operator)}`);
+    }
+
+    switch (op) {
+      case 'in':
+        return { column, position: columnToken.position, op: 'in', values: parseList() };
+      case 'not':
+        expectWord('in');
+        return { column, position: columnToken.position, op: 'notIn', values: parseList() };
+      case 'contains':
+        return { column, position: columnToken.position, op: 'contains', values: [parseValue().value] };
+      case 'last': {
+        const count = next('a number of days');
+        const days = Number(count.value);
+        if (!Number.isInteger(days) || days < 1) {
+          throw new Error(`Invalid FILTER: expected a positive whole number of days but found ${describe(count)}`);
+        }
+        const unit = next('"days"');
+        if (!isWord(unit, 'days') && !isWord(unit, 'day')) {
+          throw new Error(`Invalid FILTER: expected "days" but found ${describe(unit)}`);
+        }
+        return { column, position: columnToken.position, op: 'range', range: { type: 'lastDays', days } };
+      }
+      case 'this': {
+        const period = next('"week" or "month"');
+        const type = period.value.toLowerCase();
+        if (type !== 'week' && type !== 'month') {
+          throw new Error(`Invalid FILTER: expected "week" or "month" but found ${describe(period)}`);
+        }
+        return { column, position: columnToken.position, op: 'range', range: { type } };
+      }
+      case 'today':
+        return { column, position: columnToken.position, op: 'range', range: { type: 'today' } };
+      case 'since':
+        return { column, position: columnToken.position, op: 'range', range: { type: 'since', from: parseFilterDate(next('a date')) } };
+      case 'before':
+        return { column, position: columnToken.position, op: 'range', range: { type: 'before', to: parseFilterDate(next('a date')) } };
+      case 'between': {
+        const from = parseFilterDate(next('a date'));
+        expectWord('and');
+        // The end date is inclusive: include the whole day
+        const to = parseFilterDate(next('a date')) + DAY_MS;
+        if (to <= from) {
+          throw new Error(`Invalid FILTER: "between" range for "${column}" ends before it starts`);
+        }
+        return { column, position: columnToken.position, op: 'range', range: { type: 'between', from, to } };
+      }
+      default:
+        throw new Error(
+          `Invalid FILTER: unknown operator ${describe(operator)}. ` +
+          'Use =, !=, in, not in, contains, last N days, this week, this month, today, since, before or between'
+        );
+    }
+  };
+
+  const clauses = [parseClause()];
+  while (index < tokens.length) {
+    const joiner = next('"and"');
+    if (!isWord(joiner, 'and')) {
+      throw new Error(`Invalid FILTER: expected "and" between conditions but found ${describe(joiner)}`);
+    }
+    clauses.push(parseClause());
+  }
+
+  return { text: text.trim(), clauses };
+}
+
+/**
+ * Resolves each clause's column against the sheet's column map.
+ *
+ * @param {Object} filter - Parsed filter from parseFilter
+ * @param {Object} columnMap - Column map ({ headers, columns }) from sheetsManager
+ * @returns {Object} Filter whose clauses carry `key` (mapped column) or `header` (extra column)
+ * @throws {Error} If a column is not in the sheet
+ */
+function resolveFilterColumns(filter, columnMap) {
+  const clauses = filter.clauses.map(clause => {
+    const column = resolveColumnName(clause.column, columnMap);
+    if (column) {
+      return { ...clause, ...column };
+    }
+
+    throw new Error(
+      `Invalid FILTER: column "${clause.column}" (position ${clause.position}) is not in the sheet. ` +
+      `Sheet headers: ${columnMap.headers.filter(Boolean).join(', ')}`
+    );
+  });
+
+  return { ...filter, clauses };
+}
+
+/**
+ * Returns the [start, end) time window for a date range clause.
+ *
+ * @param {Object} range - Range from a parsed clause
+ * @param {number} now - Current time in ms
+ * @returns {{ from: number, to: number }} Window in ms
+ */
+function rangeWindow(range, now) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  switch (range.type) {
+    case 'lastDays':
+      return { from: now - range.days * DAY_MS, to: Infinity };
+    case 'today':
+      return { from: today.getTime(), to: Infinity };
+    case 'week': {
+      // Weeks start on Monday
+      const monday = new Date(today);
+      monday.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+      return { from: monday.getTime(), to: Infinity };
+    }
+    case 'month':
+      return { from: new Date(today.getFullYear(), today.getMonth(), 1).getTime(), to: Infinity };
+    case 'since':
+      return { from: range.from, to: Infinity };
+    case 'before':
+      return { from: -Infinity, to: range.to };
+    default:
+      return { from: range.from, to: range.to };
+  }
+}
+
+/**
+ * Reads the value a clause compares against from a loaded row.
+ *
+ * @param {Object} clause - Resolved clause
+ * @param {Object} row - Row object from loadDatabaseRows
+ * @param {Object} columnMap - Column map ({ headers, columns })
+ * @returns {string} Trimmed cell value
+ */
+function clauseValue(clause, row, columnMap) {
+  if (clause.key && ROW_PROPERTIES[clause.key]) {
+    return String(row[ROW_PROPERTIES[clause.key]] || '').trim();
+  }
+
+  const header = clause.key ? columnMap.headers[columnMap.columns[clause.key]] : clause.header;
+  return String((row.fields || {})[header] || '').trim();
+}
+
+/**
+ * Returns true if the row satisfies every clause of the filter.
+ * Value comparisons are case-insensitive; rows whose date cell cannot be
+ * parsed never match a date range.
+ *
+ * @param {Object} filter - Filter resolved with resolveFilterColumns
+ * @param {Object} row - Row object from loadDatabaseRows
+ * @param {Object} columnMap - Column map ({ headers, columns })
+ * @param {number} [now] - Current time in ms (defaults to Date.now())
+ * @returns {boolean} Whether the row matches
+ */
+function matchesFilter(filter, row, columnMap, now = Date.now()) {
+  return filter.clauses.every(clause => {
+    const value = clauseValue(clause, row, columnMap);
+    const lower = value.toLowerCase();
+
+    switch (clause.op) {
+      case 'in':
+        return clause.values.some(candidate => candidate.trim().toLowerCase() === lower);
+      case 'notIn':
+        return !clause.values.some(candidate => candidate.trim().toLowerCase() === lower);
+      case 'contains':
+        return lower.includes(clause.values[0].trim().toLowerCase());
+      default: {
+        const time = parseDateValue(value);
+        if (Number.isNaN(time)) {
+          return false;
+        }
+        const { from, to } = rangeWindow(clause.range, now);
+        return time >= from && time < to;
+      }
+    }
+  });
+}
+
+module.exports = {
+  parseDateValue,
+  parseFilter,
+  resolveFilterColumns,
+  matchesFilter,
+};
@@ -0,0 +1,61 @@
+// followUpPolicy.js
+// Decides when a Sent row without a reply is due for a follow-up
+require('dotenv').config();
+const { LEAD_STATUSES, resolveStatus } = require('./leadStatus');
+
+/**
+ * Milliseconds in a day
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the follow-up settings from the environment:
+ *   - FOLLOW_UP_AFTER_DAYS: days without a reply before a follow-up is due (default 3)
+ *   - FOLLOW_UP_MAX: follow-ups per lead (default 1)
+ *   - FOLLOW_UP_MESSAGE: follow-up template (same syntax as DRAFT_MESSAGE)
+ *
+ * @returns {{ afterDays: number, max: number, template: string }} Follow-up options
+ *   (template is empty when FOLLOW_UP_MESSAGE is not set)
+ * @throws {Error} If a setting is invalid
+ */
+function getFollowUpOptions() {
+  const daysRaw = (process.env.FOLLOW_UP_AFTER_DAYS || '3').trim();
+  const afterDays = Number(daysRaw);
+  if (!Number.isFinite(afterDays) || afterDays <= 0) {
+    throw new Error(`Invalid FOLLOW_UP_AFTER_DAYS value: "${process.env.FOLLOW_UP_AFTER_DAYS}". Must be a positive number`);
+  }
+
+  const maxRaw = (process.env.FOLLOW_UP_MAX || '1').trim();
+  const max = Number(maxRaw);
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error(`Invalid FOLLOW_UP_MAX value: "${process.env.FOLLOW_UP_MAX}". Must be a positive integer`);
+  }
+
+  return { afterDays, max, template: (process.env.FOLLOW_UP_MESSAGE || '').trim() };
+}
+
+/**
+ * Returns the Sent rows due for a follow-up: fewer than `max` follow-ups so
+ * far, and the last touch (the latest follow-up, or Date Sent) at least
+ * `afterDays` old. Rows without a readable Date Sent are skipped, since their
+ * age is unknown.
+ *
+ * @param {Array<Object>} rows - Rows from loadDatabaseRows
+ * @param {{ afterDays: number, max: number }} options - getFollowUpOptions() result
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<Object>} Due rows, in sheet order
+ */
+function selectFollowUps(rows, options, now = Date.now()) {
+  return rows.filter(row => {
+    if (resolveStatus(row.status) !== LEAD_STATUSES.SENT || (row.followUpCount || 0) >= options.max) {
+      return false;
+    }
+    const lastTouch = Date.parse(row.followUpDate || row.dateSent);
+    return !Number.isNaN(lastTouch) && now - lastTouch >= options.afterDays * DAY_MS;
+  });
+}
+
+module.exports = {
+  getFollowUpOptions,
+  selectFollowUps,
+};
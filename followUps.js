@@ -0,0 +1,225 @@
+// followUps.js
+// Drafts a follow-up in the threads of "Sent" rows that got no reply after a number of days
+//
+// Usage: node followUps.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+require('dotenv').config();
+const { validateEnv } = require('./envValidator');
+const { loadDatabaseRows, updateRowFields, getColumnMap, flushWrites } = require('./sheetsManager');
+const { DEFAULT_CAMPAIGN, loadCampaigns, parseCampaignArgs, selectCampaigns, withCampaignEnv } = require('./campaigns');
+const { ensureBrowser, openThread } = require('./browserSession');
+const { getFollowUpOptions, selectFollowUps } = require('./followUpPolicy');
+const { loadSuppressionList, OPT_OUT_REASON, SUPPRESSED_STATUS } = require('./suppressionList');
+const { LEAD_STATUSES } = require('./leadStatus');
+const { draftMessage } = require('./messageDrafter');
+const { isTemplateSyntax, parseTemplate, resolveTemplateVariables, getTemplateValues } = require('./templateEngine');
+const { humanDelay } = require('./utils');
+const logger = require('./logger');
+
+/**
+ * Checks that our message is still the most recent one in a thread, so a
+ * follow-up never lands after a reply.
+ *
+ * @param {{ messages: Array<{ outgoing: boolean }> }} thread - readThreadMessages() result
+ * @returns {'ready'|'replied'|'unclear'} 'ready' when the last message is ours, 'replied'
+ *   when it is theirs, 'unclear' when no messages could be read
+ */
+function checkFollowUpThread(thread) {
+  const last = thread.messages[thread.messages.length - 1];
+  if (!last) {
+    return 'unclear';
+  }
+  return last.outgoing ? 'ready' : 'replied';
+}
+
+/**
+ * Queues the follow-up bookkeeping: Follow-Up Count + 1 and Follow-Up Date = now.
+ * The status stays Sent. The follow-up is counted once drafted, not once
+ * sent, so a draft the operator never sends still counts toward FOLLOW_UP_MAX.
+ *
+ * @param {Object} row - Row from loadDatabaseRows
+ */
+async function recordFollowUp(row) {
+  await updateRowFields(row.rowIndex, {
+    FOLLOW_UP_COUNT: String((row.followUpCount || 0) + 1),
+    FOLLOW_UP_DATE: new Date().toISOString(),
+  }, { username: row.username });
+}
+
+/**
+ * Drafts the follow-ups of the current storage (run inside withCampaignEnv
+ * for a campaign's sheet). Each drafted tab is left open for the operator to
+ * send. Usernames on the suppression list (e.g. opted out through another
+ * campaign) get no follow-up and their rows are marked Suppressed or Opted Out.
+ *
+ * @param {Object} session - Browser state shared across campaigns ({ browser })
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum follow-ups to draft
+ * @param {boolean} [options.dryRun] - List the rows without opening the browser
+ * @returns {Promise<Object>} Counts: { due, suppressed, drafted, replied, unclear, failed }
+ * @throws {Error} If FOLLOW_UP_MESSAGE is not set, uses a placeholder that is not a sheet
+ *   column, the follow-up columns are missing or the suppression list cannot be read
+ */
+async function draftFollowUps(session, options = {}) {
+  const followUpOptions = getFollowUpOptions();
+  if (!followUpOptions.template) {
+    throw new Error('FOLLOW_UP_MESSAGE is required to draft follow-ups');
+  }
+
+  const rows = await loadDatabaseRows();
+  const columnMap = await getColumnMap();
+  const { columns } = columnMap;
+  if (columns.FOLLOW_UP_COUNT === undefined || columns.FOLLOW_UP_DATE === undefined) {
+    throw new Error('Add "Follow-Up Count" and "Follow-Up Date" columns to the sheet to draft follow-ups');
+  }
+  const template = isTemplateSyntax(followUpOptions.template)
+    ? resolveTemplateVariables(parseTemplate(followUpOptions.template), columnMap)
+    : null;
+
+  let suppressionList;
+  try {
+    suppressionList = await loadSuppressionList();
+  } catch (error) {
+    throw new Error(`Failed to load suppression list: ${error.message}`);
+  }
+
+  const due = [];
+  let suppressed = 0;
+  for (const row of selectFollowUps(rows, followUpOptions)) {
+    const suppression = suppressionList.get(row.username);
+    if (!suppression) {
+      due.push(row);
+      continue;
+    }
+
+    suppressed++;
+    const status = suppression.reason === OPT_OUT_REASON ? LEAD_STATUSES.OPTED_OUT : SUPPRESSED_STATUS;
+    if (options.dryRun) {
+      logger.warn(`${row.username} (row ${row.rowIndex}): suppressed (${suppression.reason || 'no reason given'}) - skipping`);
+    } else {
+      logger.warn(`${row.username} (row ${row.rowIndex}): suppressed (${suppression.reason || 'no reason given'}) - marking ${status}`);
+      await updateRowFields(row.rowIndex, { STATUS: status }, { username: row.username });
+    }
+  }
+
+  const selected = options.limit ? due.slice(0, options.limit) : due;
+  const counts = { due: selected.length, suppressed, drafted: 0, replied: 0, unclear: 0, failed: 0 };
+
+  logger.info(`Found ${due.length} Sent row(s) without a reply after ${followUpOptions.afterDays} day(s)${selected.length < due.length ? `, drafting ${selected.length}` : ''}`);
+  if (options.dryRun) {
+    selected.forEach((row, index) => logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex}, follow-up ${(row.followUpCount || 0) + 1} of ${followUpOptions.max})`));
+    return counts;
+  }
+
+  const browser = selected.length > 0 ? await ensureBrowser(session) : null;
+  for (const row of selected) {
+    const page = await browser.newPage();
+    let keepOpen = false;
+    try {
+      const { thread } = await openThread(page, row.username);
+      const state = checkFollowUpThread(thread);
+      if (state === 'replied') {
+        counts.replied++;
+        logger.info(`${row.username} (row ${row.rowIndex}): they wrote last - no follow-up (run trackReplies.js to record the reply)`);
+      } else if (state === 'unclear') {
+        counts.unclear++;
+        logger.warn(`${row.username} (row ${row.rowIndex}): thread messages could not be read - no follow-up, check it manually`);
+      } else {
+        const values = template ? getTemplateValues(template, row, columnMap) : {};
+        const draftResult = await draftMessage(page, { template: followUpOptions.template, values });
+        if (!draftResult.success) {
+          throw new Error(draftResult.error || 'Unknown error');
+        }
+        await recordFollowUp(row);
+        counts.drafted++;
+        keepOpen = true;
+        logger.success(`${row.username} (row ${row.rowIndex}): follow-up ${(row.followUpCount || 0) + 1} drafted`);
+      }
+    } catch (error) {
+      counts.failed++;
+      logger.error(`${row.username} (row ${row.rowIndex}): could not draft the follow-up (${error.message})`);
+    } finally {
+      if (!keepOpen) {
+        await page.close().catch(() => {});
+      }
+    }
+    await humanDelay(2000, 4000);
+  }
+
+  await flushWrites();
+  return counts;
+}
+
+module.exports = {
+  checkFollowUpThread,
+  recordFollowUp,
+  draftFollowUps,
+};
+
+// Run standalone: node followUps.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+if (require.main === module) {
+  const argValue = flag => {
+    const index = process.argv.indexOf(flag);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+
+  const dryRun = process.argv.includes('--dry-run');
+  const limitRaw = argValue('--limit');
+  const limit = limitRaw === undefined ? undefined : Number(limitRaw);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    logger.error('Usage: node followUps.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]');
+    process.exit(1);
+  }
+
+  process.on('SIGINT', async () => {
+    logger.warn('Received SIGINT - flushing queued sheet updates before exit...');
+    await flushWrites().catch(error => logger.error(`Failed to flush queued sheet updates: ${error.message}`));
+    process.exit(0);
+  });
+
+  const session = { browser: null };
+  (async () => {
+    const names = parseCampaignArgs(process.argv);
+    const campaigns = names.length === 0 ? [DEFAULT_CAMPAIGN] : selectCampaigns(loadCampaigns(), names);
+    logger.section(dryRun ? 'Follow-Ups (DRY RUN - no browser or sheet updates)' : 'Follow-Ups');
+
+    const totals = { due: 0, suppressed: 0, drafted: 0, replied: 0, unclear: 0, failed: 0 };
+    for (const campaign of campaigns) {
+      if (campaign !== DEFAULT_CAMPAIGN) {
+        logger.section(`Campaign: ${campaign.name}`);
+      }
+      const counts = await withCampaignEnv(campaign, async () => {
+        validateEnv();
+        return draftFollowUps(session, { limit, dryRun });
+      });
+      Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+    }
+
+    logger.section('Follow-Up Summary');
+    logger.info(`Due for a follow-up: ${totals.due}`);
+    logger.warn(`Skipped, on the suppression list: ${totals.suppressed}`);
+    if (dryRun) {
+      logger.success('Dry run completed successfully');
+      return;
+    }
+    logger.success(`Follow-ups drafted: ${totals.drafted}`);
+    logger.info(`Skipped, they wrote last: ${totals.replied}`);
+    logger.warn(`Skipped, thread unreadable: ${totals.unclear}`);
+    logger.error(`Could not draft: ${totals.failed}`);
+
+    if (totals.drafted === 0) {
+      if (session.browser) {
+        await session.browser.close().catch(() => {});
+      }
+      return;
+    }
+    logger.info('Each drafted follow-up is open in its own tab, ready for manual sending.');
+    logger.info('Browser will remain open. Close it manually when finished.');
+  })()
+    .catch(error => {
+      logger.error(`Follow-ups failed: ${error.message}`);
+      process.exitCode = 1;
+      if (session.browser) {
+        session.browser.close().catch(() => {});
+      }
+    });
+}
@@ -0,0 +1,123 @@
+// jsonStorage.js
+// Local JSON file storage backend
+const fs = require('fs');
+
+/**
+ * Creates a storage adapter backed by a local JSON file.
+ * The file holds an array of objects keyed by header name, e.g.
+ *   [{ "Date Added": "2024-01-01", "Username": "jane", ... }]
+ * The header row is the union of keys in first-seen order.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Storage adapter ({ name, loadRows, updateRow, updateRows, appendRow, appendRows })
+ */
+function createJsonStorage(filePath) {
+  function readRecords() {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`JSON storage file not found: ${filePath}`);
+    }
+
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (readError) {
+      throw new Error(`Failed to read or parse JSON storage file at ${filePath}: ${readError.message}`);
+    }
+
+    if (!Array.isArray(records)) {
+      throw new Error(`Invalid JSON storage file at ${filePath}: expected an array of row objects`);
+    }
+
+    return records;
+  }
+
+  function writeRecords(records) {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(records, null, 2) + '\n', 'utf8');
+    } catch (writeError) {
+      throw new Error(`Failed to write JSON storage file at ${filePath}: ${writeError.message}`);
+    }
+  }
+
+  function collectHeaders(records) {
+    const headers = [];
+    for (const record of records) {
+      for (const key of Object.keys(record || {})) {
+        if (!headers.includes(key)) {
+          headers.push(key);
+        }
+      }
+    }
+    return headers;
+  }
+
+  return {
+    name: 'json',
+
+    async loadRows() {
+      const records = readRecords();
+      if (records.length === 0) {
+        return [];
+      }
+
+      const headers = collectHeaders(records);
+      const dataRows = records.map(record =>
+        headers.map(header => {
+          const value = record ? record[header] : undefined;
+          return value === undefined || value === null ? '' : String(value);
+        })
+      );
+
+      return [headers, ...dataRows];
+    },
+
+    async updateRow(rowIndex, cells) {
+      await this.updateRows([{ rowIndex, cells }]);
+    },
+
+    async updateRows(updates) {
+      const records = readRecords();
+      const headers = collectHeaders(records);
+
+      for (const { rowIndex, cells } of updates) {
+        const record = records[rowIndex - 2];
+        if (!record) {
+          throw new Error(`Failed to update row ${rowIndex}: JSON file only has ${records.length} records`);
+        }
+
+        for (const [col, value] of Object.entries(cells)) {
+          const header = headers[Number(col)];
+          if (!header) {
+            throw new Error(`Failed to update row ${rowIndex}: no header for column index ${col}`);
+          }
+          record[header] = value;
+        }
+      }
+
+      writeRecords(records);
+    },
+
+    async appendRow(values) {
+      await this.appendRows([values]);
+    },
+
+    async appendRows(rows) {
+      const records = readRecords();
+      const headers = collectHeaders(records);
+
+      for (const values of rows) {
+        const record = {};
+        headers.forEach((header, index) => {
+          record[header] = values[index] === undefined || values[index] === null ? '' : String(values[index]);
+        });
+        records.push(record);
+      }
+
+      writeRecords(records);
+    },
+  };
+}
+
+module.exports = {
+  createJsonStorage,
+};
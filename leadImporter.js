@@ -0,0 +1,226 @@
+// leadImporter.js
+// Imports lists of Instagram handles or profile URLs into the lead sheet
+//
+// Usage: node leadImporter.js <file.csv|file.txt|file.json> --source <Source> [--status <Status>] [--dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csvUtils');
+const { canonicalizeUsername, parseUsername } = require('./usernameUtils');
+const { loadDatabaseRows, appendDatabaseRows } = require('./sheetsManager');
+const logger = require('./logger');
+
+/**
+ * Header names (lowercase) recognized as the handle column in CSV files and
+ * as the handle field in JSON objects
+ */
+const HANDLE_FIELDS = ['username', 'handle', 'instagram', 'profile', 'profile url', 'url', 'link'];
+
+/**
+ * File extensions the importer can read
+ */
+const SUPPORTED_EXTENSIONS = ['.csv', '.txt', '.json'];
+
+/**
+ * Reads a lead list into raw entries.
+ *   - .txt: one handle or URL per line (blank lines and # comments ignored)
+ *   - .csv: the column headed Username/Handle/URL/... (or the first column
+ *     when there is no such header); an optional Source column overrides --source
+ *   - .json: an array of strings, or of objects with a username/handle/url
+ *     field and an optional source field
+ *
+ * @param {string} filePath - Path to the lead list
+ * @returns {Array<{ value: string, source: string }>} Raw entries in file order (source may be empty)
+ * @throws {Error} If the file is missing, unsupported or malformed
+ */
+function readLeadFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Lead file not found: ${filePath}`);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported lead file type "${extension}". Supported: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  if (extension === '.txt') {
+    return text
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(value => ({ value, source: '' }));
+  }
+
+  if (extension === '.csv') {
+    const rows = parseCsv(text).filter(row => row.some(cell => String(cell).trim() !== ''));
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const header = rows[0].map(cell => String(cell).trim().toLowerCase());
+    const handleColumn = header.findIndex(cell => HANDLE_FIELDS.includes(cell));
+    if (handleColumn === -1) {
+      // No recognizable header: every row is a lead, handle in the first column
+      return rows.map(row => ({ value: String(row[0] || ''), source: '' }));
+    }
+
+    const sourceColumn = header.indexOf('source');
+    return rows.slice(1).map(row => ({
+      value: String(row[handleColumn] || ''),
+      source: sourceColumn === -1 ? '' : String(row[sourceColumn] || '').trim(),
+    }));
+  }
+
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch (parseError) {
+    throw new Error(`Failed to parse lead file ${filePath} as JSON: ${parseError.message}`);
+  }
+
+  if (!Array.isArray(records)) {
+    throw new Error(`Invalid lead file ${filePath}: expected a JSON array of handles or objects`);
+  }
+
+  return records.map(record => {
+    if (record && typeof record === 'object') {
+      const lowerKeys = Object.fromEntries(Object.entries(record).map(([key, val]) => [key.toLowerCase(), val]));
+      const field = HANDLE_FIELDS.find(name => lowerKeys[name] !== undefined);
+      return {
+        value: field ? String(lowerKeys[field]) : '',
+        source: lowerKeys.source ? String(lowerKeys.source).trim() : '',
+      };
+    }
+    return { value: String(record === null || record === undefined ? '' : record), source: '' };
+  });
+}
+
+/**
+ * Sorts raw entries into rows to add, duplicates and rejects.
+ * Duplicates are detected against existing sheet rows and earlier entries in
+ * the same file, after both are canonicalized.
+ *
+ * @param {Array<{ value: string, source: string }>} entries - Entries from readLeadFile
+ * @param {Array<Object>} existingRows - Rows from loadDatabaseRows
+ * @param {string} defaultSource - Source for entries that do not carry one
+ * @returns {Object} Import plan with:
+ *   - toAdd: Array<{ username, source }>
+ *   - duplicates: Array<{ value, username, reason }>
+ *   - rejected: Array<{ value, reason }>
+ */
+function planImport(entries, existingRows, defaultSource) {
+  const existing = new Set(existingRows.map(row => canonicalizeUsername(row.username)).filter(Boolean));
+  const seen = new Set();
+  const plan = { toAdd: [], duplicates: [], rejected: [] };
+
+  for (const { value, source } of entries) {
+    const { username, valid, reason } = parseUsername(value);
+
+    if (!valid) {
+      plan.rejected.push({ value, reason });
+      continue;
+    }
+
+    if (existing.has(username)) {
+      plan.duplicates.push({ value, username, reason: 'already in sheet' });
+      continue;
+    }
+
+    if (seen.has(username)) {
+      plan.duplicates.push({ value, username, reason: 'repeated in file' });
+      continue;
+    }
+
+    const rowSource = source || defaultSource;
+    if (!rowSource) {
+      plan.rejected.push({ value, reason: 'no source (pass --source or add a Source column)' });
+      continue;
+    }
+
+    seen.add(username);
+    plan.toAdd.push({ username, source: rowSource });
+  }
+
+  return plan;
+}
+
+/**
+ * Imports a lead list into the sheet: normalizes handles and URLs, rejects
+ * invalid usernames, skips usernames already present, and appends the rest
+ * with Date Added, Source and the initial status.
+ *
+ * @param {string} filePath - Path to the lead list (.csv, .txt or .json)
+ * @param {Object} [options]
+ * @param {string} [options.source] - Source for entries without one (e.g. "Followers")
+ * @param {string} [options.status] - Initial status (defaults to ACTIVATE_STATUS)
+ * @param {boolean} [options.dryRun] - Report what would be imported without writing
+ * @returns {Promise<Object>} Import plan (see planImport) plus `added` (rows written)
+ * @throws {Error} If the file cannot be read, no status is available, or the append fails
+ */
+async function importLeads(filePath, options = {}) {
+  const status = (options.status || process.env.ACTIVATE_STATUS || '').trim();
+  if (!status) {
+    throw new Error('No initial status: pass --status or set ACTIVATE_STATUS');
+  }
+
+  const entries = readLeadFile(filePath);
+  const existingRows = await loadDatabaseRows();
+  const plan = planImport(entries, existingRows, (options.source || '').trim());
+
+  let added = 0;
+  if (!options.dryRun && plan.toAdd.length > 0) {
+    const dateAdded = new Date().toISOString();
+    added = await appendDatabaseRows(plan.toAdd.map(({ username, source }) => ({
+      DATE_ADDED: dateAdded,
+      USERNAME: username,
+      SOURCE: source,
+      STATUS: status,
+    })));
+  }
+
+  return { ...plan, added };
+}
+
+module.exports = {
+  readLeadFile,
+  planImport,
+  importLeads,
+};
+
+// Run standalone: node leadImporter.js <file> --source <Source> [--status <Status>] [--dry-run]
+if (require.main === module) {
+  const argValue = flag => {
+    const index = process.argv.indexOf(flag);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+
+  const filePath = process.argv[2];
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!filePath || filePath.startsWith('--')) {
+    logger.error('Usage: node leadImporter.js <file.csv|file.txt|file.json> --source <Source> [--status <Status>] [--dry-run]');
+    process.exit(1);
+  }
+
+  logger.section(dryRun ? 'Lead Import (DRY RUN - no rows will be added)' : 'Lead Import');
+
+  importLeads(filePath, { source: argValue('--source'), status: argValue('--status'), dryRun })
+    .then(({ toAdd, duplicates, rejected, added }) => {
+      logger.section('Import Summary');
+      logger.info(dryRun ? `Would add: ${toAdd.length}` : `Added: ${added}`);
+      logger.info(`Duplicates: ${duplicates.length}`);
+      logger.info(`Rejected: ${rejected.length}`);
+
+      rejected.forEach(({ value, reason }) => {
+        logger.warn(`  Rejected "${value}": ${reason}`);
+      });
+
+      logger.success(dryRun ? 'Dry run completed successfully' : 'Import completed');
+    })
+    .catch(error => {
+      logger.error(`Import failed: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,151 @@
+// leadStatus.js
+// Lead status lifecycle: the statuses a row can hold and the moves allowed between them
+//
+// Usage:
+//   node leadStatus.js dropdown   Adds a Status dropdown to the sheet (sheets backend only)
+require('dotenv').config();
+const logger = require('./logger');
+
+/**
+ * Every status the drafter and its tools write
+ */
+const LEAD_STATUSES = {
+  NEW: 'New',
+  IN_PROGRESS: 'In Progress',
+  DRAFTED: 'Drafted',
+  DRAFT_ABANDONED: 'Draft Abandoned',
+  SENT: 'Sent',
+  REPLIED: 'Replied',
+  CONVO_EXISTS: 'Convo Exists',
+  FAILED: 'Failed',
+  PERMANENTLY_FAILED: 'Permanently Failed',
+  OPTED_OUT: 'Opted Out',
+  SUPPRESSED: 'Suppressed',
+  INVALID_USERNAME: 'Invalid Username',
+};
+
+const {
+  NEW, IN_PROGRESS, DRAFTED, DRAFT_ABANDONED, SENT, REPLIED, CONVO_EXISTS, FAILED, PERMANENTLY_FAILED, OPTED_OUT,
+  SUPPRESSED, INVALID_USERNAME,
+} = LEAD_STATUSES;
+
+/**
+ * Allowed moves from each status. Writing a row's current status again is
+ * always allowed. Opted Out is final.
+ */
+const STATUS_TRANSITIONS = {
+  [NEW]: [IN_PROGRESS, DRAFTED, CONVO_EXISTS, FAILED, PERMANENTLY_FAILED, SUPPRESSED, INVALID_USERNAME, OPTED_OUT],
+  [IN_PROGRESS]: [NEW, DRAFTED, CONVO_EXISTS, FAILED, PERMANENTLY_FAILED, SUPPRESSED, INVALID_USERNAME, OPTED_OUT],
+  [DRAFTED]: [NEW, SENT, DRAFT_ABANDONED, REPLIED, FAILED, SUPPRESSED, OPTED_OUT],
+  [DRAFT_ABANDONED]: [NEW, IN_PROGRESS, DRAFTED, SENT, REPLIED, SUPPRESSED, OPTED_OUT],
+  [SENT]: [REPLIED, SUPPRESSED, OPTED_OUT],
+  [REPLIED]: [SUPPRESSED, OPTED_OUT],
+  [CONVO_EXISTS]: [REPLIED, SUPPRESSED, OPTED_OUT],
+  [FAILED]: [NEW, IN_PROGRESS, DRAFTED, CONVO_EXISTS, PERMANENTLY_FAILED, SUPPRESSED, INVALID_USERNAME, OPTED_OUT],
+  [PERMANENTLY_FAILED]: [NEW, SUPPRESSED, OPTED_OUT],
+  [SUPPRESSED]: [NEW, OPTED_OUT],
+  [INVALID_USERNAME]: [NEW, SUPPRESSED, OPTED_OUT],
+  [OPTED_OUT]: [],
+};
+
+/**
+ * Resolves a sheet status to its lifecycle status (case-insensitive).
+ * Blank cells, ACTIVATE_STATUS and any other status outside the lifecycle
+ * (e.g. "Ready" or "Retry" selected with FILTER) are entry statuses and
+ * behave like New.
+ *
+ * @param {string} status - Status as found in the sheet
+ * @returns {string} Lifecycle status
+ */
+function resolveStatus(status) {
+  const normalized = String(status || '').trim().toLowerCase();
+  const known = Object.values(LEAD_STATUSES).find(candidate => candidate.toLowerCase() === normalized);
+  return known || NEW;
+}
+
+/**
+ * Returns true if the status can be written to a row: a lifecycle status or
+ * ACTIVATE_STATUS (written back when a claim is released).
+ *
+ * @param {string} status - Status to write
+ * @returns {boolean} Whether the status is known
+ */
+function isWritableStatus(status) {
+  const value = String(status || '').trim();
+  const activateStatus = (process.env.ACTIVATE_STATUS || '').trim();
+  return Object.values(LEAD_STATUSES).includes(value) || (activateStatus !== '' && value === activateStatus);
+}
+
+/**
+ * Throws unless the status can be written to a row (see isWritableStatus).
+ *
+ * @param {string} status - Status to write
+ * @throws {Error} If the status is not part of the lifecycle
+ */
+function assertWritableStatus(status) {
+  if (!isWritableStatus(status)) {
+    throw new Error(
+      `Unknown lead status "${status}". ` +
+      `Valid statuses: ${Object.values(LEAD_STATUSES).join(', ')} (or ACTIVATE_STATUS)`
+    );
+  }
+}
+
+/**
+ * Returns true if a row holding `from` may be moved to `to`.
+ *
+ * @param {string} from - Status currently in the sheet
+ * @param {string} to - Status about to be written
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+  const current = resolveStatus(from);
+  const next = resolveStatus(to);
+  return current === next || STATUS_TRANSITIONS[current].includes(next);
+}
+
+/**
+ * Returns the values offered by the sheet's Status dropdown: every lifecycle
+ * status, plus ACTIVATE_STATUS when it is an entry status of its own.
+ *
+ * @returns {Array<string>} Dropdown values
+ */
+function getStatusOptions() {
+  const options = Object.values(LEAD_STATUSES);
+  const activateStatus = (process.env.ACTIVATE_STATUS || '').trim();
+  if (activateStatus && !options.includes(activateStatus)) {
+    return [activateStatus, ...options];
+  }
+  return options;
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  STATUS_TRANSITIONS,
+  resolveStatus,
+  isWritableStatus,
+  assertWritableStatus,
+  canTransition,
+  getStatusOptions,
+};
+
+// Run standalone: node leadStatus.js dropdown
+if (require.main === module) {
+  // Required here: sheetsManager itself depends on this module
+  const { installStatusDropdown } = require('./sheetsManager');
+  const [command] = process.argv.slice(2);
+
+  if (command !== 'dropdown') {
+    logger.error('Usage: node leadStatus.js dropdown');
+    process.exit(1);
+  }
+
+  installStatusDropdown()
+    .then(values => {
+      logger.success(`Status dropdown added to ${process.env.GOOGLE_SHEET_NAME}: ${values.join(', ')}`);
+    })
+    .catch(error => {
+      logger.error(error.message);
+      process.exit(1);
+    });
+}
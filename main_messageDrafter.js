@@ -2,14 +2,24 @@
 // Main orchestrator for Instagram Draft Message Automation
 
 require('dotenv').config();
-const { chromium } = require('playwright');
 const { validateEnv } = require('./envValidator');
 const { loadDatabaseRows } = require('./sheetsManager');
 const { loadFilteredDatabase } = require('./databaseLoader');
-const { updateDraftData } = require('./sheetsManager');
+const { updateDraftData, updateRowFields, getColumnMap, flushWrites, replayJournal, getIdentityMismatches, getStatusRejections } = require('./sheetsManager');
+const { readJournal, getJournalPath } = require('./writeJournal');
+const { generateRunId, claimsSupported, claimRows, releaseClaims } = require('./rowClaims');
+const { LEAD_STATUSES } = require('./leadStatus');
+const { getFailureOutcome } = require('./retryPolicy');
+const { FAILURE_CODES, getFailureCode } = require('./failureCodes');
+const { ensureBrowser, navigateToProfile } = require('./browserSession');
+const { DEFAULT_CAMPAIGN, getBaseEnv, loadCampaigns, parseCampaignArgs, selectCampaigns, withCampaignEnv } = require('./campaigns');
 const { openDMController } = require('./dmFlowController');
 const { detectExistingConversation } = require('./conversationDetector');
 const { draftMessage } = require('./messageDrafter');
+const { pickVariant } = require('./messageVariants');
+const { normalizeSource, findSourcesWithoutMessage } = require('./sourceMessages');
+const { isTemplateSyntax, parseTemplate, resolveTemplateVariables, getTemplateValues, renderTemplate } = require('./templateEngine');
+const { readThreadState, watchSends } = require('./sendWatcher');
 const { humanDelay } = require('./utils');
 const logger = require('./logger');
 
@@ -22,42 +32,17 @@ function isDryRun() {
 }
 
 /**
- * Initializes browser with persistent context
- * @returns {Promise<Object>} { browser } - Browser context (no page created)
+ * Writes all queued sheet updates, logging failures instead of throwing
  */
-async function initializeBrowser() {
-  logger.info('Launching browser with persistent context...');
-  
-  const browser = await chromium.launchPersistentContext('./browser-data', {
-    headless: false,
-    viewport: { width: 1200, height: 800 },
-    args: ['--disable-blink-features=AutomationControlled']
-  });
-  
-  logger.success('Browser launched successfully');
-  
-  return { browser };
-}
-
-/**
- * Navigates to a user's Instagram profile page
- * @param {Object} page - Playwright page object
- * @param {string} username - Instagram username to navigate to
- */
-async function navigateToProfile(page, username) {
-  const profileUrl = `https://www.instagram.com/${username}/`;
-  logger.info(`Navigating to profile: ${profileUrl}`);
-  
-  await page.goto(profileUrl, { waitUntil: 'domcontentloaded' });
-  await humanDelay(1500, 2500);
-  
-  // Check if redirected to login page
-  const loginInput = await page.$('input[name="username"]');
-  if (loginInput) {
-    throw new Error('Not logged in - redirected to login page. Run loginSeeder.js first.');
+async function flushSheetWrites() {
+  try {
+    const written = await flushWrites();
+    if (written > 0) {
+      logger.success(`Flushed ${written} queued sheet update(s)`);
+    }
+  } catch (error) {
+    logger.error(`Failed to flush queued sheet updates: ${error.message}`);
   }
-  
-  logger.success(`Successfully navigated to ${username}'s profile`);
 }
 
 /**
@@ -65,9 +50,11 @@ async function navigateToProfile(page, username) {
  * @param {Object} page - Playwright page object
  * @param {Object} row - User row data from database
  * @param {string} draftMessageText - The message template to use
- * @returns {Promise<Object>} Result object with success status and details
+ * @param {Object} [templateValues] - Row values for the template's placeholders
+ * @returns {Promise<Object>} Result object with success status and details; a
+ *   failed result carries `error` and `code` (one of FAILURE_CODES)
  */
-async function processUser(page, row, draftMessageText) {
+async function processUser(page, row, draftMessageText, templateValues = {}) {
   const { username, rowIndex } = row;
   const result = {
     username,
@@ -75,6 +62,7 @@ async function processUser(page, row, draftMessageText) {
     success: false,
     skipped: false,
     error: null,
+    code: null,
     message: null,
   };
   
@@ -88,6 +76,7 @@ async function processUser(page, row, draftMessageText) {
     
     if (!dmResult.success) {
       result.error = `Failed to open DM: ${dmResult.error || 'Unknown error'}`;
+      result.code = dmResult.code || FAILURE_CODES.DM_NOT_OPENED;
       logger.error(`Failed to open DM for ${username}: ${result.error}`);
       return result;
     }
@@ -112,10 +101,11 @@ async function processUser(page, row, draftMessageText) {
     
     // Draft the message
     logger.info(`Drafting message for ${username}...`);
-    const draftResult = await draftMessage(page, {});
+    const draftResult = await draftMessage(page, { template: draftMessageText, values: templateValues });
     
     if (!draftResult.success) {
       result.error = `Failed to draft message: ${draftResult.error || 'Unknown error'}`;
+      result.code = draftResult.code || FAILURE_CODES.DRAFT_FAILED;
       logger.error(`Failed to draft message for ${username}: ${result.error}`);
       return result;
     }
@@ -128,226 +118,622 @@ async function processUser(page, row, draftMessageText) {
     
   } catch (error) {
     result.error = error.message || String(error);
+    result.code = getFailureCode(error);
     logger.error(`Error processing ${username}: ${result.error}`);
     return result;
   }
 }
 
 /**
- * Main orchestrator function
+ * Queues the attempt tracking columns for a processed row: Attempts is
+ * incremented, Last Error and Failure Code set (blank after a success).
+ * Columns missing from the sheet are left out.
+ *
+ * @param {Object} row - Row that was processed
+ * @param {{ error: string, code: string }|null} [failure] - Why this attempt failed (null if it did not)
  */
-async function run() {
-  let browser = null;
-  let config = null;
+async function recordAttempt(row, failure = null) {
+  const { columns } = await getColumnMap();
+  const values = {};
+  if (columns.ATTEMPTS !== undefined) {
+    values.ATTEMPTS = String((row.attempts || 0) + 1);
+  }
+  if (columns.LAST_ERROR !== undefined) {
+    values.LAST_ERROR = failure ? failure.error : '';
+  }
+  if (columns.FAILURE_CODE !== undefined) {
+    values.FAILURE_CODE = failure ? failure.code : '';
+  }
   
+  if (Object.keys(values).length > 0) {
+    await updateRowFields(row.rowIndex, values, { username: row.username });
+  }
+}
+
+/**
+ * Queues a failed attempt: "Failed" while the retry policy allows another
+ * try, "Permanently Failed" once attempts run out or the failure code is
+ * never retried (see retryPolicy.js). The Message column is left as it is;
+ * the error goes to Last Error and its code to Failure Code.
+ *
+ * @param {Object} row - Row that was processed
+ * @param {{ error: string, code: string }} failure - Why the attempt failed
+ */
+async function recordFailure(row, failure) {
+  const outcome = getFailureOutcome(row, failure.code);
+  const timestamp = new Date().toISOString();
+  
+  await updateRowFields(row.rowIndex, { DATE_SENT: timestamp, STATUS: outcome.status }, { username: row.username });
+  await recordAttempt(row, failure);
+  logger.success(`Queued sheet update for ${row.username} (row ${row.rowIndex}) - Status: ${outcome.status} (${failure.code})`);
+  
+  if (outcome.status === LEAD_STATUSES.PERMANENTLY_FAILED) {
+    logger.warn(
+      `${row.username} will not be retried: ` +
+      (outcome.retryable ? `${outcome.attempts} attempt(s) used` : `"${outcome.code}" failures are never retried`)
+    );
+  }
+}
+
+/**
+ * Counts a failed row in the campaign summary by its failure code.
+ *
+ * @param {Object} summary - Campaign summary from runCampaign()
+ * @param {string} code - Failure code of the row
+ */
+function countFailure(summary, code) {
+  summary.failureCodes[code] = (summary.failureCodes[code] || 0) + 1;
+}
+
+/**
+ * Resolves one message template's placeholders against the sheet columns.
+ *
+ * @param {string} text - Template text
+ * @param {Object} columnMap - Column map from getColumnMap()
+ * @param {string} label - Where the template comes from, for errors
+ * @returns {{ text: string, template: Object|null }} Message (template is null for legacy
+ *   templates without placeholders)
+ * @throws {Error} If a placeholder is not a sheet column
+ */
+function prepareMessage(text, columnMap, label) {
   try {
-    // Check for dry-run mode
-    const dryRun = isDryRun();
+    return { text, template: isTemplateSyntax(text) ? resolveTemplateVariables(parseTemplate(text), columnMap) : null };
+  } catch (error) {
+    throw new Error(label ? `${label}: ${error.message}` : error.message);
+  }
+}
+
+/**
+ * Prepares the campaign's messages: the SOURCE_MESSAGES templates, and the
+ * fallback for other sources (the message variants, or DRAFT_MESSAGE as a
+ * single unnamed one). Placeholders are resolved against the sheet columns
+ * and every selected row must have a message, so a misspelled placeholder
+ * or uncovered source fails before the browser opens.
+ *
+ * @param {Object} config - Configuration returned by validateEnv()
+ * @param {Object} columnMap - Column map from getColumnMap()
+ * @param {Array<Object>} rows - Rows selected for drafting
+ * @returns {{ bySource: Object<string, Object>, fallback: Array<Object> }} Messages
+ *   (fallback variants carry id and weight; empty when there is no fallback)
+ * @throws {Error} If a placeholder is not a sheet column or a row's source has no message
+ */
+function prepareMessages(config, columnMap, rows) {
+  const bySource = {};
+  Object.entries(config.sourceMessages).forEach(([source, text]) => {
+    bySource[source] = prepareMessage(text, columnMap, `SOURCE_MESSAGES for "${source}"`);
+  });
+
+  let fallback = [];
+  if (config.variants) {
+    fallback = config.variants.map(({ id, weight, template }) => ({ id, weight, ...prepareMessage(template, columnMap, `Message variant "${id}"`) }));
+  } else if (config.draftMessage) {
+    fallback = [{ id: '', weight: 1, ...prepareMessage(config.draftMessage, columnMap, '') }];
+  }
+
+  if (fallback.length === 0) {
+    const missing = findSourcesWithoutMessage(rows.map(row => row.source), config.sourceMessages);
+    if (missing.length > 0) {
+      throw new Error(`SOURCE_MESSAGES has no template for source(s) ${missing.map(source => `"${source}"`).join(', ')} and there is no DRAFT_MESSAGE to fall back on`);
+    }
+  }
+
+  return { bySource, fallback };
+}
+
+/**
+ * Picks a row's message (its source's template, else its variant or
+ * DRAFT_MESSAGE) and collects the row's values for the template's placeholders.
+ *
+ * @param {Object} messages - prepareMessages() result
+ * @param {Object} row - Row to draft
+ * @param {Object} columnMap - Column map from getColumnMap()
+ * @returns {{ variant: string, source: boolean, text: string, template: Object|null, values: Object }}
+ *   Message plan (source is true when the source's template was used)
+ */
+function planMessage(messages, row, columnMap) {
+  const sourceMessage = messages.bySource[normalizeSource(row.source)];
+  const message = sourceMessage ||
+    (messages.fallback.length === 1 ? messages.fallback[0] : pickVariant(messages.fallback, row.username));
+  return {
+    variant: message.id || '',
+    source: Boolean(sourceMessage),
+    text: message.text,
+    template: message.template,
+    values: message.template ? getTemplateValues(message.template, row, columnMap) : {},
+  };
+}
+
+/**
+ * Returns the campaigns selected with --campaign, or the .env settings as a
+ * single "default" campaign when the flag is not given.
+ *
+ * @returns {Array<Object>} Campaigns ({ name, env })
+ * @throws {Error} If the campaigns file is invalid or a name is unknown
+ */
+function selectRunCampaigns() {
+  const names = parseCampaignArgs(process.argv);
+  if (names.length === 0) {
+    return [DEFAULT_CAMPAIGN];
+  }
+  return selectCampaigns(loadCampaigns(), names);
+}
+
+/**
+ * Warns when a campaign's own template or variants replace the .env
+ * SOURCE_MESSAGES (see loadCampaigns), so the per-source templates are not
+ * dropped silently.
+ *
+ * @param {Object} campaign - Campaign ({ name, env, dropsSourceMessages })
+ */
+function warnSourceMessagesOverride(campaign) {
+  const baseSourceMessages = (getBaseEnv('SOURCE_MESSAGES') || '').trim();
+  if (campaign.dropsSourceMessages && baseSourceMessages) {
+    logger.warn(
+      `Campaign "${campaign.name}": its own message replaces the .env SOURCE_MESSAGES ` +
+      '(add a "sourceMessages" field to the campaign to keep per-source templates)'
+    );
+  }
+}
+
+/**
+ * Logs the validated configuration of one campaign.
+ * @param {Object} config - Configuration returned by validateEnv()
+ */
+function logConfig(config) {
+  logger.info(`Instagram username: ${config.instagramUsername}`);
+  if (config.storageBackend === 'sheets') {
+    logger.info(`Sheet: ${config.sheetName} (ID: ${config.sheetId})`);
+    if (process.env.SHEETS_API_URL) {
+      logger.info(`Sheets API: ${process.env.SHEETS_API_URL} (local emulator)`);
+    }
+  } else {
+    logger.info(`Storage: ${config.storageBackend} (${config.storagePath})`);
+  }
+  if (config.filter) {
+    logger.info(`Filter: ${config.filter}`);
+  } else {
+    logger.info(`Source mode: ${config.sourceMode}`);
+  }
+  logger.info(`Activate status: ${config.activateStatus}`);
+  logger.info(`Max draft: ${config.maxDraft}`);
+  logger.info(`Max process: ${config.maxProcess}`);
+}
+
+/**
+ * Runs one campaign: replays its journaled writes, selects its rows and
+ * drafts messages until its MAX_DRAFT is reached. Must run inside
+ * withCampaignEnv() so storage and filters read the campaign's settings.
+ *
+ * @param {Object} campaign - Campaign ({ name, env })
+ * @param {Object} config - Configuration returned by validateEnv() for the campaign
+ * @param {boolean} dryRun - Whether --dry-run is set
+ * @param {Object} session - Run state shared across campaigns ({ browser })
+ * @returns {Promise<Object>} Campaign summary ({ name, selected, drafted, skipped, errors, mismatches,
+ *   sessionLost })
+ */
+async function runCampaign(campaign, config, dryRun, session) {
+  const summary = { name: campaign.name, selected: 0, drafted: 0, skipped: 0, errors: 0, failureCodes: {}, mismatches: 0, drafts: [], sessionLost: false };
+  const mismatchesBefore = getIdentityMismatches().length;
+  
+  // --- STEP 1b: Replay updates that failed in a previous run ---
+  // Must happen before loading rows, or already-drafted users could be picked again
+  const pendingJournal = readJournal();
+  if (pendingJournal.length > 0) {
+    logger.section('Replaying Journaled Sheet Updates');
     if (dryRun) {
-      logger.section('DRY RUN MODE - No browser or sheet updates will occur');
+      logger.warn(`${pendingJournal.length} journaled update(s) in ${getJournalPath()} will be replayed on the next real run`);
+    } else {
+      try {
+        const { replayed, remaining, deferred } = await replayJournal();
+        logger.success(`Replayed ${replayed} journaled sheet update(s)`);
+        if (remaining > 0) {
+          logger.warn(`${remaining} journaled update(s) reference columns missing from the sheet and were kept in ${getJournalPath()}`);
+        }
+        if (deferred > 0) {
+          logger.info(`${deferred} journaled update(s) belong to other sheets and will be replayed by their campaign`);
+        }
+      } catch (error) {
+        logger.error(`Failed to replay journaled sheet updates: ${error.message}`);
+        throw error;
+      }
     }
+  }
+  
+  // --- STEP 2: Load All Rows ---
+  logger.section('Loading Database Rows');
+  let allRows;
+  try {
+    allRows = await loadDatabaseRows();
+    logger.info(`Loaded ${allRows.length} total rows from ${config.storageBackend} storage`);
+  } catch (error) {
+    logger.error(`Failed to load database rows: ${error.message}`);
+    throw error;
+  }
+  
+  // --- STEP 3: Filter + Dedupe ---
+  logger.section('Filtering and Deduplication');
+  let filteredRows;
+  try {
+    filteredRows = await loadFilteredDatabase({ markInvalid: !dryRun, markSuppressed: !dryRun });
+    logger.info(`After filtering: ${filteredRows.length} rows ready for processing`);
+    summary.selected = filteredRows.length;
     
-    // --- STEP 1: Validate Environment ---
-    logger.section('Environment Validation');
+    if (filteredRows.length === 0) {
+      // Queued "Invalid Username" / "Suppressed" statuses are flushed by withCampaignEnv
+      logger.warn('No rows match the filter criteria.');
+      return summary;
+    }
+  } catch (error) {
+    logger.error(`Failed to filter database: ${error.message}`);
+    throw error;
+  }
+  
+  // --- STEP 3b: Resolve message templates against the sheet columns ---
+  const columnMap = await getColumnMap();
+  const messages = prepareMessages(config, columnMap, filteredRows);
+  if (Object.keys(messages.bySource).length > 0) {
+    logger.info(`Source templates: ${Object.keys(messages.bySource).join(', ')}`);
+  }
+  if (config.variants) {
+    logger.info(`Message variants: ${messages.fallback.map(({ id, weight }) => `${id} (weight ${weight})`).join(', ')}`);
+    if (columnMap.columns.VARIANT === undefined) {
+      logger.warn('Add a "Variant" column to the sheet to record which variant each lead got');
+    }
+  }
+  
+  // --- STEP 4: Initialize Browser (skip in dry-run) ---
+  if (dryRun) {
+    logger.section('Dry Run - Skipping Browser Initialization');
+    logger.info('Would process the following users:');
+    filteredRows.slice(0, config.maxDraft).forEach((row, index) => {
+      const retry = row.status === LEAD_STATUSES.FAILED && row.attempts !== null ? `, retry after ${row.attempts} attempt(s)` : '';
+      const plan = planMessage(messages, row, columnMap);
+      const message = plan.source ? `, ${normalizeSource(row.source)} template` : plan.variant ? `, variant ${plan.variant}` : '';
+      logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex}${retry}${message})`);
+      if (plan.template) {
+        // The first name comes from the profile, so previews show its fallback
+        logger.info(`     Message: "${renderTemplate(plan.template, plan.values)}"`);
+      }
+    });
+    return summary;
+  }
+  
+  // --- STEP 4b: Claim rows so a concurrent run never drafts the same users ---
+  let claimsActive = false;
+  if (await claimsSupported()) {
+    logger.section('Claiming Rows');
+    const runId = generateRunId();
     try {
-      config = validateEnv();
-      logger.success('Environment validation passed');
-      logger.info(`Instagram username: ${config.instagramUsername}`);
-      logger.info(`Sheet: ${config.sheetName} (ID: ${config.sheetId})`);
-      logger.info(`Source mode: ${config.sourceMode}`);
-      logger.info(`Activate status: ${config.activateStatus}`);
-      logger.info(`Max draft: ${config.maxDraft}`);
-      logger.info(`Max process: ${config.maxProcess}`);
+      filteredRows = await claimRows(filteredRows, runId);
+      claimsActive = true;
+      logger.success(`Claimed ${filteredRows.length} row(s) as run ${runId}`);
     } catch (error) {
-      logger.error(`Environment validation failed: ${error.message}`);
+      logger.error(`Failed to claim rows: ${error.message}`);
       throw error;
     }
     
-    // --- STEP 2: Load All Rows ---
-    logger.section('Loading Database Rows');
-    let allRows;
-    try {
-      allRows = await loadDatabaseRows();
-      logger.info(`Loaded ${allRows.length} total rows from Google Sheets`);
-    } catch (error) {
-      logger.error(`Failed to load database rows: ${error.message}`);
-      throw error;
+    if (filteredRows.length === 0) {
+      logger.warn('All selected rows are claimed by another run.');
+      return summary;
     }
+  } else {
+    logger.warn('Row claiming disabled: add "Claimed By" and "Claimed At" columns to the sheet to stop concurrent runs from drafting the same users');
+  }
+  
+  const { columns } = columnMap;
+  const missingFailureColumns = [['LAST_ERROR', 'Last Error'], ['FAILURE_CODE', 'Failure Code']]
+    .filter(([key]) => columns[key] === undefined)
+    .map(([, header]) => `"${header}"`);
+  if (missingFailureColumns.length > 0) {
+    logger.warn(`Failure details are only logged: add ${missingFailureColumns.join(' and ')} column(s) to the sheet to record them`);
+  }
+  
+  const browser = await ensureBrowser(session);
+  
+  // --- STEP 5: Iterate Through Users ---
+  logger.section('Drafting Messages');
+  
+  let draftedCount = 0;
+  let skippedCount = 0;
+  let errorCount = 0;
+  let processedCount = 0;
+  let sessionLost = false;
+  
+  for (let i = 0; i < filteredRows.length && draftedCount < config.maxDraft; i++) {
+    const row = filteredRows[i];
+    processedCount++;
+    logger.info(`Processing user ${i + 1}/${filteredRows.length}: ${row.username}`);
+    
+    // Create a new tab for this user
+    logger.info(`Creating new tab for ${row.username}...`);
+    const userPage = await browser.newPage();
+    logger.success(`New tab created for ${row.username} (tab ${i + 1})`);
+    
+    // Track whether drafting succeeded for this user
+    let draftingSucceeded = false;
+    
+    // Small delay before starting work on the new tab
+    await humanDelay(500, 1000);
     
-    // --- STEP 3: Filter + Dedupe ---
-    logger.section('Filtering and Deduplication');
-    let filteredRows;
     try {
-      filteredRows = await loadFilteredDatabase();
-      logger.info(`After filtering: ${filteredRows.length} rows ready for processing`);
+      const plan = planMessage(messages, row, columnMap);
+      const result = await processUser(userPage, row, plan.text, plan.values);
       
-      if (filteredRows.length === 0) {
-        logger.warn('No rows match the filter criteria. Exiting.');
-        return;
+      if (result.skipped) {
+        // Update sheet with "Convo Exists" status
+        try {
+          const timestamp = new Date().toISOString();
+          await updateDraftData(result.rowIndex, timestamp, '', LEAD_STATUSES.CONVO_EXISTS, { username: result.username });
+          await recordAttempt(row);
+          logger.success(`Queued sheet update for ${result.username} (row ${result.rowIndex}) - Status: Convo Exists`);
+        } catch (updateError) {
+          logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
+        }
+        skippedCount++;
+        // Drafting did not succeed - tab will be closed
+        logger.info(`Drafting failed for ${row.username}: conversation exists`);
+        draftingSucceeded = false;
+      } else if (result.success) {
+        // Update Google Sheet with drafted data
+        try {
+          const timestamp = new Date().toISOString();
+          await updateDraftData(result.rowIndex, timestamp, result.message, LEAD_STATUSES.DRAFTED, {
+            username: result.username,
+            operator: config.instagramUsername,
+            variant: plan.variant,
+          });
+          await recordAttempt(row);
+          logger.success(`Queued sheet update for ${result.username} (row ${result.rowIndex}) - Status: Drafted`);
+          draftedCount++;
+          // Outgoing bubbles before sending, so the send watch can tell when the draft goes out
+          const baseline = await readThreadState(userPage).catch(() => null);
+          summary.drafts.push({ campaign, row, username: row.username, page: userPage, baseline });
+          // Drafting succeeded - tab will remain open
+          draftingSucceeded = true;
+          logger.success(`Drafting succeeded for ${row.username} - tab will remain open`);
+          
+        } catch (updateError) {
+          logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
+          errorCount++;
+          // Sheet update failed, but drafting succeeded - keep tab open
+          draftingSucceeded = true;
+        }
+      } else if (result.code === FAILURE_CODES.NOT_LOGGED_IN) {
+        // Not the lead's fault: leave the row alone and stop (see below)
+        sessionLost = true;
+      } else {
+        // Update sheet with "Failed" (or "Permanently Failed") status
+        const failure = { error: result.error || 'Unknown error', code: result.code || FAILURE_CODES.OTHER };
+        try {
+          await recordFailure(row, failure);
+        } catch (updateError) {
+          logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
+        }
+        errorCount++;
+        countFailure(summary, failure.code);
+        // Drafting did not succeed - tab will be closed
+        logger.info(`Drafting failed for ${result.username}: ${result.error || 'Unknown error'}`);
+        draftingSucceeded = false;
       }
-    } catch (error) {
-      logger.error(`Failed to filter database: ${error.message}`);
-      throw error;
+      
+    } catch (userError) {
+      // Update sheet with "Failed" (or "Permanently Failed") status for unexpected errors
+      const failure = { error: userError.message || 'Unexpected error', code: getFailureCode(userError) };
+      if (failure.code === FAILURE_CODES.NOT_LOGGED_IN) {
+        sessionLost = true;
+      } else {
+        try {
+          await recordFailure(row, failure);
+        } catch (updateError) {
+          logger.error(`Failed to update sheet for ${row.username}: ${updateError.message}`);
+        }
+        errorCount++;
+        countFailure(summary, failure.code);
+        logger.error(`Unexpected error processing ${row.username}: ${userError.message}`);
+      }
+      // Drafting did not succeed - tab will be closed
+      draftingSucceeded = false;
+    }
+    
+    // Conditionally close tab based on success
+    if (draftingSucceeded) {
+      logger.info(`Keeping tab open for ${row.username} - message successfully drafted`);
+    } else {
+      logger.info(`Closing tab for ${row.username} - drafting failed or skipped`);
+      try {
+        await userPage.close();
+        logger.success(`Tab closed for ${row.username}`);
+      } catch (closeError) {
+        logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+      }
+    }
+    
+    // An expired session fails every remaining lead the same way, so stop
+    // instead of using up their attempts
+    if (sessionLost) {
+      summary.sessionLost = true;
+      logger.error('Instagram session is no longer logged in - stopping. Run loginSeeder.js, then run the drafter again.');
+      break;
     }
     
-    // --- STEP 4: Initialize Browser (skip in dry-run) ---
+    // Human-like delay before creating next tab
+    await humanDelay(2000, 4000);
+    
+    // Check if we've reached the draft limit
+    if (draftedCount >= config.maxDraft) {
+      logger.warn(`Reached MAX_DRAFT limit (${config.maxDraft}). Stopping.`);
+      logger.info(`All ${draftedCount} successfully drafted tabs remain open for manual sending.`);
+      break;
+    }
+  }
+  
+  // Release claims on rows this run did not get to (including the row the
+  // session was lost on, which was never attempted)
+  const unprocessedRows = filteredRows.slice(sessionLost ? processedCount - 1 : processedCount);
+  if (claimsActive && unprocessedRows.length > 0) {
+    try {
+      await releaseClaims(unprocessedRows, config.activateStatus);
+      logger.info(`Released ${unprocessedRows.length} unprocessed row claim(s)`);
+    } catch (error) {
+      logger.error(`Failed to release row claims: ${error.message}`);
+    }
+  }
+  
+  // Write out any sheet updates still waiting in the batch queue
+  await flushSheetWrites();
+  
+  summary.drafted = draftedCount;
+  summary.skipped = skippedCount;
+  summary.errors = errorCount;
+  summary.mismatches = getIdentityMismatches().length - mismatchesBefore;
+  return summary;
+}
+
+/**
+ * Logs the final summary, broken down by campaign when several ran.
+ * @param {Array<Object>} summaries - Campaign summaries from runCampaign()
+ */
+function logFinalSummary(summaries) {
+  logger.section('Final Summary');
+  
+  if (summaries.length > 1) {
+    summaries.forEach(summary => {
+      logger.info(
+        `Campaign "${summary.name}": ${summary.selected} selected, ${summary.drafted} drafted, ` +
+        `${summary.skipped} skipped, ${summary.errors} errors` +
+        (summary.mismatches > 0 ? `, ${summary.mismatches} refused updates` : '')
+      );
+    });
+  }
+  
+  const total = key => summaries.reduce((sum, summary) => sum + summary[key], 0);
+  logger.info(`Total users processed: ${total('selected')}`);
+  logger.success(`Successfully drafted: ${total('drafted')}`);
+  logger.warn(`Skipped (existing conversation): ${total('skipped')}`);
+  logger.error(`Errors: ${total('errors')}`);
+  const failureCodes = {};
+  summaries.forEach(summary => {
+    Object.entries(summary.failureCodes).forEach(([code, count]) => {
+      failureCodes[code] = (failureCodes[code] || 0) + count;
+    });
+  });
+  Object.entries(failureCodes)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([code, count]) => logger.error(`  - ${code}: ${count}`));
+  
+  const mismatches = getIdentityMismatches();
+  if (mismatches.length > 0) {
+    logger.error(`Sheet updates refused (row no longer holds the expected username): ${mismatches.length}`);
+    mismatches.forEach(mismatch => {
+      logger.error(`  - ${mismatch.expectedUsername} (row ${mismatch.rowIndex}, now "${mismatch.foundUsername || '(empty)'}"): ${mismatch.reason}`);
+    });
+  }
+  const rejections = getStatusRejections();
+  if (rejections.length > 0) {
+    logger.error(`Sheet updates refused (status change not allowed): ${rejections.length}`);
+    rejections.forEach(rejection => {
+      logger.error(`  - ${rejection.username || '(empty)'} (row ${rejection.rowIndex}): "${rejection.fromStatus || '(blank)'}" cannot become "${rejection.toStatus}"`);
+    });
+  }
+  logger.info(`Browser contains ${total('drafted')} open tabs with successfully drafted messages.`);
+  logger.info(`Each open tab contains a drafted message ready for manual sending.`);
+  logger.info(`Failed and skipped user tabs have been automatically closed.`);
+}
+
+/**
+ * Main orchestrator function
+ */
+async function run() {
+  const session = { browser: null };
+  
+  try {
+    // Check for dry-run mode
+    const dryRun = isDryRun();
     if (dryRun) {
-      logger.section('Dry Run - Skipping Browser Initialization');
-      logger.info('Would process the following users:');
-      filteredRows.slice(0, config.maxDraft).forEach((row, index) => {
-        logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex})`);
-      });
-      logger.success('Dry run completed successfully');
-      return;
+      logger.section('DRY RUN MODE - No browser or sheet updates will occur');
     }
     
-    logger.section('Browser Initialization');
+    // --- STEP 1: Select Campaigns and Validate Environment ---
+    // Every campaign is validated before any of them runs
+    logger.section('Environment Validation');
+    const runs = [];
     try {
-      const browserResult = await initializeBrowser();
-      browser = browserResult.browser;
-      
-      // Verify login with a temporary page (will be closed)
-      const tempPage = await browser.newPage();
-      await tempPage.goto('https://www.instagram.com/', { waitUntil: 'domcontentloaded' });
-      await humanDelay(2000, 3000);
-      
-      const loginInput = await tempPage.$('input[name="username"]');
-      if (loginInput) {
-        await tempPage.close();
-        throw new Error('Not logged in. Please run loginSeeder.js first to establish session.');
+      const campaigns = selectRunCampaigns();
+      for (const campaign of campaigns) {
+        try {
+          runs.push({ campaign, config: await withCampaignEnv(campaign, async () => validateEnv()) });
+          warnSourceMessagesOverride(campaign);
+        } catch (error) {
+          throw campaign === DEFAULT_CAMPAIGN ? error : new Error(`Campaign "${campaign.name}": ${error.message}`);
+        }
       }
+      logger.success('Environment validation passed');
       
-      // Close the temporary verification page
-      await tempPage.close();
-      logger.success('Browser initialized and session verified');
-      
-      // --- STEP 5: Iterate Through Users ---
-      logger.section('Drafting Messages');
-      
-      let draftedCount = 0;
-      let skippedCount = 0;
-      let errorCount = 0;
-      
-      for (let i = 0; i < filteredRows.length && draftedCount < config.maxDraft; i++) {
-        const row = filteredRows[i];
-        logger.info(`Processing user ${i + 1}/${filteredRows.length}: ${row.username}`);
-        
-        // Create a new tab for this user
-        logger.info(`Creating new tab for ${row.username}...`);
-        const userPage = await browser.newPage();
-        logger.success(`New tab created for ${row.username} (tab ${i + 1})`);
-        
-        // Track whether drafting succeeded for this user
-        let draftingSucceeded = false;
-        
-        // Small delay before starting work on the new tab
-        await humanDelay(500, 1000);
-        
-        try {
-          const result = await processUser(userPage, row, config.draftMessage);
-          
-          if (result.skipped) {
-            // Update sheet with "Convo Exists" status
-            try {
-              const timestamp = new Date().toISOString();
-              await updateDraftData(result.rowIndex, timestamp, '', 'Convo Exists');
-              logger.success(`Updated sheet for ${result.username} (row ${result.rowIndex}) - Status: Convo Exists`);
-            } catch (updateError) {
-              logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
-            }
-            skippedCount++;
-            // Drafting did not succeed - tab will be closed
-            logger.info(`Drafting failed for ${row.username}: conversation exists`);
-            draftingSucceeded = false;
-          } else if (result.success) {
-            // Update Google Sheet with drafted data
-            try {
-              const timestamp = new Date().toISOString();
-              await updateDraftData(result.rowIndex, timestamp, result.message, 'Drafted');
-              logger.success(`Updated sheet for ${result.username} (row ${result.rowIndex}) - Status: Drafted`);
-              draftedCount++;
-              // Drafting succeeded - tab will remain open
-              draftingSucceeded = true;
-              logger.success(`Drafting succeeded for ${row.username} - tab will remain open`);
-              
-            } catch (updateError) {
-              logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
-              errorCount++;
-              // Sheet update failed, but drafting succeeded - keep tab open
-              draftingSucceeded = true;
-            }
-          } else {
-            // Update sheet with "Failed" status
-            try {
-              const timestamp = new Date().toISOString();
-              const errorMessage = result.error || 'Unknown error';
-              await updateDraftData(result.rowIndex, timestamp, errorMessage, 'Failed');
-              logger.success(`Updated sheet for ${result.username} (row ${result.rowIndex}) - Status: Failed`);
-            } catch (updateError) {
-              logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
-            }
-            errorCount++;
-            // Drafting did not succeed - tab will be closed
-            logger.info(`Drafting failed for ${result.username}: ${result.error || 'Unknown error'}`);
-            draftingSucceeded = false;
-          }
-          
-        } catch (userError) {
-          // Update sheet with "Failed" status for unexpected errors
-          try {
-            const timestamp = new Date().toISOString();
-            const errorMessage = userError.message || 'Unexpected error';
-            await updateDraftData(row.rowIndex, timestamp, errorMessage, 'Failed');
-            logger.success(`Updated sheet for ${row.username} (row ${row.rowIndex}) - Status: Failed`);
-          } catch (updateError) {
-            logger.error(`Failed to update sheet for ${row.username}: ${updateError.message}`);
-          }
-          errorCount++;
-          logger.error(`Unexpected error processing ${row.username}: ${userError.message}`);
-          // Drafting did not succeed - tab will be closed
-          draftingSucceeded = false;
+      runs.forEach(({ campaign, config }) => {
+        if (campaign !== DEFAULT_CAMPAIGN) {
+          logger.info(`Campaign: ${campaign.name}`);
         }
-        
-        // Conditionally close tab based on success
-        if (draftingSucceeded) {
-          logger.info(`Keeping tab open for ${row.username} - message successfully drafted`);
-        } else {
-          logger.info(`Closing tab for ${row.username} - drafting failed or skipped`);
-          try {
-            await userPage.close();
-            logger.success(`Tab closed for ${row.username}`);
-          } catch (closeError) {
-            logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
-          }
+        logConfig(config);
+      });
+    } catch (error) {
+      logger.error(`Environment validation failed: ${error.message}`);
+      throw error;
+    }
+    
+    try {
+      const summaries = [];
+      for (const { campaign, config } of runs) {
+        if (campaign !== DEFAULT_CAMPAIGN) {
+          logger.section(`Campaign: ${campaign.name}`);
         }
-        
-        // Human-like delay before creating next tab
-        await humanDelay(2000, 4000);
-        
-        // Check if we've reached the draft limit
-        if (draftedCount >= config.maxDraft) {
-          logger.warn(`Reached MAX_DRAFT limit (${config.maxDraft}). Stopping.`);
-          logger.info(`All ${draftedCount} successfully drafted tabs remain open for manual sending.`);
+        const summary = await withCampaignEnv(campaign, () => runCampaign(campaign, config, dryRun, session));
+        summaries.push(summary);
+        if (summary.sessionLost && runs.length > summaries.length) {
+          logger.warn(`Skipping ${runs.length - summaries.length} remaining campaign(s): the Instagram session is no longer logged in`);
           break;
         }
       }
       
+      if (dryRun) {
+        if (summaries.length > 1) {
+          summaries.forEach(summary => logger.info(`Campaign "${summary.name}": ${summary.selected} rows selected`));
+        }
+        logger.success('Dry run completed successfully');
+        return;
+      }
+      
       // --- STEP 6: Final Summary ---
-      logger.section('Final Summary');
-      logger.info(`Total users processed: ${filteredRows.length}`);
-      logger.success(`Successfully drafted: ${draftedCount}`);
-      logger.warn(`Skipped (existing conversation): ${skippedCount}`);
-      logger.error(`Errors: ${errorCount}`);
-      logger.info(`Browser contains ${draftedCount} open tabs with successfully drafted messages.`);
-      logger.info(`Each open tab contains a drafted message ready for manual sending.`);
-      logger.info(`Failed and skipped user tabs have been automatically closed.`);
+      logFinalSummary(summaries);
+      
+      // --- STEP 6b: Record sends from the drafted tabs ---
+      await watchSends(summaries.flatMap(summary => summary.drafts));
       
     } catch (browserError) {
       logger.error(`Browser error: ${browserError.message}`);
       throw browserError;
     } finally {
       // --- STEP 7: Keep Browser Open for Inspection ---
-      if (browser) {
+      if (session.browser) {
         logger.section('Script Completed');
         logger.info('Browser will remain open for inspection.');
         logger.info('Close the browser manually when finished.');
@@ -357,7 +743,8 @@ async function run() {
     
   } catch (fatalError) {
     logger.error(`Fatal error: ${fatalError.message}`);
-    if (browser) {
+    await flushSheetWrites();
+    if (session.browser) {
       logger.section('Fatal Error - Browser Remains Open');
       logger.info('Browser will remain open for inspection.');
       logger.info('Close the browser manually when finished.');
@@ -368,6 +755,13 @@ async function run() {
   }
 }
 
+// Flush queued sheet updates before exiting on Ctrl+C
+process.on('SIGINT', async () => {
+  logger.warn('Received SIGINT - flushing queued sheet updates before exit...');
+  await flushSheetWrites();
+  process.exit(0);
+});
+
 // Run the orchestrator
 run().catch(error => {
   logger.error(`Unhandled error: ${error.message}`);
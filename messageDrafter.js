@@ -1,53 +1,87 @@
 // messageDrafter.js
 require('dotenv').config();
+const { FAILURE_CODES, getFailureCode } = require('./failureCodes');
 const { extractFirstName } = require('./nameExtractor');
+const { isTemplateSyntax, parseTemplate, usesFirstName, renderTemplate } = require('./templateEngine');
 const { humanDelay, ts } = require('./utils');
 
+/**
+ * Builds the personalized message. Templates using {{placeholders}} are
+ * rendered by templateEngine.js; legacy templates get the first name
+ * inserted in front of their first "!". The first name is only extracted
+ * (unless given) when the template needs it.
+ * @param {object} dmPage - Playwright Page object (DM thread already open)
+ * @param {object} options - draftMessage options (firstName, nameFound, template, values)
+ * @returns {Promise<{ firstName: string, message: string }>}
+ */
+async function buildMessage(dmPage, options) {
+  const baseMessage =
+    options.template ||
+    process.env.DRAFT_MESSAGE ||
+    "What's up! Great seeing you here. Are you here for the free content or are you interested in buying hotels?";
+  const template = isTemplateSyntax(baseMessage) ? parseTemplate(baseMessage) : null;
+
+  // --- STEP 1: Extract first name from profile ---
+  let firstName = options.firstName || '';
+  let nameFound = typeof options.nameFound === 'boolean' ? options.nameFound : false;
+
+  if (template && !usesFirstName(template)) {
+    nameFound = false;
+  } else if (!firstName) {
+    const nameResult = await extractFirstName(dmPage);
+    firstName = nameResult.firstName;
+    nameFound = nameResult.success;
+  } else {
+    nameFound = options.nameFound ?? (firstName.trim().length > 0);
+    console.log(`[${ts()}] 🧠 Using pre-extracted name: ${firstName || '(none)'}`);
+  }
+
+  console.log(`[${ts()}] 🧠 Extracted name: ${firstName || '(none)'} | Success: ${nameFound}`);
+
+  // --- STEP 2: Build the personalized message from the template (or .env) ---
+  let message;
+  if (template) {
+    message = renderTemplate(template, { ...options.values, firstName: nameFound ? firstName : '' });
+  } else if (nameFound && firstName.trim()) {
+    const idx = baseMessage.indexOf('!');
+    message =
+      idx === -1
+        ? `What's up ${firstName.trim()}! ${baseMessage}`
+        : baseMessage.slice(0, idx) + ` ${firstName.trim()}` + baseMessage.slice(idx);
+  } else {
+    message = baseMessage;
+  }
+
+  console.log(`[${ts()}] ✍️ Constructed message: "${message}"`);
+  return { firstName, message };
+}
+
 /**
  * Drafts a personalized message in an Instagram DM without sending it.
  * @param {object} dmPage - Playwright Page object (DM thread already open)
  * @param {object} options
  * @param {string} [options.firstName] - Pre-extracted first name, if available.
  * @param {boolean} [options.nameFound] - Whether the provided first name is validated.
- * @returns {Promise<{ success: boolean, firstName?: string, message?: string, typedText?: string }>}
+ * @param {string} [options.template] - Message template to use instead of DRAFT_MESSAGE (e.g. a campaign's template).
+ * @param {object} [options.values] - Sheet values for the template's placeholders (see getTemplateValues).
+ * @param {string} [options.message] - Finished message typed as is, skipping name extraction and the
+ *   template (e.g. a draft restored from the sheet).
+ * @returns {Promise<{ success: boolean, firstName?: string, message?: string, typedText?: string, error?: string, code?: string }>}
+ *   On failure, `error` describes the problem and `code` is one of FAILURE_CODES.
  */
 async function draftMessage(dmPage, options = {}) {
   console.log(`[${ts()}] 🧩 Starting message drafting process...`);
 
   try {
-    // --- STEP 1: Extract first name from profile ---
     let firstName = options.firstName || '';
-    let nameFound = typeof options.nameFound === 'boolean' ? options.nameFound : false;
+    let message = options.message;
 
-    if (!firstName) {
-      const nameResult = await extractFirstName(dmPage);
-      firstName = nameResult.firstName;
-      nameFound = nameResult.success;
+    if (message) {
+      console.log(`[${ts()}] ✍️ Using stored message: "${message}"`);
     } else {
-      nameFound = options.nameFound ?? (firstName.trim().length > 0);
-      console.log(`[${ts()}] 🧠 Using pre-extracted name: ${firstName || '(none)'}`);
+      ({ firstName, message } = await buildMessage(dmPage, options));
     }
 
-    console.log(`[${ts()}] 🧠 Extracted name: ${firstName || '(none)'} | Success: ${nameFound}`);
-
-    // --- STEP 2: Build the personalized message from .env ---
-    const baseMessage =
-      process.env.DRAFT_MESSAGE ||
-      "What's up! Great seeing you here. Are you here for the free content or are you interested in buying hotels?";
-
-    let message;
-    if (nameFound && firstName.trim()) {
-      const idx = baseMessage.indexOf('!');
-      message =
-        idx === -1
-          ? `What's up ${firstName.trim()}! ${baseMessage}`
-          : baseMessage.slice(0, idx) + ` ${firstName.trim()}` + baseMessage.slice(idx);
-    } else {
-      message = baseMessage;
-    }
-
-    console.log(`[${ts()}] ✍️ Constructed message: "${message}"`);
-
     // --- STEP 3: Locate Instagram DM input field ---
     const selectors = [
       'p[contenteditable="true"]',
@@ -68,7 +102,7 @@ async function draftMessage(dmPage, options = {}) {
 
     if (!input) {
       console.log(`[${ts()}] ❌ No DM input field found`);
-      return { success: false, firstName, message };
+      return { success: false, firstName, message, error: 'No DM input field found', code: FAILURE_CODES.DM_INPUT_NOT_FOUND };
     }
 
     // --- STEP 4: Focus & clear existing text ---
@@ -111,11 +145,19 @@ async function draftMessage(dmPage, options = {}) {
       console.log(`[${ts()}] ❌ Verification failed`);
       console.log(`[${ts()}] Expected: ${message}`);
       console.log(`[${ts()}] Got: ${typedText}`);
-      return { success: false, firstName, message, typedText };
+      return {
+        success: false,
+        firstName,
+        message,
+        typedText,
+        error: 'Typed text did not match the message',
+        code: FAILURE_CODES.DRAFT_NOT_VERIFIED,
+      };
     }
   } catch (err) {
     console.log(`[${ts()}] 💥 Drafting error: ${err.message}`);
-    return { success: false };
+    const code = getFailureCode(err);
+    return { success: false, error: err.message, code: code === FAILURE_CODES.OTHER ? FAILURE_CODES.DRAFT_FAILED : code };
   }
 }
 
@@ -0,0 +1,111 @@
+// messageVariants.js
+// Named, weighted message variants (MESSAGE_VARIANTS_PATH) picked per lead
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const { isTemplateSyntax, parseTemplate } = require('./templateEngine');
+
+/**
+ * Returns the variants file path, or null when variants are not configured
+ * (DRAFT_MESSAGE is used for every lead).
+ *
+ * @returns {string|null} MESSAGE_VARIANTS_PATH
+ */
+function getVariantsPath() {
+  return (process.env.MESSAGE_VARIANTS_PATH || '').trim() || null;
+}
+
+/**
+ * Loads the message variants: a JSON array of
+ *   { "id": "short", "weight": 2, "template": "Hey {{firstName|there}}! ..." }
+ * where weight is optional (default 1) and template uses the DRAFT_MESSAGE syntax.
+ *
+ * @param {string|null} [filePath] - Variants file (defaults to getVariantsPath())
+ * @returns {Array<{ id: string, weight: number, template: string }>|null} Variants, or null
+ *   when no file is configured
+ * @throws {Error} If the file is missing, not valid JSON, or a variant is malformed
+ */
+function loadVariants(filePath = getVariantsPath()) {
+  if (!filePath) {
+    return null;
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Message variants file not found: ${filePath}. Fix MESSAGE_VARIANTS_PATH or create the file.`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (parseError) {
+    throw new Error(`Failed to parse message variants file ${filePath}: ${parseError.message}`);
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error(`Invalid message variants file ${filePath}: expected a non-empty JSON array of variants`);
+  }
+
+  const ids = new Set();
+
+  return parsed.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Invalid message variant at position ${index + 1} in ${filePath}: expected an object`);
+    }
+
+    const id = typeof entry.id === 'string' ? entry.id.trim() : '';
+    if (!id) {
+      throw new Error(`Invalid message variant at position ${index + 1} in ${filePath}: "id" is required`);
+    }
+    if (ids.has(id.toLowerCase())) {
+      throw new Error(`Duplicate message variant id "${id}" in ${filePath}`);
+    }
+    ids.add(id.toLowerCase());
+
+    const weight = entry.weight === undefined ? 1 : Number(entry.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`Message variant "${id}": "weight" must be a positive number`);
+    }
+
+    const template = typeof entry.template === 'string' ? entry.template.trim() : '';
+    if (!template) {
+      throw new Error(`Message variant "${id}": "template" is required`);
+    }
+    if (isTemplateSyntax(template)) {
+      try {
+        parseTemplate(template);
+      } catch (templateError) {
+        throw new Error(`Message variant "${id}": ${templateError.message}`);
+      }
+    }
+
+    return { id, weight, template };
+  });
+}
+
+/**
+ * Picks a lead's variant. The choice depends only on the username and the
+ * variant list, so a lead drafted again (or restored) gets the same variant;
+ * across many leads each variant's share follows its weight.
+ *
+ * @param {Array<{ id: string, weight: number }>} variants - loadVariants() result
+ * @param {string} username - Canonical username
+ * @returns {Object} The chosen variant
+ */
+function pickVariant(variants, username) {
+  const hash = crypto.createHash('sha256').update(String(username).toLowerCase()).digest();
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+module.exports = {
+  getVariantsPath,
+  loadVariants,
+  pickVariant,
+};
@@ -0,0 +1,162 @@
+// optOut.js
+// Recognizes opt-out requests ("stop", "not interested", ...) in reply text
+require('dotenv').config();
+const fs = require('fs');
+
+/**
+ * Built-in opt-out phrases (English, Spanish, Portuguese, French, German,
+ * Italian). Matched as whole words anywhere in a reply, ignoring case,
+ * accents and apostrophes.
+ */
+const DEFAULT_OPT_OUT_PHRASES = [
+  // English
+  'not interested', 'leave me alone', 'remove me',
+  "don't message me", 'do not message me', "don't contact me", 'do not contact me', 'stop messaging me',
+  // Spanish
+  'no me interesa', 'no me escribas', 'deja de escribirme', 'no me contactes',
+  // Portuguese
+  'não tenho interesse', 'não me mande mensagem', 'pare de me mandar mensagem', 'não me contate',
+  // French
+  'pas intéressé', 'pas intéressée', "ne m'écris plus", 'ne me contactez plus',
+  // German
+  'kein interesse', 'nicht interessiert', 'schreib mir nicht', 'hör auf',
+  // Italian
+  'non mi interessa', 'non scrivermi',
+];
+
+/**
+ * Built-in short opt-out replies, which also turn up in ordinary sentences
+ * ("can't stop thinking about it"). Like every single-word phrase, they only
+ * count when they are (nearly) the whole message: see isWholeReplyMatch().
+ */
+const DEFAULT_OPT_OUT_REPLIES = ['stop', 'unsubscribe', 'no thanks', 'basta', 'arrête', 'smettila'];
+
+/**
+ * Words that turn a short reply into something else ("don't stop")
+ */
+const NEGATIONS = ['dont', 'do', 'not', 'never', 'cant', 'cannot', 'wont'];
+
+/**
+ * Scripts written without spaces between words; phrases in them match anywhere in the text
+ */
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+/**
+ * Normalizes text for phrase matching: lowercase, accents and apostrophes
+ * removed, every other non-letter/digit run collapsed to one space.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Comparable text
+ */
+function normalizeOptOutText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’‘`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Returns the opt-out phrase list: the built-in phrases plus any from
+ *   - OPT_OUT_PHRASES: comma-separated phrases
+ *   - OPT_OUT_PHRASES_PATH: text file with one phrase per line (# starts a comment)
+ *
+ * @returns {Array<string>} Phrases as written (duplicates removed)
+ * @throws {Error} If OPT_OUT_PHRASES_PATH cannot be read
+ */
+function getOptOutPhrases() {
+  const phrases = [...DEFAULT_OPT_OUT_PHRASES, ...DEFAULT_OPT_OUT_REPLIES];
+
+  if (process.env.OPT_OUT_PHRASES) {
+    phrases.push(...process.env.OPT_OUT_PHRASES.split(','));
+  }
+
+  const filePath = process.env.OPT_OUT_PHRASES_PATH;
+  if (filePath) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (readError) {
+      throw new Error(`Cannot read OPT_OUT_PHRASES_PATH file ${filePath}: ${readError.message}`);
+    }
+    phrases.push(...text.split(/\r?\n/).filter(line => !line.trim().startsWith('#')));
+  }
+
+  const seen = new Set();
+  return phrases
+    .map(phrase => phrase.trim())
+    .filter(phrase => {
+      const key = normalizeOptOutText(phrase);
+      if (!key || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Whether a short reply phrase makes up the whole message, allowing one
+ * extra word that is not a negation ("Please STOP.", "no thanks, bye").
+ *
+ * @param {string} key - Normalized phrase
+ * @param {string} normalized - Normalized message
+ * @returns {boolean} True if the message is the reply
+ */
+function isWholeReplyMatch(key, normalized) {
+  const phraseWords = key.split(' ');
+  const words = normalized.split(' ');
+  if (words.length > phraseWords.length + 1) {
+    return false;
+  }
+
+  const start = words.findIndex((_, index) => words.slice(index, index + phraseWords.length).join(' ') === key);
+  if (start === -1) {
+    return false;
+  }
+  const extra = words.filter((_, index) => index < start || index >= start + phraseWords.length);
+  return !extra.some(word => NEGATIONS.includes(word));
+}
+
+/**
+ * Finds the first opt-out phrase in a set of messages. Single-word phrases
+ * and the built-in short replies only match a message that is (nearly) just
+ * that reply; longer phrases match anywhere as whole words.
+ *
+ * @param {Array<string>} texts - Message texts (e.g. every reply in a thread)
+ * @param {Array<string>} [phrases] - Phrases to look for (defaults to getOptOutPhrases())
+ * @returns {{ phrase: string, text: string }|null} Matching phrase and message, or null
+ */
+function findOptOut(texts, phrases = getOptOutPhrases()) {
+  const replyKeys = DEFAULT_OPT_OUT_REPLIES.map(normalizeOptOutText);
+  const normalizedPhrases = phrases.map(phrase => {
+    const key = normalizeOptOutText(phrase);
+    const unspaced = UNSPACED_SCRIPT.test(key);
+    return { phrase, key, unspaced, reply: !unspaced && (!key.includes(' ') || replyKeys.includes(key)) };
+  });
+
+  for (const text of texts) {
+    const normalized = normalizeOptOutText(text);
+    const padded = ` ${normalized} `;
+    const match = normalizedPhrases.find(({ key, unspaced, reply }) => {
+      if (unspaced) {
+        return normalized.includes(key);
+      }
+      return reply ? isWholeReplyMatch(key, normalized) : padded.includes(` ${key} `);
+    });
+    if (match) {
+      return { phrase: match.phrase, text };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_OPT_OUT_PHRASES,
+  DEFAULT_OPT_OUT_REPLIES,
+  getOptOutPhrases,
+  findOptOut,
+};
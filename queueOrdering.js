@@ -0,0 +1,203 @@
+// queueOrdering.js
+// Orders, samples and interleaves the processing queue before MAX_PROCCESS is applied
+require('dotenv').config();
+const crypto = require('crypto');
+const { parseDateValue } = require('./filterExpression');
+
+/**
+ * Valid QUEUE_ORDER values:
+ *   - sheet: sheet order (default)
+ *   - newest / oldest: by Date Added (rows without a readable date go last)
+ *   - priority: by SOURCE_PRIORITY weight, highest first (sheet order within a weight)
+ *   - random: seeded shuffle, so MAX_PROCCESS takes a random sample
+ */
+const QUEUE_ORDERS = ['sheet', 'newest', 'oldest', 'priority', 'random'];
+
+/**
+ * Parses SOURCE_PRIORITY, e.g. "comments:3, likes:2, followers:1".
+ * Sources missing from the list get weight 1.
+ *
+ * @param {string} text - Raw SOURCE_PRIORITY value
+ * @returns {Map<string, number>} Weight keyed by lowercase source
+ * @throws {Error} If an entry is malformed or a weight is not a positive number
+ */
+function parseSourcePriority(text) {
+  const weights = new Map();
+  if (!text || text.trim() === '') {
+    return weights;
+  }
+
+  for (const entry of text.split(',')) {
+    const match = /^\s*([^:]+?)\s*:\s*([^\s]+)\s*$/.exec(entry);
+    const weight = match ? Number(match[2]) : NaN;
+
+    if (!match || !Number.isFinite(weight) || weight <= 0) {
+      throw new Error(
+        `Invalid SOURCE_PRIORITY entry "${entry.trim()}". ` +
+        'Use comma-separated source:weight pairs with positive weights, e.g. "comments:3, likes:2, followers:1"'
+      );
+    }
+
+    weights.set(match[1].toLowerCase(), weight);
+  }
+
+  return weights;
+}
+
+/**
+ * Reads the queue settings from the environment.
+ *
+ * @returns {Object} Queue options with:
+ *   - order: one of QUEUE_ORDERS
+ *   - priorities: Map of source weights (SOURCE_PRIORITY)
+ *   - interleave: whether to alternate sources (QUEUE_INTERLEAVE)
+ *   - seed: random seed (QUEUE_SEED, or a fresh one for random order)
+ * @throws {Error} If a setting is invalid
+ */
+function getQueueOptions() {
+  const order = (process.env.QUEUE_ORDER || 'sheet').trim().toLowerCase();
+  if (!QUEUE_ORDERS.includes(order)) {
+    throw new Error(`Invalid QUEUE_ORDER value: "${process.env.QUEUE_ORDER}". Valid values are: ${QUEUE_ORDERS.join(', ')}`);
+  }
+
+  const interleaveRaw = (process.env.QUEUE_INTERLEAVE || 'false').trim().toLowerCase();
+  if (!['true', 'false'].includes(interleaveRaw)) {
+    throw new Error(`Invalid QUEUE_INTERLEAVE value: "${process.env.QUEUE_INTERLEAVE}". Must be true or false`);
+  }
+
+  const seedRaw = (process.env.QUEUE_SEED || '').trim();
+
+  return {
+    order,
+    priorities: parseSourcePriority(process.env.SOURCE_PRIORITY),
+    interleave: interleaveRaw === 'true',
+    seed: seedRaw || (order === 'random' ? crypto.randomBytes(4).toString('hex') : ''),
+  };
+}
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32) from a seed string.
+ *
+ * @param {string} seed - Seed text
+ * @returns {Function} () => number in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns the SOURCE_PRIORITY weight of a row's source (1 if unlisted).
+ *
+ * @param {Object} row - Row object
+ * @param {Map<string, number>} priorities - Weights keyed by lowercase source
+ * @returns {number} Weight
+ */
+function sourceWeight(row, priorities) {
+  const weight = priorities.get(String(row.source || '').trim().toLowerCase());
+  return weight === undefined ? 1 : weight;
+}
+
+/**
+ * Alternates rows across sources, keeping each source's own order, so one
+ * MAX_DRAFT budget is shared between likes, comments and followers.
+ * With SOURCE_PRIORITY weights a source with weight 3 gets three rows for
+ * every one row of a weight-1 source (smooth weighted round robin).
+ *
+ * @param {Array<Object>} rows - Ordered rows
+ * @param {Map<string, number>} priorities - Weights keyed by lowercase source
+ * @returns {Array<Object>} Interleaved rows
+ */
+function interleaveBySource(rows, priorities) {
+  const queues = new Map();
+  for (const row of rows) {
+    const source = String(row.source || '').trim().toLowerCase();
+    if (!queues.has(source)) {
+      queues.set(source, { rows: [], weight: sourceWeight(row, priorities), credit: 0 });
+    }
+    queues.get(source).rows.push(row);
+  }
+
+  const result = [];
+  while (result.length < rows.length) {
+    const active = Array.from(queues.values()).filter(queue => queue.rows.length > 0);
+    const totalWeight = active.reduce((sum, queue) => sum + queue.weight, 0);
+
+    let best = null;
+    for (const queue of active) {
+      queue.credit += queue.weight;
+      if (!best || queue.credit > best.credit) {
+        best = queue;
+      }
+    }
+
+    best.credit -= totalWeight;
+    result.push(best.rows.shift());
+  }
+
+  return result;
+}
+
+/**
+ * Orders the processing queue according to the queue options.
+ * The input array is not modified.
+ *
+ * @param {Array<Object>} rows - Deduplicated rows in sheet order
+ * @param {Object} [options] - Queue options (defaults to getQueueOptions())
+ * @returns {Array<Object>} Ordered rows
+ */
+function orderQueue(rows, options = getQueueOptions()) {
+  let ordered = rows.slice();
+
+  switch (options.order) {
+    case 'newest':
+    case 'oldest': {
+      const direction = options.order === 'newest' ? -1 : 1;
+      const time = row => parseDateValue(String(row.dateAdded || '').trim());
+      // Array.prototype.sort is stable, so equal dates keep sheet order
+      ordered.sort((a, b) => {
+        const timeA = time(a);
+        const timeB = time(b);
+        if (Number.isNaN(timeA) || Number.isNaN(timeB)) {
+          return Number.isNaN(timeA) - Number.isNaN(timeB);
+        }
+        return (timeA - timeB) * direction;
+      });
+      break;
+    }
+    case 'priority':
+      ordered.sort((a, b) => sourceWeight(b, options.priorities) - sourceWeight(a, options.priorities));
+      break;
+    case 'random': {
+      // Fisher-Yates shuffle driven by the seed, so a run can be reproduced
+      const random = createSeededRandom(options.seed);
+      for (let i = ordered.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (options.interleave) {
+    ordered = interleaveBySource(ordered, options.priorities);
+  }
+
+  return ordered;
+}
+
+module.exports = {
+  QUEUE_ORDERS,
+  parseSourcePriority,
+  getQueueOptions,
+  orderQueue,
+};
@@ -0,0 +1,214 @@
+// reconcileDrafts.js
+// Revisits "Drafted" rows left by earlier sessions and records whether the message went out
+//
+// Usage: node reconcileDrafts.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+require('dotenv').config();
+const { validateEnv } = require('./envValidator');
+const { loadDatabaseRows, updateRowFields, getColumnMap, flushWrites } = require('./sheetsManager');
+const { LEAD_STATUSES, resolveStatus } = require('./leadStatus');
+const { DEFAULT_CAMPAIGN, loadCampaigns, parseCampaignArgs, selectCampaigns, withCampaignEnv } = require('./campaigns');
+const { ensureBrowser, openThread } = require('./browserSession');
+const { humanDelay } = require('./utils');
+const logger = require('./logger');
+
+/**
+ * Collapses whitespace and case so a sent message matches its draft.
+ *
+ * @param {string} text - Message text
+ * @returns {string} Comparable text
+ */
+function normalizeMessage(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Decides what became of a drafted message from its DM thread. Drafts are
+ * only made in empty threads, so any outgoing message means the operator
+ * sent it (possibly edited). A thread with only their messages (they wrote
+ * first or since) is a live conversation, and one where the bubble reader
+ * finds nothing but the conversation detector does may be; both are left for
+ * a manual check rather than drafted again.
+ *
+ * @param {Object} row - Drafted row from loadDatabaseRows
+ * @param {{ messages: Array<{ text: string, outgoing: boolean }> }} thread - readThreadMessages() result
+ * @param {boolean} hasConversation - detectExistingConversation() verdict
+ * @returns {{ outcome: 'sent'|'unsent'|'unclear', matched: boolean, reason?: 'incoming'|'unreadable' }}
+ *   outcome, whether an outgoing message matches the drafted text, and why an unclear thread is unclear
+ */
+function classifyDraft(row, thread, hasConversation) {
+  const outgoing = thread.messages.filter(message => message.outgoing);
+  const drafted = normalizeMessage(row.message);
+  const matched = drafted !== '' && outgoing.some(message => normalizeMessage(message.text) === drafted);
+
+  if (outgoing.length > 0) {
+    return { outcome: 'sent', matched };
+  }
+  if (thread.messages.length > 0) {
+    return { outcome: 'unclear', matched, reason: 'incoming' };
+  }
+  if (hasConversation) {
+    return { outcome: 'unclear', matched, reason: 'unreadable' };
+  }
+  return { outcome: 'unsent', matched };
+}
+
+/**
+ * Opens a drafted row's DM thread and classifies it (see classifyDraft).
+ *
+ * @param {Object} page - Playwright page for this row
+ * @param {Object} row - Drafted row from loadDatabaseRows
+ * @returns {Promise<{ outcome: string, matched: boolean, reason?: string }>} Reconcile result
+ * @throws {Error} If the profile or its DM thread cannot be opened
+ */
+async function checkDraft(page, row) {
+  const { thread, hasConversation } = await openThread(page, row.username);
+  return classifyDraft(row, thread, hasConversation);
+}
+
+/**
+ * Queues the reconciled status: "Sent" (Date Sent set to now when blank,
+ * since the real send time is unknown), or back to ACTIVATE_STATUS with the
+ * draft cleared so the row is drafted again.
+ *
+ * @param {Object} row - Drafted row from loadDatabaseRows
+ * @param {string} outcome - 'sent' or 'unsent'
+ */
+async function recordReconciled(row, outcome) {
+  if (outcome === 'sent') {
+    const values = { STATUS: LEAD_STATUSES.SENT };
+    if (!row.dateSent) {
+      values.DATE_SENT = new Date().toISOString();
+    }
+    await updateRowFields(row.rowIndex, values, { username: row.username });
+    return;
+  }
+
+  const { columns } = await getColumnMap();
+  const values = { STATUS: process.env.ACTIVATE_STATUS.trim(), MESSAGE: '', DATE_SENT: '' };
+  if (columns.DATE_DRAFTED !== undefined) {
+    values.DATE_DRAFTED = '';
+  }
+  await updateRowFields(row.rowIndex, values, { username: row.username });
+}
+
+/**
+ * Reconciles the Drafted rows of the current storage (run inside
+ * withCampaignEnv for a campaign's sheet).
+ *
+ * @param {Object} session - Browser state shared across campaigns ({ browser })
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum rows to check
+ * @param {boolean} [options.dryRun] - List the rows without opening the browser
+ * @returns {Promise<Object>} Counts: { drafted, sent, unsent, unclear, failed }
+ */
+async function reconcileDrafts(session, options = {}) {
+  const rows = await loadDatabaseRows();
+  const drafted = rows.filter(row => resolveStatus(row.status) === LEAD_STATUSES.DRAFTED);
+  const selected = options.limit ? drafted.slice(0, options.limit) : drafted;
+  const counts = { drafted: selected.length, sent: 0, unsent: 0, unclear: 0, failed: 0 };
+
+  logger.info(`Found ${drafted.length} Drafted row(s)${selected.length < drafted.length ? `, checking ${selected.length}` : ''}`);
+  if (options.dryRun) {
+    selected.forEach((row, index) => logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex})`));
+    return counts;
+  }
+  if (selected.length === 0) {
+    return counts;
+  }
+
+  const browser = await ensureBrowser(session);
+  for (const row of selected) {
+    const page = await browser.newPage();
+    try {
+      const { outcome, matched, reason } = await checkDraft(page, row);
+      counts[outcome]++;
+      if (outcome === 'sent') {
+        await recordReconciled(row, outcome);
+        logger.success(`${row.username} (row ${row.rowIndex}): sent${matched ? '' : ' (edited before sending)'} - Status: Sent`);
+      } else if (outcome === 'unsent') {
+        await recordReconciled(row, outcome);
+        logger.warn(`${row.username} (row ${row.rowIndex}): never sent - Status: ${process.env.ACTIVATE_STATUS.trim()}`);
+      } else if (reason === 'incoming') {
+        logger.warn(`${row.username} (row ${row.rowIndex}): thread only has their messages - left Drafted, check it manually`);
+      } else {
+        logger.warn(`${row.username} (row ${row.rowIndex}): thread has messages that could not be read - left Drafted, check it manually`);
+      }
+    } catch (error) {
+      counts.failed++;
+      logger.error(`${row.username} (row ${row.rowIndex}): could not check the thread (${error.message}) - left Drafted`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+    await humanDelay(2000, 4000);
+  }
+
+  await flushWrites();
+  return counts;
+}
+
+module.exports = {
+  classifyDraft,
+  checkDraft,
+  recordReconciled,
+  reconcileDrafts,
+};
+
+// Run standalone: node reconcileDrafts.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+if (require.main === module) {
+  const argValue = flag => {
+    const index = process.argv.indexOf(flag);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+
+  const dryRun = process.argv.includes('--dry-run');
+  const limitRaw = argValue('--limit');
+  const limit = limitRaw === undefined ? undefined : Number(limitRaw);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    logger.error('Usage: node reconcileDrafts.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]');
+    process.exit(1);
+  }
+
+  process.on('SIGINT', async () => {
+    logger.warn('Received SIGINT - flushing queued sheet updates before exit...');
+    await flushWrites().catch(error => logger.error(`Failed to flush queued sheet updates: ${error.message}`));
+    process.exit(0);
+  });
+
+  const session = { browser: null };
+  (async () => {
+    const names = parseCampaignArgs(process.argv);
+    const campaigns = names.length === 0 ? [DEFAULT_CAMPAIGN] : selectCampaigns(loadCampaigns(), names);
+    logger.section(dryRun ? 'Draft Reconciliation (DRY RUN - no browser or sheet updates)' : 'Draft Reconciliation');
+
+    const totals = { drafted: 0, sent: 0, unsent: 0, unclear: 0, failed: 0 };
+    for (const campaign of campaigns) {
+      if (campaign !== DEFAULT_CAMPAIGN) {
+        logger.section(`Campaign: ${campaign.name}`);
+      }
+      const counts = await withCampaignEnv(campaign, async () => {
+        validateEnv();
+        return reconcileDrafts(session, { limit, dryRun });
+      });
+      Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+    }
+
+    logger.section('Reconciliation Summary');
+    logger.info(`Drafted rows checked: ${totals.drafted}`);
+    if (!dryRun) {
+      logger.success(`Sent: ${totals.sent}`);
+      logger.warn(`Never sent (back to activate status): ${totals.unsent}`);
+      logger.warn(`Unclear (left Drafted): ${totals.unclear}`);
+      logger.error(`Could not check (left Drafted): ${totals.failed}`);
+    }
+    logger.success(dryRun ? 'Dry run completed successfully' : 'Reconciliation completed');
+  })()
+    .catch(error => {
+      logger.error(`Reconciliation failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      if (session.browser) {
+        await session.browser.close().catch(() => {});
+      }
+    });
+}
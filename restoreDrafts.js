@@ -0,0 +1,183 @@
+// restoreDrafts.js
+// Reopens this operator's "Drafted" rows in new tabs and types the stored message again
+//
+// Usage: node restoreDrafts.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+require('dotenv').config();
+const { validateEnv } = require('./envValidator');
+const { loadDatabaseRows, getColumnMap, flushWrites } = require('./sheetsManager');
+const { LEAD_STATUSES, resolveStatus } = require('./leadStatus');
+const { DEFAULT_CAMPAIGN, loadCampaigns, parseCampaignArgs, selectCampaigns, withCampaignEnv } = require('./campaigns');
+const { ensureBrowser } = require('./browserSession');
+const { checkDraft, recordReconciled } = require('./reconcileDrafts');
+const { draftMessage } = require('./messageDrafter');
+const { readThreadState, watchSends } = require('./sendWatcher');
+const { humanDelay } = require('./utils');
+const logger = require('./logger');
+
+/**
+ * Returns the Drafted rows to restore for an operator: rows whose Operator
+ * matches the account (case-insensitive) or is blank. Sheets without an
+ * Operator column restore every Drafted row.
+ *
+ * @param {Array<Object>} rows - Rows from loadDatabaseRows
+ * @param {string} operator - Instagram account of this browser (INSTAGRAM_USERNAME)
+ * @returns {Array<Object>} Rows to restore, in sheet order
+ */
+function selectDraftsToRestore(rows, operator) {
+  const account = operator.trim().toLowerCase();
+  return rows.filter(row =>
+    resolveStatus(row.status) === LEAD_STATUSES.DRAFTED &&
+    (row.operator === '' || row.operator.toLowerCase() === account)
+  );
+}
+
+/**
+ * Restores the current storage's drafts (run inside withCampaignEnv for a
+ * campaign's sheet). Each row's thread is checked first: a message that
+ * already went out is recorded as Sent instead of being typed again.
+ *
+ * @param {Object} session - Browser state shared across campaigns ({ browser })
+ * @param {Object} campaign - Campaign the rows belong to ({ name, env })
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum tabs to restore
+ * @param {boolean} [options.dryRun] - List the rows without opening the browser
+ * @returns {Promise<{ selected: number, restored: Array<Object>, sent: number, failed: number }>}
+ *   restored holds the reopened tabs ({ campaign, row, username, page, baseline }) for watchSends()
+ */
+async function restoreDrafts(session, campaign, options = {}) {
+  const operator = process.env.INSTAGRAM_USERNAME;
+  const rows = await loadDatabaseRows();
+  const { columns } = await getColumnMap();
+  if (columns.OPERATOR === undefined) {
+    logger.warn('No "Operator" column: restoring every Drafted row. Add one so each operator only restores their own drafts');
+  }
+
+  const candidates = selectDraftsToRestore(rows, operator);
+  const selected = options.limit ? candidates.slice(0, options.limit) : candidates;
+  const result = { selected: selected.length, restored: [], sent: 0, failed: 0 };
+
+  logger.info(`Found ${candidates.length} Drafted row(s) for ${operator}${selected.length < candidates.length ? `, restoring ${selected.length}` : ''}`);
+  if (options.dryRun) {
+    selected.forEach((row, index) => logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex})`));
+    return result;
+  }
+
+  const browser = selected.length > 0 ? await ensureBrowser(session) : null;
+  for (const row of selected) {
+    if (!row.message) {
+      result.failed++;
+      logger.warn(`${row.username} (row ${row.rowIndex}): no stored message to restore - skipped`);
+      continue;
+    }
+
+    const page = await browser.newPage();
+    let keepOpen = false;
+    try {
+      const { outcome, reason } = await checkDraft(page, row);
+      if (outcome === 'sent') {
+        result.sent++;
+        await recordReconciled(row, outcome);
+        logger.success(`${row.username} (row ${row.rowIndex}): already sent - Status: Sent`);
+      } else if (outcome === 'unclear' && reason === 'incoming') {
+        result.failed++;
+        logger.warn(`${row.username} (row ${row.rowIndex}): thread only has their messages - not restored, check it manually`);
+      } else if (outcome === 'unclear') {
+        result.failed++;
+        logger.warn(`${row.username} (row ${row.rowIndex}): thread has messages that could not be read - not restored, check it manually`);
+      } else {
+        const draftResult = await draftMessage(page, { message: row.message });
+        if (!draftResult.success) {
+          throw new Error(draftResult.error || 'Unknown error');
+        }
+        const baseline = await readThreadState(page).catch(() => null);
+        result.restored.push({ campaign, row, username: row.username, page, baseline });
+        keepOpen = true;
+        logger.success(`${row.username} (row ${row.rowIndex}): draft restored`);
+      }
+    } catch (error) {
+      result.failed++;
+      logger.error(`${row.username} (row ${row.rowIndex}): could not restore the draft (${error.message})`);
+    } finally {
+      if (!keepOpen) {
+        await page.close().catch(() => {});
+      }
+    }
+    await humanDelay(2000, 4000);
+  }
+
+  await flushWrites();
+  return result;
+}
+
+module.exports = {
+  selectDraftsToRestore,
+  restoreDrafts,
+};
+
+// Run standalone: node restoreDrafts.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+if (require.main === module) {
+  const argValue = flag => {
+    const index = process.argv.indexOf(flag);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+
+  const dryRun = process.argv.includes('--dry-run');
+  const limitRaw = argValue('--limit');
+  const limit = limitRaw === undefined ? undefined : Number(limitRaw);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    logger.error('Usage: node restoreDrafts.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]');
+    process.exit(1);
+  }
+
+  process.on('SIGINT', async () => {
+    logger.warn('Received SIGINT - flushing queued sheet updates before exit...');
+    await flushWrites().catch(error => logger.error(`Failed to flush queued sheet updates: ${error.message}`));
+    process.exit(0);
+  });
+
+  const session = { browser: null };
+  (async () => {
+    const names = parseCampaignArgs(process.argv);
+    const campaigns = names.length === 0 ? [DEFAULT_CAMPAIGN] : selectCampaigns(loadCampaigns(), names);
+    logger.section(dryRun ? 'Draft Restore (DRY RUN - no browser or sheet updates)' : 'Draft Restore');
+
+    const restored = [];
+    const totals = { selected: 0, sent: 0, failed: 0 };
+    for (const campaign of campaigns) {
+      if (campaign !== DEFAULT_CAMPAIGN) {
+        logger.section(`Campaign: ${campaign.name}`);
+      }
+      const result = await withCampaignEnv(campaign, async () => {
+        validateEnv();
+        return restoreDrafts(session, campaign, { limit, dryRun });
+      });
+      restored.push(...result.restored);
+      Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+    }
+
+    logger.section('Restore Summary');
+    logger.info(`Drafted rows found: ${totals.selected}`);
+    if (dryRun) {
+      logger.success('Dry run completed successfully');
+      return;
+    }
+    logger.success(`Restored tabs: ${restored.length}`);
+    logger.info(`Already sent (marked Sent): ${totals.sent}`);
+    logger.warn(`Not restored: ${totals.failed}`);
+
+    if (restored.length === 0) {
+      if (session.browser) {
+        await session.browser.close().catch(() => {});
+      }
+      return;
+    }
+
+    logger.info('Each restored tab holds its drafted message, ready for manual sending.');
+    await watchSends(restored);
+    logger.info('Browser will remain open. Close it manually when finished.');
+  })()
+    .catch(error => {
+      logger.error(`Restore failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
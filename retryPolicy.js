@@ -0,0 +1,117 @@
+// retryPolicy.js
+// Decides when a Failed row is drafted again and when it is parked as Permanently Failed
+require('dotenv').config();
+const { LEAD_STATUSES, resolveStatus } = require('./leadStatus');
+const { FAILURE_CODES, isFailureCode, classifyFailure } = require('./failureCodes');
+
+/**
+ * Failure codes never retried unless NON_RETRYABLE_FAILURES says otherwise
+ */
+const DEFAULT_NON_RETRYABLE = [
+  FAILURE_CODES.ACCOUNT_NOT_FOUND,
+  FAILURE_CODES.INVALID_USERNAME,
+  FAILURE_CODES.MESSAGING_UNAVAILABLE,
+];
+
+/**
+ * Reads the retry settings from the environment:
+ *   - RETRY_MAX_ATTEMPTS: drafting attempts before a row is Permanently Failed (default 3)
+ *   - RETRY_COOLDOWN_MINUTES: wait after a failure before retrying (default 1440)
+ *   - NON_RETRYABLE_FAILURES: comma-separated failure codes never retried
+ *
+ * @returns {{ maxAttempts: number, cooldownMs: number, nonRetryable: Array<string> }} Retry policy
+ * @throws {Error} If a setting is invalid
+ */
+function getRetryPolicy() {
+  const maxRaw = (process.env.RETRY_MAX_ATTEMPTS || '3').trim();
+  const maxAttempts = Number(maxRaw);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new Error(`Invalid RETRY_MAX_ATTEMPTS value: "${process.env.RETRY_MAX_ATTEMPTS}". Must be a positive integer`);
+  }
+
+  const cooldownRaw = (process.env.RETRY_COOLDOWN_MINUTES || '1440').trim();
+  const cooldownMinutes = Number(cooldownRaw);
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0) {
+    throw new Error(`Invalid RETRY_COOLDOWN_MINUTES value: "${process.env.RETRY_COOLDOWN_MINUTES}". Must be a non-negative integer`);
+  }
+
+  let nonRetryable = DEFAULT_NON_RETRYABLE;
+  if (process.env.NON_RETRYABLE_FAILURES !== undefined) {
+    nonRetryable = process.env.NON_RETRYABLE_FAILURES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const unknown = nonRetryable.filter(name => !isFailureCode(name));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Invalid NON_RETRYABLE_FAILURES value: unknown failure code${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}. ` +
+        `Valid codes: ${Object.values(FAILURE_CODES).join(', ')}`
+      );
+    }
+  }
+
+  return { maxAttempts, cooldownMs: cooldownMinutes * 60 * 1000, nonRetryable };
+}
+
+/**
+ * Returns the failure code recorded for a row. Rows failed before the
+ * Failure Code column existed are classified by their last error.
+ *
+ * @param {Object} row - Row object from loadDatabaseRows
+ * @returns {string} Failure code
+ */
+function getRowFailureCode(row) {
+  return isFailureCode(row.failureCode) ? row.failureCode : classifyFailure(row.lastError);
+}
+
+/**
+ * Returns true if a Failed row may be drafted again: the sheet tracks
+ * attempts, the row has attempts left, its failure code is retryable and the
+ * cooldown since its last attempt (Date Sent) has passed. Rows without a
+ * readable Date Sent are eligible right away.
+ *
+ * @param {Object} row - Row object from loadDatabaseRows
+ * @param {Object} [policy] - Retry policy (defaults to getRetryPolicy())
+ * @param {number} [now] - Current time in ms (defaults to Date.now())
+ * @returns {boolean} Whether the row is due for a retry
+ */
+function isRetryEligible(row, policy = getRetryPolicy(), now = Date.now()) {
+  if (!row || resolveStatus(row.status) !== LEAD_STATUSES.FAILED || row.attempts === null || row.attempts === undefined) {
+    return false;
+  }
+
+  if (row.attempts >= policy.maxAttempts || policy.nonRetryable.includes(getRowFailureCode(row))) {
+    return false;
+  }
+
+  const lastAttempt = Date.parse(row.dateSent || '');
+  return Number.isNaN(lastAttempt) || now - lastAttempt >= policy.cooldownMs;
+}
+
+/**
+ * Decides the status for a row whose drafting attempt just failed: Failed
+ * while retries remain, Permanently Failed once attempts run out or the
+ * failure code is never retried.
+ *
+ * @param {Object} row - Row that was processed (attempts before this one)
+ * @param {string} code - Failure code of the attempt (see FAILURE_CODES)
+ * @param {Object} [policy] - Retry policy (defaults to getRetryPolicy())
+ * @returns {{ status: string, code: string, attempts: number, retryable: boolean }} Failure outcome
+ */
+function getFailureOutcome(row, code, policy = getRetryPolicy()) {
+  const attempts = (row.attempts || 0) + 1;
+  const retryable = !policy.nonRetryable.includes(code);
+  // Without an Attempts column the count restarts every run, so only the failure code can park a row
+  const exhausted = row.attempts !== null && row.attempts !== undefined && attempts >= policy.maxAttempts;
+
+  return {
+    status: retryable && !exhausted ? LEAD_STATUSES.FAILED : LEAD_STATUSES.PERMANENTLY_FAILED,
+    code,
+    attempts,
+    retryable,
+  };
+}
+
+module.exports = {
+  getRetryPolicy,
+  getRowFailureCode,
+  isRetryEligible,
+  getFailureOutcome,
+};
@@ -0,0 +1,165 @@
+// rowClaims.js
+// Marks selected rows "In Progress" so concurrent runs never draft the same user
+require('dotenv').config();
+const os = require('os');
+const crypto = require('crypto');
+const { getColumnMap, loadDatabaseRows, updateRowFields, flushWrites } = require('./sheetsManager');
+const { LEAD_STATUSES } = require('./leadStatus');
+const logger = require('./logger');
+
+/**
+ * Status written to rows claimed by a run
+ */
+const CLAIM_STATUS = LEAD_STATUSES.IN_PROGRESS;
+
+/**
+ * Generates an ID identifying this run in the Claimed By column.
+ * Format: {hostname}-{pid}-{random}
+ *
+ * @returns {string} Run ID
+ */
+function generateRunId() {
+  return `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Returns the claim lifetime in milliseconds (CLAIM_TTL_MINUTES, default 120).
+ * Claims older than this are treated as abandoned by a crashed run.
+ *
+ * @returns {number} Claim TTL in milliseconds
+ */
+function getClaimTtlMs() {
+  return (parseInt(process.env.CLAIM_TTL_MINUTES, 10) || 120) * 60 * 1000;
+}
+
+/**
+ * Returns true if the row is "In Progress" under a claim that has not expired.
+ * A claim with a missing or unparseable time is treated as expired.
+ *
+ * @param {Object} row - Row object from loadDatabaseRows
+ * @param {number} [now] - Current time in ms (defaults to Date.now())
+ * @returns {boolean} True if another run may still be working on the row
+ */
+function isClaimActive(row, now = Date.now()) {
+  if (!row || (row.status || '').trim() !== CLAIM_STATUS) {
+    return false;
+  }
+
+  const claimedAt = Date.parse(row.claimedAt || '');
+  if (Number.isNaN(claimedAt)) {
+    return false;
+  }
+
+  return now - claimedAt < getClaimTtlMs();
+}
+
+/**
+ * Returns true if the row was claimed by a run whose claim has since expired,
+ * so it can be picked up again.
+ *
+ * @param {Object} row - Row object from loadDatabaseRows
+ * @param {number} [now] - Current time in ms (defaults to Date.now())
+ * @returns {boolean} True if the row holds an expired claim
+ */
+function isClaimExpired(row, now = Date.now()) {
+  return !!row && (row.status || '').trim() === CLAIM_STATUS && !isClaimActive(row, now);
+}
+
+/**
+ * Returns true if the sheet has the Claimed By and Claimed At columns needed for claiming.
+ *
+ * @returns {Promise<boolean>} Whether claiming is available
+ */
+async function claimsSupported() {
+  const { columns } = await getColumnMap();
+  return columns.CLAIMED_BY !== undefined && columns.CLAIMED_AT !== undefined;
+}
+
+/**
+ * Claims rows for this run before any browser work starts.
+ *
+ * Each row is marked "In Progress" with the run ID and claim time and written
+ * immediately. After CLAIM_SETTLE_MS (default 3000) the sheet is re-read and
+ * only rows still holding this run's ID are returned, so a row claimed by two
+ * runs at the same moment ends up with exactly one of them.
+ *
+ * @param {Array<Object>} rows - Rows selected by loadFilteredDatabase
+ * @param {string} runId - ID of this run (see generateRunId)
+ * @returns {Promise<Array<Object>>} Rows successfully claimed, in the original order
+ *   (each keeps the status it had before the claim in preClaimStatus)
+ * @throws {Error} If the claim write or verification read fails
+ */
+async function claimRows(rows, runId) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const claimedAt = new Date().toISOString();
+  for (const row of rows) {
+    await updateRowFields(row.rowIndex, {
+      STATUS: CLAIM_STATUS,
+      CLAIMED_BY: runId,
+      CLAIMED_AT: claimedAt,
+    }, { username: row.username });
+  }
+  await flushWrites();
+
+  // Give a concurrent run's claim write time to land before checking who won
+  const settleMs = parseInt(process.env.CLAIM_SETTLE_MS, 10);
+  await new Promise(resolve => setTimeout(resolve, Number.isNaN(settleMs) ? 3000 : settleMs));
+
+  const currentRows = await loadDatabaseRows();
+  const ownedRows = currentRows.filter(row => row.claimedBy === runId && row.status === CLAIM_STATUS);
+
+  const claimed = [];
+  for (const row of rows) {
+    // Match by username: the row may have moved since it was loaded
+    const current = ownedRows.find(candidate => candidate.username === row.username);
+    if (current) {
+      claimed.push({
+        ...row,
+        rowIndex: current.rowIndex,
+        preClaimStatus: row.status,
+        status: CLAIM_STATUS,
+        claimedBy: runId,
+        claimedAt,
+      });
+    } else {
+      logger.warn(`Skipping ${row.username}: claimed by another run`);
+    }
+  }
+
+  return claimed;
+}
+
+/**
+ * Releases claims on rows this run did not get to, restoring the status each
+ * row had before the claim (so a Failed row keeps its retry cooldown) and
+ * letting the next run pick them up without waiting for the claim to expire.
+ *
+ * @param {Array<Object>} rows - Claimed rows that were not processed (from claimRows)
+ * @param {string} releaseStatus - Status for rows that were already "In Progress" under an
+ *   expired claim, or have no pre-claim status (the activate status)
+ * @throws {Error} If the release cannot be queued
+ */
+async function releaseClaims(rows, releaseStatus) {
+  for (const row of rows) {
+    const previousStatus = (row.preClaimStatus || '').trim();
+    await updateRowFields(row.rowIndex, {
+      STATUS: previousStatus && previousStatus !== CLAIM_STATUS ? previousStatus : releaseStatus,
+      CLAIMED_BY: '',
+      CLAIMED_AT: '',
+    }, { username: row.username, restoreStatus: true });
+  }
+  await flushWrites();
+}
+
+module.exports = {
+  CLAIM_STATUS,
+  generateRunId,
+  isClaimActive,
+  isClaimExpired,
+  claimsSupported,
+  claimRows,
+  releaseClaims,
+};
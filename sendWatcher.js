@@ -0,0 +1,146 @@
+// sendWatcher.js
+// Watches the drafted tabs left open for manual sending and reports sends and abandoned drafts
+require('dotenv').config();
+const { readThreadMessages } = require('./conversationTools');
+const { updateRowFields } = require('./sheetsManager');
+const { LEAD_STATUSES } = require('./leadStatus');
+const { withCampaignEnv } = require('./campaigns');
+const logger = require('./logger');
+
+/**
+ * Reads the send watch settings from the environment:
+ *   - SEND_WATCH_MINUTES: how long drafted tabs are watched after the run (default 120, 0 disables)
+ *   - SEND_WATCH_POLL_SECONDS: time between checks of the open tabs (default 3)
+ *
+ * @returns {{ timeoutMs: number, pollMs: number }} Send watch options
+ * @throws {Error} If a setting is invalid
+ */
+function getSendWatchOptions() {
+  const minutesRaw = (process.env.SEND_WATCH_MINUTES || '120').trim();
+  const minutes = Number(minutesRaw);
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    throw new Error(`Invalid SEND_WATCH_MINUTES value: "${process.env.SEND_WATCH_MINUTES}". Must be a non-negative integer`);
+  }
+
+  const pollRaw = (process.env.SEND_WATCH_POLL_SECONDS || '3').trim();
+  const pollSeconds = Number(pollRaw);
+  if (!Number.isFinite(pollSeconds) || pollSeconds <= 0) {
+    throw new Error(`Invalid SEND_WATCH_POLL_SECONDS value: "${process.env.SEND_WATCH_POLL_SECONDS}". Must be a positive number`);
+  }
+
+  return { timeoutMs: minutes * 60 * 1000, pollMs: Math.round(pollSeconds * 1000) };
+}
+
+/**
+ * Counts the outgoing message bubbles in a DM tab.
+ *
+ * @param {Object} page - Playwright page with the DM thread open
+ * @returns {Promise<{ composerText: string, outgoingCount: number }>} Composer text and outgoing bubble count
+ */
+async function readThreadState(page) {
+  const { composerText, messages } = await readThreadMessages(page);
+  return { composerText, outgoingCount: messages.filter(message => message.outgoing).length };
+}
+
+/**
+ * Watches drafted tabs until each one is sent or closed, or the watch times
+ * out. A draft counts as sent once its composer is empty and the thread has
+ * more outgoing bubbles than when it was drafted; a tab closed before that
+ * is an abandoned draft. Drafts still open at the timeout are left as they are.
+ *
+ * @param {Array<Object>} drafts - Drafted tabs, each with:
+ *   - page: Playwright page left open for sending
+ *   - username: drafted user (for logging)
+ *   - baseline: readThreadState() result taken right after drafting (null to take it now)
+ * @param {Object} handlers - Callbacks:
+ *   - onSent(draft, sentAt): the draft was sent (sentAt: ISO detection time)
+ *   - onAbandoned(draft): the tab was closed without sending
+ * @param {Object} [options] - Watch options (defaults to getSendWatchOptions())
+ * @returns {Promise<{ sent: number, abandoned: number, pending: number }>} Outcome counts
+ */
+async function watchDraftedTabs(drafts, handlers, options = getSendWatchOptions()) {
+  const pending = new Set(drafts);
+  const counts = { sent: 0, abandoned: 0, pending: 0 };
+  const deadline = Date.now() + options.timeoutMs;
+
+  while (pending.size > 0 && Date.now() < deadline) {
+    for (const draft of pending) {
+      if (draft.page.isClosed()) {
+        pending.delete(draft);
+        counts.abandoned++;
+        logger.warn(`Draft for ${draft.username} abandoned (tab closed without sending)`);
+        await handlers.onAbandoned(draft);
+        continue;
+      }
+
+      let state;
+      try {
+        state = await readThreadState(draft.page);
+      } catch (error) {
+        // The tab may be navigating or closing; check again on the next pass
+        continue;
+      }
+
+      if (!draft.baseline) {
+        draft.baseline = state;
+        continue;
+      }
+
+      if (state.composerText === '' && state.outgoingCount > draft.baseline.outgoingCount) {
+        pending.delete(draft);
+        counts.sent++;
+        const sentAt = new Date().toISOString();
+        logger.success(`Message to ${draft.username} sent at ${sentAt}`);
+        await handlers.onSent(draft, sentAt);
+      }
+    }
+
+    if (pending.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, options.pollMs));
+    }
+  }
+
+  counts.pending = pending.size;
+  return counts;
+}
+
+/**
+ * Watches drafted tabs left open for sending and records the outcome: a sent
+ * draft is marked "Sent" with the time it went out, a tab closed without
+ * sending "Draft Abandoned". Skipped when SEND_WATCH_MINUTES is 0.
+ *
+ * @param {Array<Object>} drafts - Drafted tabs as for watchDraftedTabs, each also with:
+ *   - campaign: campaign the row belongs to ({ name, env })
+ *   - row: drafted row ({ rowIndex, username })
+ */
+async function watchSends(drafts) {
+  const options = getSendWatchOptions();
+  if (drafts.length === 0 || options.timeoutMs === 0) {
+    return;
+  }
+
+  logger.section('Watching Drafted Tabs');
+  logger.info(
+    `Watching ${drafts.length} drafted tab(s) for up to ${options.timeoutMs / 60000} minute(s). ` +
+    'Sent messages are marked Sent; closing a tab without sending marks the draft abandoned.'
+  );
+
+  // Each row is written with its campaign's settings, so it lands in that campaign's sheet
+  const record = (draft, values) => withCampaignEnv(draft.campaign, () =>
+    updateRowFields(draft.row.rowIndex, values, { username: draft.row.username })
+  ).catch(error => logger.error(`Failed to update sheet for ${draft.username}: ${error.message}`));
+
+  const counts = await watchDraftedTabs(drafts, {
+    onSent: (draft, sentAt) => record(draft, { STATUS: LEAD_STATUSES.SENT, DATE_SENT: sentAt }),
+    onAbandoned: draft => record(draft, { STATUS: LEAD_STATUSES.DRAFT_ABANDONED }),
+  }, options);
+
+  logger.info(`Send watch finished: ${counts.sent} sent, ${counts.abandoned} abandoned, ${counts.pending} still open`);
+}
+
+module.exports = {
+  getSendWatchOptions,
+  readThreadState,
+  watchDraftedTabs,
+  watchSends,
+};
@@ -0,0 +1,387 @@
+// sheetsEmulator.js
+// Local stand-in for the Google Sheets v4 values API (plus data-validation dropdowns), for offline runs and tests.
+//
+// Usage: node sheetsEmulator.js [--port 8123] [--file ./emulator-data.json]
+// Then point the drafter at it with SHEETS_API_URL=http://127.0.0.1:8123/
+const http = require('http');
+const fs = require('fs');
+
+/**
+ * Converts an A1 column letter to a 0-based column index (A → 0, AA → 26).
+ *
+ * @param {string} letters - Column letters
+ * @returns {number} 0-based column index
+ */
+function columnIndexFromLetters(letters) {
+  let index = 0;
+  for (const ch of letters.toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Parses an A1 range such as "Sheet1", "Sheet1!A:F", "'My Sheet'!D2:F2".
+ *
+ * @param {string} range - A1 range
+ * @returns {{ sheetName: string, startRow: number, startCol: number, endRow: number|null, endCol: number|null }}
+ *   0-based bounds; null end means "to the end of the data"
+ * @throws {Error} If the range cannot be parsed
+ */
+function parseRange(range) {
+  const bang = range.lastIndexOf('!');
+  const rawSheet = bang === -1 ? range : range.slice(0, bang);
+  const sheetName = rawSheet.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+  const cells = bang === -1 ? '' : range.slice(bang + 1);
+
+  if (!cells) {
+    return { sheetName, startRow: 0, startCol: 0, endRow: null, endCol: null };
+  }
+
+  const match = /^([A-Za-z]*)(\d*)(?::([A-Za-z]*)(\d*))?$/.exec(cells);
+  if (!match) {
+    throw new Error(`Unable to parse range: ${range}`);
+  }
+
+  const [, startLetters, startDigits, endLetters, endDigits] = match;
+  const startCol = startLetters ? columnIndexFromLetters(startLetters) : 0;
+  const startRow = startDigits ? parseInt(startDigits, 10) - 1 : 0;
+  const hasEnd = match[0].includes(':');
+
+  return {
+    sheetName,
+    startRow,
+    startCol,
+    endRow: hasEnd ? (endDigits ? parseInt(endDigits, 10) - 1 : null) : (startDigits ? startRow : null),
+    endCol: hasEnd ? (endLetters ? columnIndexFromLetters(endLetters) : null) : (startLetters ? startCol : null),
+  };
+}
+
+/**
+ * Drops trailing empty cells and rows, the way the real API trims responses.
+ *
+ * @param {Array<Array<string>>} rows - Rows to trim
+ * @returns {Array<Array<string>>} Trimmed copy
+ */
+function trimValues(rows) {
+  const trimmed = rows.map(row => {
+    const copy = row.slice();
+    while (copy.length > 0 && (copy[copy.length - 1] === '' || copy[copy.length - 1] === undefined)) {
+      copy.pop();
+    }
+    return copy;
+  });
+
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) {
+    trimmed.pop();
+  }
+
+  return trimmed;
+}
+
+/**
+ * Creates an emulator serving an in-memory (optionally file-backed) workbook.
+ *
+ * Supported endpoints:
+ *   - GET  /v4/spreadsheets/{id}/values/{range}              (values.get)
+ *   - PUT  /v4/spreadsheets/{id}/values/{range}              (values.update)
+ *   - POST /v4/spreadsheets/{id}/values:batchUpdate          (values.batchUpdate)
+ *   - POST /v4/spreadsheets/{id}/values/{range}:append       (values.append)
+ *   - GET  /v4/spreadsheets/{id}                             (spreadsheets.get, sheet properties only)
+ *   - POST /v4/spreadsheets/{id}:batchUpdate                 (spreadsheets.batchUpdate, setDataValidation only)
+ *
+ * Data validation rules are kept in memory and are not written to the data file.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, Array<Array<string>>>} [options.sheets] - Initial grids keyed by sheet name
+ * @param {string} [options.filePath] - JSON file to load from and persist to after every write
+ * @returns {Object} Emulator ({ start, stop, getGrid, setGrid, getValidations, failNext, requests })
+ */
+function createSheetsEmulator(options = {}) {
+  let workbook = {};
+
+  if (options.filePath && fs.existsSync(options.filePath)) {
+    workbook = JSON.parse(fs.readFileSync(options.filePath, 'utf8'));
+  }
+  if (options.sheets) {
+    workbook = { ...workbook, ...JSON.parse(JSON.stringify(options.sheets)) };
+  }
+
+  // Data validation rules set through spreadsheets.batchUpdate, keyed by sheet name
+  const validations = {};
+  // Injected failures: [{ status, remaining, match }]
+  const faults = [];
+  const requests = [];
+  let server = null;
+
+  function persist() {
+    if (options.filePath) {
+      fs.writeFileSync(options.filePath, JSON.stringify(workbook, null, 2) + '\n', 'utf8');
+    }
+  }
+
+  function getSheet(sheetName) {
+    if (!workbook[sheetName]) {
+      const error = new Error(`Unable to parse range: ${sheetName}`);
+      error.status = 400;
+      throw error;
+    }
+    return workbook[sheetName];
+  }
+
+  function readRange(range) {
+    const { sheetName, startRow, startCol, endRow, endCol } = parseRange(range);
+    const grid = getSheet(sheetName);
+    const lastRow = endRow === null ? grid.length - 1 : endRow;
+
+    const rows = [];
+    for (let r = startRow; r <= lastRow; r++) {
+      const row = grid[r] || [];
+      const lastCol = endCol === null ? row.length - 1 : endCol;
+      const values = [];
+      for (let c = startCol; c <= lastCol; c++) {
+        values.push(row[c] === undefined ? '' : row[c]);
+      }
+      rows.push(values);
+    }
+
+    return trimValues(rows);
+  }
+
+  function writeRange(range, values) {
+    const { sheetName, startRow, startCol } = parseRange(range);
+    const grid = getSheet(sheetName);
+
+    values.forEach((rowValues, r) => {
+      while (grid.length <= startRow + r) {
+        grid.push([]);
+      }
+      const row = grid[startRow + r];
+      rowValues.forEach((value, c) => {
+        while (row.length <= startCol + c) {
+          row.push('');
+        }
+        row[startCol + c] = value === null || value === undefined ? '' : String(value);
+      });
+    });
+
+    return {
+      updatedRange: range,
+      updatedRows: values.length,
+      updatedColumns: values.reduce((max, row) => Math.max(max, row.length), 0),
+      updatedCells: values.reduce((sum, row) => sum + row.length, 0),
+    };
+  }
+
+  function appendRows(range, values) {
+    const { sheetName } = parseRange(range);
+    const grid = getSheet(sheetName);
+    const firstEmpty = trimValues(grid).length;
+    grid.length = firstEmpty;
+
+    values.forEach(rowValues => {
+      grid.push(rowValues.map(value => (value === null || value === undefined ? '' : String(value))));
+    });
+
+    return { updates: { updatedRange: `${sheetName}!A${firstEmpty + 1}`, updatedRows: values.length } };
+  }
+
+  function takeFault(method, path) {
+    const fault = faults.find(candidate =>
+      candidate.remaining > 0 && (!candidate.match || candidate.match(method, path))
+    );
+    if (!fault) return null;
+    fault.remaining--;
+    return fault;
+  }
+
+  function handle(method, path, body) {
+    const match = /^\/v4\/spreadsheets\/([^/:]+)(:batchUpdate|\/values(?::batchUpdate|\/(.+?)(:append)?)?)?$/.exec(path);
+    if (!match) {
+      const error = new Error(`Unsupported endpoint: ${method} ${path}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const [, spreadsheetId, valuesPath, encodedRange, appendSuffix] = match;
+    const range = encodedRange ? decodeURIComponent(encodedRange) : null;
+
+    // Tabs get numeric IDs in workbook order, like Google's sheetId
+    const titles = Object.keys(workbook);
+
+    if (method === 'GET' && !valuesPath) {
+      return {
+        spreadsheetId,
+        sheets: titles.map((title, index) => ({ properties: { sheetId: index, title, index } })),
+      };
+    }
+
+    if (method === 'POST' && valuesPath === ':batchUpdate') {
+      const replies = (body.requests || []).map(request => {
+        if (!request.setDataValidation) {
+          const error = new Error(`Unsupported batchUpdate request: ${Object.keys(request).join(', ')}`);
+          error.status = 400;
+          throw error;
+        }
+
+        const { range: gridRange, rule } = request.setDataValidation;
+        const title = titles[gridRange.sheetId];
+        if (title === undefined) {
+          const error = new Error(`No grid with id: ${gridRange.sheetId}`);
+          error.status = 400;
+          throw error;
+        }
+
+        validations[title] = [...(validations[title] || []), { range: gridRange, rule }];
+        return {};
+      });
+      return { spreadsheetId, replies };
+    }
+
+    if (method === 'GET' && range) {
+      return { range, majorDimension: 'ROWS', values: readRange(range) };
+    }
+
+    if (method === 'PUT' && range && !appendSuffix) {
+      const result = writeRange(range, body.values || []);
+      persist();
+      return result;
+    }
+
+    if (method === 'POST' && valuesPath === '/values:batchUpdate') {
+      const responses = (body.data || []).map(item => writeRange(item.range, item.values || []));
+      persist();
+      return { totalUpdatedRows: responses.length, responses };
+    }
+
+    if (method === 'POST' && range && appendSuffix) {
+      const result = appendRows(range, body.values || []);
+      persist();
+      return result;
+    }
+
+    const error = new Error(`Unsupported endpoint: ${method} ${path}`);
+    error.status = 404;
+    throw error;
+  }
+
+  function onRequest(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const path = req.url.split('?')[0];
+      requests.push({ method: req.method, path: decodeURIComponent(path) });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const fault = takeFault(req.method, decodeURIComponent(path));
+      if (fault) {
+        send(fault.status, { error: { code: fault.status, message: `Injected failure (${fault.status})` } });
+        return;
+      }
+
+      try {
+        send(200, handle(req.method, path, raw ? JSON.parse(raw) : {}));
+      } catch (error) {
+        const status = error.status || 500;
+        send(status, { error: { code: status, message: error.message } });
+      }
+    });
+  }
+
+  return {
+    /**
+     * Starts listening on 127.0.0.1.
+     * @param {number} [port] - Port to listen on (0 picks a free port)
+     * @returns {Promise<string>} Root URL to use as SHEETS_API_URL
+     */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(onRequest);
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}/`);
+        });
+      });
+    },
+
+    /**
+     * Stops the server.
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise(resolve => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+      });
+    },
+
+    /**
+     * Returns a copy of a sheet's grid.
+     * @param {string} sheetName - Sheet (tab) name
+     */
+    getGrid(sheetName) {
+      return JSON.parse(JSON.stringify(workbook[sheetName] || []));
+    },
+
+    /**
+     * Replaces a sheet's grid (e.g. to simulate someone editing the sheet mid-run).
+     * @param {string} sheetName - Sheet (tab) name
+     * @param {Array<Array<string>>} grid - New grid, header row included
+     */
+    setGrid(sheetName, grid) {
+      workbook[sheetName] = JSON.parse(JSON.stringify(grid));
+      persist();
+    },
+
+    /**
+     * Returns the data validation rules set on a sheet ({ range, rule }).
+     * @param {string} sheetName - Sheet (tab) name
+     */
+    getValidations(sheetName) {
+      return JSON.parse(JSON.stringify(validations[sheetName] || []));
+    },
+
+    /**
+     * Makes the next `count` matching requests fail with an HTTP error.
+     * @param {number} status - HTTP status to return (e.g. 429, 503)
+     * @param {number} [count] - Number of requests to fail (default 1)
+     * @param {Function} [match] - (method, path) => boolean filter, defaults to every request
+     */
+    failNext(status, count = 1, match = null) {
+      faults.push({ status, remaining: count, match });
+    },
+
+    /**
+     * Requests received so far ({ method, path }), for asserting API usage.
+     */
+    requests,
+  };
+}
+
+module.exports = {
+  createSheetsEmulator,
+  parseRange,
+};
+
+// Run standalone: node sheetsEmulator.js [--port 8123] [--file ./emulator-data.json]
+if (require.main === module) {
+  const argValue = flag => {
+    const index = process.argv.indexOf(flag);
+    return index === -1 ? null : process.argv[index + 1];
+  };
+
+  const port = parseInt(argValue('--port'), 10) || 8123;
+  const filePath = argValue('--file') || './emulator-data.json';
+  const emulator = createSheetsEmulator({ filePath });
+
+  emulator.start(port).then(url => {
+    console.log(`[${new Date().toISOString()}] 🧪 Sheets emulator listening on ${url} (data: ${filePath})`);
+    console.log(`[${new Date().toISOString()}] 💡 Set SHEETS_API_URL=${url} to use it`);
+  });
+}
@@ -1,210 +1,381 @@
 // sheetsManager.js
 require('dotenv').config();
-const fs = require('fs');
-const { google } = require('googleapis');
+const { buildSheetsClient } = require('./sheetsStorage');
+const { getStorageAdapter, getStorageBackend, getStorageKey } = require('./storageAdapter');
+const { COLUMN_HEADERS, resolveColumnMap } = require('./columnMapping');
+const { createWriteQueue } = require('./writeQueue');
+const { appendToJournal, readJournal, rewriteJournal, getJournalPath } = require('./writeJournal');
+const { retryWithBackoff } = require('./utils');
+const { canonicalizeUsername, validateUsername } = require('./usernameUtils');
+const { LEAD_STATUSES, assertWritableStatus, canTransition, getStatusOptions } = require('./leadStatus');
+const logger = require('./logger');
 
 /**
- * Expected sheet column structure (in order)
+ * Column maps resolved from the most recently read header rows, keyed by
+ * getStorageKey() since each campaign's sheet may order its columns differently.
+ * Reused by writes so they target the mapped cells without re-reading headers.
  */
-const REQUIRED_HEADERS = [
-  'Date Added',
-  'Username',
-  'Source',
-  'Date Sent',
-  'Message',
-  'Status'
-];
+const cachedColumnMaps = new Map();
 
 /**
- * Column indices for easy reference
+ * Valid ROW_IDENTITY_MODE values:
+ *   - relocate: if a row no longer holds the expected username, find it again by username
+ *   - refuse: never write to a row whose username changed, only report it
  */
-const COLUMN_INDICES = {
-  DATE_ADDED: 0,
-  USERNAME: 1,
-  SOURCE: 2,
-  DATE_SENT: 3,
-  MESSAGE: 4,
-  STATUS: 5
+const ROW_IDENTITY_MODES = ['relocate', 'refuse'];
+
+/**
+ * Updates refused because the target row no longer held the expected username
+ */
+const identityMismatches = [];
+
+/**
+ * Updates refused because the row's current status does not allow the new one
+ */
+const statusRejections = [];
+
+/**
+ * Retry settings for transient storage errors (429/5xx/network)
+ */
+const RETRY_OPTIONS = {
+  retries: parseInt(process.env.WRITE_RETRY_ATTEMPTS, 10) || 4,
+  baseDelayMs: parseInt(process.env.WRITE_RETRY_BASE_MS, 10) || 1000,
 };
 
 /**
- * Loads and validates Google service account credentials from environment variables.
- * Prefers GOOGLE_CREDENTIALS (inline JSON string) over GOOGLE_CREDENTIALS_PATH (file path).
- * 
- * @returns {Object} Parsed credentials object
- * @throws {Error} If credentials are missing or invalid
+ * Runs a storage operation with exponential backoff on transient errors.
+ *
+ * @param {string} label - Operation name used in retry log lines
+ * @param {Function} fn - Async storage operation
+ * @returns {Promise<*>} Result of fn
  */
-function loadCredentials() {
-  let credentials = null;
+function withStorageRetry(label, fn) {
+  return retryWithBackoff(fn, {
+    ...RETRY_OPTIONS,
+    onRetry: (error, attempt, delay) => {
+      logger.warn(`${label} failed (${error.message}). Retry ${attempt}/${RETRY_OPTIONS.retries} in ${delay}ms`);
+    },
+  });
+}
 
-  // Prefer inline credentials from .env
-  if (process.env.GOOGLE_CREDENTIALS) {
-    try {
-      credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS);
-    } catch (parseError) {
-      throw new Error(
-        `Failed to parse GOOGLE_CREDENTIALS as JSON: ${parseError.message}. ` +
-        `Ensure the value is a valid JSON string.`
-      );
+/**
+ * Normalizes a username for identity comparisons (canonical form, so "@Name"
+ * and a profile URL compare equal to "name").
+ *
+ * @param {string} username - Raw username
+ * @returns {string} Comparable username
+ */
+function normalizeUsername(username) {
+  return canonicalizeUsername(username);
+}
+
+/**
+ * Returns the configured ROW_IDENTITY_MODE (defaults to "relocate").
+ *
+ * @returns {string} relocate or refuse
+ */
+function getRowIdentityMode() {
+  const mode = (process.env.ROW_IDENTITY_MODE || 'relocate').trim().toLowerCase();
+  return ROW_IDENTITY_MODES.includes(mode) ? mode : 'relocate';
+}
+
+/**
+ * Converts values keyed by column key into cells keyed by column index.
+ *
+ * @param {Object<string, string>} values - Values keyed by column key
+ * @param {Object<string, number>} columns - Column indices from the column map
+ * @returns {Object<number, string>} Cells keyed by 0-based column index
+ * @throws {Error} If a column is unknown or missing from the sheet
+ */
+function toCells(values, columns) {
+  const cells = {};
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!COLUMN_HEADERS[key]) {
+      throw new Error(`Unknown column key: ${key}. Known keys: ${Object.keys(COLUMN_HEADERS).join(', ')}`);
     }
+
+    if (columns[key] === undefined) {
+      throw new Error(`Column "${COLUMN_HEADERS[key]}" was not found in the sheet header row`);
+    }
+
+    cells[columns[key]] = value;
   }
-  // Fallback to credentials file
-  else if (process.env.GOOGLE_CREDENTIALS_PATH) {
-    if (!fs.existsSync(process.env.GOOGLE_CREDENTIALS_PATH)) {
-      throw new Error(
-        `GOOGLE_CREDENTIALS_PATH file not found: ${process.env.GOOGLE_CREDENTIALS_PATH}`
-      );
+
+  return cells;
+}
+
+/**
+ * Checks that every update carrying an expected username still targets the
+ * row holding that username. Rows can move while a run is in progress
+ * (sorting, inserted or deleted rows), and writing by position alone would
+ * put the status on someone else's row.
+ *
+ * Mismatched updates are moved to the row now holding the username when it
+ * appears exactly once (ROW_IDENTITY_MODE=relocate), otherwise refused and
+ * recorded in getIdentityMismatches().
+ *
+ * @param {Array<Object>} updates - Updates ({ rowIndex, values, username? })
+ * @param {Array<Array<string>>} grid - Freshly read rows, header included
+ * @param {Object<string, number>} columns - Column indices for the grid
+ * @returns {Array<Object>} Updates that are safe to write (rowIndex possibly relocated)
+ */
+function verifyRowIdentity(updates, grid, columns) {
+  const mode = getRowIdentityMode();
+  const verified = [];
+  let rowsByUsername = null;
+
+  for (const update of updates) {
+    if (!update.username) {
+      verified.push(update);
+      continue;
     }
 
-    try {
-      const fileData = fs.readFileSync(process.env.GOOGLE_CREDENTIALS_PATH, 'utf8');
-      credentials = JSON.parse(fileData);
-    } catch (fileError) {
-      throw new Error(
-        `Failed to read or parse credentials file at ${process.env.GOOGLE_CREDENTIALS_PATH}: ${fileError.message}`
-      );
+    const expected = normalizeUsername(update.username);
+    const current = grid[update.rowIndex - 1];
+    const found = normalizeUsername(current && current[columns.USERNAME]);
+
+    if (found === expected) {
+      verified.push(update);
+      continue;
     }
-  }
-  // Neither credential source provided
-  else {
-    throw new Error(
-      'Missing Google credentials. Provide either GOOGLE_CREDENTIALS (JSON string) ' +
-      'or GOOGLE_CREDENTIALS_PATH (file path) in environment variables.'
+
+    let reason = 'ROW_IDENTITY_MODE is "refuse"';
+    if (mode === 'relocate') {
+      // Index the fresh grid by username only once a mismatch is seen
+      if (!rowsByUsername) {
+        rowsByUsername = new Map();
+        grid.forEach((row, index) => {
+          const name = normalizeUsername(row && row[columns.USERNAME]);
+          if (index > 0 && name) {
+            rowsByUsername.set(name, [...(rowsByUsername.get(name) || []), index + 1]);
+          }
+        });
+      }
+
+      const matches = rowsByUsername.get(expected) || [];
+      if (matches.length === 1) {
+        logger.warn(
+          `Row ${update.rowIndex} now holds "${found || '(empty)'}" instead of "${expected}" - ` +
+          `writing to row ${matches[0]} instead`
+        );
+        verified.push({ ...update, rowIndex: matches[0] });
+        continue;
+      }
+
+      reason = matches.length === 0
+        ? 'username no longer found in the sheet'
+        : `username found in ${matches.length} rows (${matches.join(', ')})`;
+    }
+
+    identityMismatches.push({
+      rowIndex: update.rowIndex,
+      expectedUsername: expected,
+      foundUsername: found,
+      reason,
+      values: update.values,
+    });
+    logger.error(
+      `Refused update for "${expected}" at row ${update.rowIndex}: ` +
+      `row now holds "${found || '(empty)'}" (${reason})`
     );
   }
 
-  // Validate credentials structure
-  if (!credentials || typeof credentials !== 'object') {
-    throw new Error('Invalid credentials: must be a JSON object');
-  }
+  return verified;
+}
 
-  if (!credentials.client_email || typeof credentials.client_email !== 'string') {
-    throw new Error('Invalid credentials: missing or invalid client_email field');
-  }
+/**
+ * Checks every status change against the status the row holds right now
+ * (see leadStatus.js), so e.g. a late "Failed" never overwrites "Replied".
+ * Refused updates are dropped whole, other columns included, and recorded in
+ * getStatusRejections().
+ *
+ * @param {Array<Object>} updates - Updates ({ rowIndex, values, username? }) after identity checks
+ * @param {Array<Array<string>>} grid - Freshly read rows, header included
+ * @param {Object<string, number>} columns - Column indices for the grid
+ * @returns {Array<Object>} Updates whose status change is allowed
+ */
+function verifyStatusTransitions(updates, grid, columns) {
+  return updates.filter(update => {
+    if (update.values.STATUS === undefined) {
+      return true;
+    }
 
-  if (!credentials.private_key || typeof credentials.private_key !== 'string') {
-    throw new Error('Invalid credentials: missing or invalid private_key field');
-  }
+    const row = grid[update.rowIndex - 1];
+    const currentStatus = ((row && row[columns.STATUS]) || '').trim();
+    if (canTransition(currentStatus, update.values.STATUS)) {
+      return true;
+    }
 
-  return credentials;
+    const username = normalizeUsername(row && row[columns.USERNAME]);
+    statusRejections.push({
+      rowIndex: update.rowIndex,
+      username,
+      fromStatus: currentStatus,
+      toStatus: update.values.STATUS,
+      values: update.values,
+    });
+    logger.error(
+      `Refused status change for "${username || '(empty)'}" at row ${update.rowIndex}: ` +
+      `"${currentStatus || '(blank)'}" cannot become "${update.values.STATUS}"`
+    );
+    return false;
+  });
 }
 
 /**
- * Validates that required environment variables are present.
- * 
- * @throws {Error} If required environment variables are missing
+ * Verifies row identity (when updates carry a username) and status
+ * transitions (when updates set a status), then writes the updates in one
+ * batch, retrying transient errors.
+ *
+ * @param {Array<Object>} updates - Updates ({ rowIndex, values, username? })
+ * @throws {Error} If reading or writing fails after retries
  */
-function validateEnvironment() {
-  if (!process.env.GOOGLE_SHEET_ID) {
-    throw new Error('Missing required environment variable: GOOGLE_SHEET_ID');
+async function applyUpdates(updates) {
+  const storage = getStorageAdapter();
+  let columnMap;
+  let toWrite = updates;
+
+  if (updates.some(update => update.username || update.values.STATUS !== undefined)) {
+    // One fresh read per batch covers every identity and status check in it
+    const grid = await withStorageRetry('Row identity check', () => storage.loadRows());
+    if (grid.length === 0) {
+      throw new Error('Invalid sheet structure: the sheet is empty (no header row found)');
+    }
+
+    columnMap = validateHeaders(grid[0]);
+    cachedColumnMaps.set(getStorageKey(), columnMap);
+    toWrite = verifyRowIdentity(updates, grid, columnMap.columns);
+    toWrite = verifyStatusTransitions(toWrite, grid, columnMap.columns);
+  } else {
+    columnMap = await getColumnMap();
   }
 
-  if (!process.env.GOOGLE_SHEET_NAME) {
-    throw new Error('Missing required environment variable: GOOGLE_SHEET_NAME');
+  const cellUpdates = toWrite.map(update => ({
+    rowIndex: update.rowIndex,
+    cells: toCells(update.values, columnMap.columns),
+  }));
+
+  if (cellUpdates.length > 0) {
+    await withStorageRetry('Batched write', () => storage.updateRows(cellUpdates));
   }
 }
 
 /**
- * Builds and returns an authenticated Google Sheets API client.
- * Loads credentials, validates environment, and creates a ready-to-use Sheets instance.
- * 
- * @returns {Object} Authenticated Google Sheets API client
- * @throws {Error} If authentication fails or environment is invalid
+ * Writes a batch of row updates, retrying transient errors. Updates that
+ * still fail are saved to the local journal and replayed on the next run,
+ * so an outcome (e.g. "Drafted") is never silently lost.
+ *
+ * @param {Array<Object>} updates - Updates ({ rowIndex, values, username? })
+ * @throws {Error} Only if the journal itself cannot be written
  */
-async function buildSheetsClient() {
-  validateEnvironment();
-  const credentials = loadCredentials();
-
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
-
-  const sheets = google.sheets({ version: 'v4', auth });
-
-  return sheets;
+async function writeBatch(updates) {
+  try {
+    await applyUpdates(updates);
+  } catch (writeError) {
+    // Record which sheet the rows belong to, so another campaign never replays them
+    const storage = getStorageKey();
+    const entries = updates.map(({ rowIndex, username, values }) => ({ rowIndex, username, values, storage }));
+
+    appendToJournal(entries, writeError.message);
+    logger.error(
+      `Failed to write ${updates.length} row update(s) (rows ${updates.map(u => u.rowIndex).join(', ')}): ` +
+      `${writeError.message}. Saved to ${getJournalPath()} for replay on the next run.`
+    );
+  }
 }
 
 /**
- * Validates that the sheet header row matches the expected structure.
- * 
+ * Queue coalescing row updates into batched storage writes.
+ * Flushes every WRITE_BATCH_SIZE rows (default 20), WRITE_FLUSH_MS after the
+ * first queued update (default 5000), and when flushWrites() is called at shutdown.
+ */
+const writeQueue = createWriteQueue({
+  flushFn: writeBatch,
+  maxSize: parseInt(process.env.WRITE_BATCH_SIZE, 10) || 20,
+  flushIntervalMs: parseInt(process.env.WRITE_FLUSH_MS, 10) || 5000,
+});
+
+/**
+ * Validates the sheet header row and resolves each column by header name.
+ * Columns may appear in any order and extra columns are allowed.
+ *
  * @param {Array<string>} headerRow - Array of header values from the sheet
- * @throws {Error} If headers are missing, misordered, or mistyped
+ * @returns {Object} Column map ({ headers, columns }) from resolveColumnMap
+ * @throws {Error} If a required column is missing or ambiguous
  */
 function validateHeaders(headerRow) {
-  if (!Array.isArray(headerRow)) {
-    throw new Error('Header row must be an array');
-  }
+  return resolveColumnMap(headerRow);
+}
 
-  if (headerRow.length < REQUIRED_HEADERS.length) {
-    throw new Error(
-      `Invalid sheet structure: expected ${REQUIRED_HEADERS.length} columns, ` +
-      `found ${headerRow.length}. Required columns: ${REQUIRED_HEADERS.join(', ')}`
-    );
+/**
+ * Returns the column map for the configured storage, reading the header row
+ * only if no rows have been loaded yet in this process.
+ *
+ * @returns {Promise<Object>} Column map ({ headers, columns })
+ * @throws {Error} If the header row cannot be read or is invalid
+ */
+async function getColumnMap() {
+  const key = getStorageKey();
+  if (cachedColumnMaps.has(key)) {
+    return cachedColumnMaps.get(key);
   }
 
-  for (let i = 0; i < REQUIRED_HEADERS.length; i++) {
-    const expected = REQUIRED_HEADERS[i].trim();
-    const actual = (headerRow[i] || '').trim();
-
-    if (actual !== expected) {
-      throw new Error(
-        `Invalid sheet structure: column ${i + 1} (index ${i}) should be "${expected}", ` +
-        `but found "${actual}". Ensure headers match exactly: ${REQUIRED_HEADERS.join(', ')}`
-      );
-    }
+  const allRows = await withStorageRetry('Header read', () => getStorageAdapter().loadRows());
+  if (allRows.length === 0) {
+    throw new Error('Invalid sheet structure: the sheet is empty (no header row found)');
   }
+
+  const columnMap = validateHeaders(allRows[0]);
+  cachedColumnMaps.set(key, columnMap);
+  return columnMap;
 }
 
 /**
- * Loads all database rows from the configured Google Sheet.
- * Validates headers, converts rows to structured objects, and normalizes usernames.
- * 
+ * Loads all database rows from the configured storage backend
+ * (Google Sheets by default, see storageAdapter.js).
+ * Validates headers, converts rows to structured objects, and canonicalizes usernames
+ * ("@Name" and profile URLs are reduced to "name", see usernameUtils.js).
+ *
  * @returns {Promise<Array<Object>>} Array of row objects with:
  *   - rowIndex: 1-based sheet row index
- *   - username: normalized lowercase username
+ *   - username: canonical lowercase username
+ *   - rawUsername: username cell as entered (trimmed)
+ *   - usernameError: why the username is not a valid Instagram username, or null
  *   - source: source value from sheet
  *   - status: status value from sheet
+ *   - dateAdded: Date Added value from sheet
+ *   - claimedBy: run ID holding the row (empty without a Claimed By column)
+ *   - claimedAt: ISO time the row was claimed (empty without a Claimed At column)
+ *   - message: Message value from sheet (the drafted message)
+ *   - operator: Instagram account that drafted the row (empty without an Operator column)
+ *   - variant: message variant ID the row was drafted with (empty without a Variant column)
+ *   - dateSent: Date Sent value from sheet (send time, or the time of the last drafting attempt)
+ *   - attempts: drafting attempts so far (null without an Attempts column)
+ *   - lastError: error of the last failed attempt (empty without a Last Error column)
+ *   - failureCode: failure code of the last failed attempt (empty without a Failure Code column)
+ *   - followUpCount: follow-ups drafted so far (null without a Follow-Up Count column)
+ *   - followUpDate: ISO time of the last follow-up draft (empty without a Follow-Up Date column)
+ *   - fields: every column value keyed by its header name (extra columns included)
  *   - rawRow: complete raw row array
  * @throws {Error} If sheet cannot be loaded or headers are invalid
  */
 async function loadDatabaseRows() {
-  validateEnvironment();
-  const credentials = loadCredentials();
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  const sheetName = process.env.GOOGLE_SHEET_NAME;
-
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-  });
-
-  const sheets = google.sheets({ version: 'v4', auth });
-
-  // Fetch all values from the sheet
-  const range = `${sheetName}!A:F`;
-  let response;
-  try {
-    response = await sheets.spreadsheets.values.get({
-      spreadsheetId: sheetId,
-      range: range,
-    });
-  } catch (apiError) {
-    throw new Error(
-      `Failed to load sheet data: ${apiError.message}. ` +
-      `Verify GOOGLE_SHEET_ID and GOOGLE_SHEET_NAME are correct and the service account has access.`
-    );
-  }
+  // Write out queued updates first so the read reflects them
+  await writeQueue.flush();
 
-  const allRows = response.data.values || [];
+  const storage = getStorageAdapter();
+  const allRows = await withStorageRetry('Row load', () => storage.loadRows());
 
   if (allRows.length === 0) {
     return [];
   }
 
-  // Validate header row (first row)
+  // Validate header row (first row) and locate columns by name
   const headerRow = allRows[0];
-  validateHeaders(headerRow);
+  const columnMap = validateHeaders(headerRow);
+  cachedColumnMaps.set(getStorageKey(), columnMap);
+  const { headers, columns } = columnMap;
 
   // Process data rows (skip header row)
   const dataRows = allRows.slice(1);
@@ -217,19 +388,55 @@ async function loadDatabaseRows() {
     }
 
     // Extract values with safe defaults
-    const username = (row[COLUMN_INDICES.USERNAME] || '').trim();
-    const source = (row[COLUMN_INDICES.SOURCE] || '').trim();
-    const status = (row[COLUMN_INDICES.STATUS] || '').trim();
-
-    // Normalize username to lowercase
-    const normalizedUsername = username.toLowerCase();
+    const username = (row[columns.USERNAME] || '').trim();
+    const source = (row[columns.SOURCE] || '').trim();
+    const status = (row[columns.STATUS] || '').trim();
+    const dateAdded = (row[columns.DATE_ADDED] || '').trim();
+    const claimedBy = columns.CLAIMED_BY === undefined ? '' : (row[columns.CLAIMED_BY] || '').trim();
+    const claimedAt = columns.CLAIMED_AT === undefined ? '' : (row[columns.CLAIMED_AT] || '').trim();
+    const message = (row[columns.MESSAGE] || '').trim();
+    const operator = columns.OPERATOR === undefined ? '' : (row[columns.OPERATOR] || '').trim();
+    const variant = columns.VARIANT === undefined ? '' : (row[columns.VARIANT] || '').trim();
+    const dateSent = (row[columns.DATE_SENT] || '').trim();
+    const attempts = columns.ATTEMPTS === undefined ? null : (parseInt(row[columns.ATTEMPTS], 10) || 0);
+    const lastError = columns.LAST_ERROR === undefined ? '' : (row[columns.LAST_ERROR] || '').trim();
+    const failureCode = columns.FAILURE_CODE === undefined ? '' : (row[columns.FAILURE_CODE] || '').trim();
+    const followUpCount = columns.FOLLOW_UP_COUNT === undefined ? null : (parseInt(row[columns.FOLLOW_UP_COUNT], 10) || 0);
+    const followUpDate = columns.FOLLOW_UP_DATE === undefined ? '' : (row[columns.FOLLOW_UP_DATE] || '').trim();
+
+    // Canonicalize the username and flag values Instagram would reject
+    const normalizedUsername = canonicalizeUsername(username);
+    const usernameError = validateUsername(normalizedUsername);
+
+    // Expose every named column (including extra, unmapped ones) by header name
+    const fields = {};
+    headers.forEach((header, columnIndex) => {
+      if (header) {
+        fields[header] = (row[columnIndex] || '').trim();
+      }
+    });
 
     // Create structured object
     structuredRows.push({
       rowIndex: index + 2, // +2 because: 0-based index + 1 for header row + 1 for 1-based sheet indexing
       username: normalizedUsername,
+      rawUsername: username,
+      usernameError: usernameError,
       source: source,
       status: status,
+      dateAdded: dateAdded,
+      claimedBy: claimedBy,
+      claimedAt: claimedAt,
+      message: message,
+      operator: operator,
+      variant: variant,
+      dateSent: dateSent,
+      attempts: attempts,
+      lastError: lastError,
+      failureCode: failureCode,
+      followUpCount: followUpCount,
+      followUpDate: followUpDate,
+      fields: fields,
       rawRow: row, // Preserve full raw row array
     });
   });
@@ -238,16 +445,191 @@ async function loadDatabaseRows() {
 }
 
 /**
- * Updates a single sheet row with draft metadata.
- * Updates only the Date Sent, Message, and Status columns.
- * 
+ * Queues an update of the given columns of a single sheet row.
+ * Cells are addressed through the header column map, so writes land in the
+ * right place regardless of column order. The write itself is batched with
+ * other queued rows; call flushWrites() to force it out.
+ *
+ * @param {number} rowIndex - 1-based row index in the sheet
+ * @param {Object<string, string>} values - Values keyed by column key (e.g. { STATUS: 'Drafted' })
+ * @param {Object} [options]
+ * @param {string} [options.username] - Username the row is expected to hold; verified before writing
+ * @param {boolean} [options.restoreStatus] - STATUS is a value the row held before (e.g. a
+ *   FILTER entry status such as "Retry" restored when a claim is released), so it may be
+ *   outside the lifecycle
+ * @throws {Error} If rowIndex is invalid, a column is unknown or the status is not a lead status
+ */
+async function updateRowFields(rowIndex, values, options = {}) {
+  if (!Number.isInteger(rowIndex) || rowIndex < 2) {
+    throw new Error(`Invalid rowIndex: ${rowIndex}. Must be an integer >= 2 (row 1 is header)`);
+  }
+
+  // The transition itself is checked at flush time, against the sheet's current status
+  if (values.STATUS !== undefined && !options.restoreStatus) {
+    assertWritableStatus(values.STATUS);
+  }
+
+  // Fail fast on unknown or unmapped columns rather than at flush time
+  const { columns } = await getColumnMap();
+  toCells(values, columns);
+
+  const meta = options.username ? { username: normalizeUsername(options.username) } : {};
+  writeQueue.enqueue(rowIndex, values, meta);
+}
+
+/**
+ * Appends new rows after the last populated row in one storage write.
+ * Values are placed by the header column map; unmapped columns are left empty.
+ * Appends bypass the write queue so the rows exist as soon as this resolves.
+ *
+ * @param {Array<Object<string, string>>} rows - Row values keyed by column key (e.g. { USERNAME: 'name' })
+ * @returns {Promise<number>} Number of rows appended
+ * @throws {Error} If a column is unknown or the write fails after retries
+ */
+async function appendDatabaseRows(rows) {
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const { headers, columns } = await getColumnMap();
+  const gridRows = rows.map(values => {
+    const row = headers.map(() => '');
+    for (const [columnIndex, value] of Object.entries(toCells(values, columns))) {
+      row[Number(columnIndex)] = value;
+    }
+    return row;
+  });
+
+  await withStorageRetry('Row append', () => getStorageAdapter().appendRows(gridRows));
+  return gridRows.length;
+}
+
+/**
+ * Writes every queued row update to storage immediately.
+ * Must be awaited before the process exits so no update is lost.
+ *
+ * @returns {Promise<number>} Number of rows flushed (failed rows are journaled)
+ * @throws {Error} If the batch could not be written or journaled
+ */
+async function flushWrites() {
+  return writeQueue.flush();
+}
+
+/**
+ * Replays row updates left in the local journal by a previous run.
+ * Must run before rows are loaded, otherwise rows whose outcome was never
+ * written (e.g. still "Ready" after being drafted) would be picked again.
+ * Row identity is verified exactly like a live write. Entries whose column
+ * no longer exists in the sheet are kept in the journal, as are entries
+ * written for another campaign's sheet (replayed when that campaign runs).
+ *
+ * @returns {Promise<{ replayed: number, remaining: number, deferred: number }>} Replay counts
+ * @throws {Error} If the journal cannot be read or the replay write fails
+ */
+async function replayJournal() {
+  const allEntries = readJournal();
+  const storage = getStorageKey();
+  // Entries journaled before campaigns existed carry no storage key
+  const entries = allEntries.filter(entry => !entry.storage || entry.storage === storage);
+  const deferred = allEntries.filter(entry => !entries.includes(entry));
+  if (entries.length === 0) {
+    return { replayed: 0, remaining: 0, deferred: deferred.length };
+  }
+
+  const { columns } = await getColumnMap();
+  const byRow = new Map();
+  const unresolved = [];
+
+  // Later entries for the same row win, matching the original write order
+  for (const entry of entries) {
+    const validRow = Number.isInteger(entry.rowIndex) && entry.rowIndex >= 2;
+    const validColumns = Object.keys(entry.values || {}).every(key => columns[key] !== undefined);
+
+    if (!validRow || !validColumns) {
+      unresolved.push(entry);
+      continue;
+    }
+
+    const existing = byRow.get(entry.rowIndex) || { rowIndex: entry.rowIndex, values: {} };
+    byRow.set(entry.rowIndex, {
+      ...existing,
+      ...(entry.username ? { username: entry.username } : {}),
+      values: { ...existing.values, ...entry.values },
+    });
+  }
+
+  const updates = Array.from(byRow.values());
+  if (updates.length > 0) {
+    try {
+      await applyUpdates(updates);
+    } catch (replayError) {
+      throw new Error(`Failed to replay ${getJournalPath()}: ${replayError.message}`);
+    }
+  }
+
+  rewriteJournal([...deferred, ...unresolved]);
+  return { replayed: entries.length - unresolved.length, remaining: unresolved.length, deferred: deferred.length };
+}
+
+/**
+ * Returns updates refused during this run because the target row no longer
+ * held the expected username.
+ *
+ * @returns {Array<Object>} Mismatches ({ rowIndex, expectedUsername, foundUsername, reason, values })
+ */
+function getIdentityMismatches() {
+  return identityMismatches.slice();
+}
+
+/**
+ * Returns updates refused during this run because the row's status did not
+ * allow the change (e.g. "Replied" to "Failed").
+ *
+ * @returns {Array<Object>} Rejections ({ rowIndex, username, fromStatus, toStatus, values })
+ */
+function getStatusRejections() {
+  return statusRejections.slice();
+}
+
+/**
+ * Adds a dropdown of lead statuses to the Status column (sheets backend only),
+ * built from the same list the status checks use.
+ *
+ * @returns {Promise<Array<string>>} Dropdown values
+ * @throws {Error} If the backend is not sheets or the request fails
+ */
+async function installStatusDropdown() {
+  const storage = getStorageAdapter();
+  if (typeof storage.setColumnDropdown !== 'function') {
+    throw new Error(`Status dropdowns need STORAGE_BACKEND=sheets (current backend: ${getStorageBackend()})`);
+  }
+
+  const { columns } = await getColumnMap();
+  const values = getStatusOptions();
+  await withStorageRetry('Status dropdown', () => storage.setColumnDropdown(columns.STATUS, values));
+  return values;
+}
+
+/**
+ * Queues draft metadata for a single sheet row.
+ * Updates only the Date Sent, Message, and Status columns. A "Drafted" row
+ * in a sheet with a Date Drafted column gets the timestamp there instead,
+ * and Date Sent is cleared until the message is actually sent; the
+ * Operator and Variant columns (when present) get the account the draft was
+ * typed in and the message variant used.
+ *
  * @param {number} rowIndex - 1-based row index in the sheet
  * @param {string} dateSent - ISO timestamp string for Date Sent column
  * @param {string} message - Message text to save (can be empty string)
- * @param {string} [status] - Status to set (defaults to "Drafted")
- * @throws {Error} If update fails or rowIndex is invalid
+ * @param {string} [status] - Status to set (defaults to "Drafted"); an illegal move from the
+ *   row's current status is refused at flush time and reported by getStatusRejections()
+ * @param {Object} [options]
+ * @param {string} [options.username] - Username the row is expected to hold; verified before writing
+ * @param {string} [options.operator] - Instagram account holding the draft (for "Drafted" rows)
+ * @param {string} [options.variant] - Message variant ID of the draft (for "Drafted" rows)
+ * @throws {Error} If update fails, rowIndex is invalid or status is not a lead status
  */
-async function updateDraftData(rowIndex, dateSent, message, status = 'Drafted') {
+async function updateDraftData(rowIndex, dateSent, message, status = LEAD_STATUSES.DRAFTED, options = {}) {
   if (!Number.isInteger(rowIndex) || rowIndex < 2) {
     throw new Error(`Invalid rowIndex: ${rowIndex}. Must be an integer >= 2 (row 1 is header)`);
   }
@@ -264,42 +646,40 @@ async function updateDraftData(rowIndex, dateSent, message, status = 'Drafted')
     throw new Error('status must be a non-empty string');
   }
 
-  validateEnvironment();
-  const credentials = loadCredentials();
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  const sheetName = process.env.GOOGLE_SHEET_NAME;
-
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
-
-  const sheets = google.sheets({ version: 'v4', auth });
-
-  // Update Date Sent (column D), Message (column E), Status (column F)
-  // Range format: SheetName!D{row}:F{row}
-  const range = `${sheetName}!D${rowIndex}:F${rowIndex}`;
-  const values = [[dateSent, message, status]];
-
-  try {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: sheetId,
-      range: range,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: values,
-      },
-    });
-  } catch (apiError) {
-    throw new Error(
-      `Failed to update row ${rowIndex} in sheet: ${apiError.message}. ` +
-      `Verify rowIndex is valid and the service account has write access.`
-    );
+  const values = {
+    DATE_SENT: dateSent,
+    MESSAGE: message,
+    STATUS: status,
+  };
+  if (status === LEAD_STATUSES.DRAFTED) {
+    const { columns } = await getColumnMap();
+    if (columns.DATE_DRAFTED !== undefined) {
+      values.DATE_DRAFTED = dateSent;
+      values.DATE_SENT = '';
+    }
+    if (columns.OPERATOR !== undefined && options.operator) {
+      values.OPERATOR = options.operator;
+    }
+    if (columns.VARIANT !== undefined && options.variant) {
+      values.VARIANT = options.variant;
+    }
   }
+
+  await updateRowFields(rowIndex, values, { username: options.username });
 }
 
 module.exports = {
   buildSheetsClient,
+  getStorageBackend,
+  getColumnMap,
   loadDatabaseRows,
+  updateRowFields,
   updateDraftData,
+  appendDatabaseRows,
+  flushWrites,
+  replayJournal,
+  getIdentityMismatches,
+  getStatusRejections,
+  installStatusDropdown,
+  ROW_IDENTITY_MODES,
 };
@@ -0,0 +1,383 @@
+// sheetsStorage.js
+// Google Sheets v4 storage backend
+require('dotenv').config();
+const fs = require('fs');
+const { google } = require('googleapis');
+
+/**
+ * Loads and validates Google service account credentials from environment variables.
+ * Prefers GOOGLE_CREDENTIALS (inline JSON string) over GOOGLE_CREDENTIALS_PATH (file path).
+ *
+ * @returns {Object} Parsed credentials object
+ * @throws {Error} If credentials are missing or invalid
+ */
+function loadCredentials() {
+  let credentials = null;
+
+  // Prefer inline credentials from .env
+  if (process.env.GOOGLE_CREDENTIALS) {
+    try {
+      credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS);
+    } catch (parseError) {
+      throw new Error(
+        `Failed to parse GOOGLE_CREDENTIALS as JSON: ${parseError.message}. ` +
+        `Ensure the value is a valid JSON string.`
+      );
+    }
+  }
+  // Fallback to credentials file
+  else if (process.env.GOOGLE_CREDENTIALS_PATH) {
+    if (!fs.existsSync(process.env.GOOGLE_CREDENTIALS_PATH)) {
+      throw new Error(
+        `GOOGLE_CREDENTIALS_PATH file not found: ${process.env.GOOGLE_CREDENTIALS_PATH}`
+      );
+    }
+
+    try {
+      const fileData = fs.readFileSync(process.env.GOOGLE_CREDENTIALS_PATH, 'utf8');
+      credentials = JSON.parse(fileData);
+    } catch (fileError) {
+      throw new Error(
+        `Failed to read or parse credentials file at ${process.env.GOOGLE_CREDENTIALS_PATH}: ${fileError.message}`
+      );
+    }
+  }
+  // Neither credential source provided
+  else {
+    throw new Error(
+      'Missing Google credentials. Provide either GOOGLE_CREDENTIALS (JSON string) ' +
+      'or GOOGLE_CREDENTIALS_PATH (file path) in environment variables.'
+    );
+  }
+
+  // Validate credentials structure
+  if (!credentials || typeof credentials !== 'object') {
+    throw new Error('Invalid credentials: must be a JSON object');
+  }
+
+  if (!credentials.client_email || typeof credentials.client_email !== 'string') {
+    throw new Error('Invalid credentials: missing or invalid client_email field');
+  }
+
+  if (!credentials.private_key || typeof credentials.private_key !== 'string') {
+    throw new Error('Invalid credentials: missing or invalid private_key field');
+  }
+
+  return credentials;
+}
+
+/**
+ * Validates that required environment variables are present.
+ *
+ * @throws {Error} If required environment variables are missing
+ */
+function validateEnvironment() {
+  if (!process.env.GOOGLE_SHEET_ID) {
+    throw new Error('Missing required environment variable: GOOGLE_SHEET_ID');
+  }
+
+  if (!process.env.GOOGLE_SHEET_NAME) {
+    throw new Error('Missing required environment variable: GOOGLE_SHEET_NAME');
+  }
+}
+
+/**
+ * Builds and returns an authenticated Google Sheets API client.
+ * Loads credentials, validates environment, and creates a ready-to-use Sheets instance.
+ *
+ * When SHEETS_API_URL is set (e.g. the local sheetsEmulator.js), the client
+ * talks to that server instead and no credentials are needed.
+ *
+ * @returns {Object} Authenticated Google Sheets API client
+ * @throws {Error} If authentication fails or environment is invalid
+ */
+async function buildSheetsClient() {
+  validateEnvironment();
+
+  if (process.env.SHEETS_API_URL) {
+    return google.sheets({ version: 'v4', rootUrl: process.env.SHEETS_API_URL });
+  }
+
+  const credentials = loadCredentials();
+
+  const auth = new google.auth.GoogleAuth({
+    credentials,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  });
+
+  const sheets = google.sheets({ version: 'v4', auth });
+
+  return sheets;
+}
+
+/**
+ * Client shared by every request in this process, so credentials are read
+ * and the auth client is built only once per run.
+ */
+let cachedClientPromise = null;
+
+/**
+ * Returns the process-wide authenticated Sheets client, building it on first use.
+ *
+ * @returns {Promise<Object>} Authenticated Google Sheets API client
+ * @throws {Error} If authentication fails or environment is invalid
+ */
+function getSheetsClient() {
+  if (!cachedClientPromise) {
+    cachedClientPromise = buildSheetsClient().catch(error => {
+      // Allow a later call to retry after a failed build
+      cachedClientPromise = null;
+      throw error;
+    });
+  }
+  return cachedClientPromise;
+}
+
+/**
+ * Converts a 0-based column index to its A1 column letter (0 → A, 26 → AA).
+ *
+ * @param {number} columnIndex - 0-based column index
+ * @returns {string} Column letter(s)
+ */
+function columnLetter(columnIndex) {
+  let letter = '';
+  let n = columnIndex + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Groups a { columnIndex: value } map into contiguous A1 ranges for one row.
+ *
+ * @param {string} sheetName - Sheet (tab) name
+ * @param {number} rowIndex - 1-based row index
+ * @param {Object<number, string>} cells - Values keyed by 0-based column index
+ * @returns {Array<{ range: string, values: Array<Array<string>> }>} Value ranges
+ */
+function buildRowRanges(sheetName, rowIndex, cells) {
+  const columns = Object.keys(cells).map(Number).sort((a, b) => a - b);
+  const ranges = [];
+  let run = [];
+
+  const flushRun = () => {
+    if (run.length === 0) return;
+    const start = columnLetter(run[0]);
+    const end = columnLetter(run[run.length - 1]);
+    ranges.push({
+      range: `${sheetName}!${start}${rowIndex}:${end}${rowIndex}`,
+      values: [run.map(col => cells[col])],
+    });
+    run = [];
+  };
+
+  for (const col of columns) {
+    if (run.length > 0 && col !== run[run.length - 1] + 1) {
+      flushRun();
+    }
+    run.push(col);
+  }
+  flushRun();
+
+  return ranges;
+}
+
+/**
+ * Wraps a Google API error with a readable message while keeping its HTTP
+ * status and error code, so callers can tell transient failures apart.
+ *
+ * @param {string} message - Message describing the failed operation
+ * @param {Error} apiError - Original error from googleapis
+ * @returns {Error} Wrapped error with `status` and `code` copied over
+ */
+function wrapApiError(message, apiError) {
+  const error = new Error(message);
+  error.status = apiError.status || (apiError.response && apiError.response.status) || undefined;
+  error.code = apiError.code;
+  return error;
+}
+
+/**
+ * Creates the Google Sheets storage adapter for GOOGLE_SHEET_ID / GOOGLE_SHEET_NAME.
+ *
+ * @param {string} [tabName] - Sheet (tab) to use instead of GOOGLE_SHEET_NAME
+ * @param {string} [spreadsheetId] - Spreadsheet to use instead of GOOGLE_SHEET_ID
+ * @returns {Object} Storage adapter ({ name, loadRows, updateRow, updateRows, appendRow, appendRows, setColumnDropdown })
+ */
+function createSheetsStorage(tabName, spreadsheetId) {
+  return {
+    name: 'sheets',
+
+    /**
+     * Reads every populated row of the sheet, header row included.
+     * @returns {Promise<Array<Array<string>>>} Raw grid
+     */
+    async loadRows() {
+      const sheets = await getSheetsClient();
+      const sheetId = spreadsheetId || process.env.GOOGLE_SHEET_ID;
+      const sheetName = tabName || process.env.GOOGLE_SHEET_NAME;
+
+      let response;
+      try {
+        response = await sheets.spreadsheets.values.get({
+          spreadsheetId: sheetId,
+          range: sheetName,
+        });
+      } catch (apiError) {
+        throw wrapApiError(
+          `Failed to load sheet data: ${apiError.message}. ` +
+          `Verify GOOGLE_SHEET_ID and GOOGLE_SHEET_NAME are correct and the service account has access.`,
+          apiError
+        );
+      }
+
+      return response.data.values || [];
+    },
+
+    /**
+     * Writes the given cells of a single row.
+     * @param {number} rowIndex - 1-based row index
+     * @param {Object<number, string>} cells - Values keyed by 0-based column index
+     */
+    async updateRow(rowIndex, cells) {
+      await this.updateRows([{ rowIndex, cells }]);
+    },
+
+    /**
+     * Writes cells of several rows in a single values.batchUpdate call.
+     * @param {Array<{ rowIndex: number, cells: Object<number, string> }>} updates - Row updates
+     */
+    async updateRows(updates) {
+      if (updates.length === 0) {
+        return;
+      }
+
+      const sheets = await getSheetsClient();
+      const sheetId = spreadsheetId || process.env.GOOGLE_SHEET_ID;
+      const sheetName = tabName || process.env.GOOGLE_SHEET_NAME;
+      const data = updates.flatMap(({ rowIndex, cells }) => buildRowRanges(sheetName, rowIndex, cells));
+      const rowList = updates.map(update => update.rowIndex).join(', ');
+
+      try {
+        await sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: sheetId,
+          requestBody: {
+            valueInputOption: 'RAW',
+            data,
+          },
+        });
+      } catch (apiError) {
+        throw wrapApiError(
+          `Failed to update row(s) ${rowList} in sheet: ${apiError.message}. ` +
+          `Verify the rows are valid and the service account has write access.`,
+          apiError
+        );
+      }
+    },
+
+    /**
+     * Appends a row after the last populated row.
+     * @param {Array<string>} values - Full row values in column order
+     */
+    async appendRow(values) {
+      await this.appendRows([values]);
+    },
+
+    /**
+     * Appends several rows after the last populated row in a single values.append call.
+     * @param {Array<Array<string>>} rows - Full row values in column order
+     */
+    async appendRows(rows) {
+      if (rows.length === 0) {
+        return;
+      }
+
+      const sheets = await getSheetsClient();
+      const sheetId = spreadsheetId || process.env.GOOGLE_SHEET_ID;
+      const sheetName = tabName || process.env.GOOGLE_SHEET_NAME;
+
+      try {
+        await sheets.spreadsheets.values.append({
+          spreadsheetId: sheetId,
+          range: sheetName,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          requestBody: {
+            values: rows,
+          },
+        });
+      } catch (apiError) {
+        throw wrapApiError(
+          `Failed to append ${rows.length} row(s) to sheet: ${apiError.message}. ` +
+          `Verify the service account has write access.`,
+          apiError
+        );
+      }
+    },
+
+    /**
+     * Restricts a column (below the header row) to a dropdown of values using
+     * spreadsheets.batchUpdate setDataValidation. Other values are flagged,
+     * not rejected, so entry statuses typed by hand still work.
+     * Sheets backend only.
+     * @param {number} columnIndex - 0-based column index
+     * @param {Array<string>} values - Dropdown values
+     */
+    async setColumnDropdown(columnIndex, values) {
+      const sheets = await getSheetsClient();
+      const sheetId = spreadsheetId || process.env.GOOGLE_SHEET_ID;
+      const sheetName = tabName || process.env.GOOGLE_SHEET_NAME;
+
+      try {
+        // setDataValidation addresses the tab by its numeric ID, not its name
+        const { data } = await sheets.spreadsheets.get({
+          spreadsheetId: sheetId,
+          fields: 'sheets.properties',
+        });
+        const tab = (data.sheets || []).find(sheet => sheet.properties.title === sheetName);
+        if (!tab) {
+          throw new Error(`sheet "${sheetName}" not found`);
+        }
+
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: sheetId,
+          requestBody: {
+            requests: [{
+              setDataValidation: {
+                range: {
+                  sheetId: tab.properties.sheetId,
+                  startRowIndex: 1,
+                  startColumnIndex: columnIndex,
+                  endColumnIndex: columnIndex + 1,
+                },
+                rule: {
+                  condition: {
+                    type: 'ONE_OF_LIST',
+                    values: values.map(value => ({ userEnteredValue: value })),
+                  },
+                  strict: false,
+                  showCustomUi: true,
+                },
+              },
+            }],
+          },
+        });
+      } catch (apiError) {
+        throw wrapApiError(
+          `Failed to add a dropdown to column ${columnLetter(columnIndex)} of ${sheetName}: ${apiError.message}`,
+          apiError
+        );
+      }
+    },
+  };
+}
+
+module.exports = {
+  buildSheetsClient,
+  getSheetsClient,
+  columnLetter,
+  createSheetsStorage,
+};
@@ -0,0 +1,91 @@
+// sourceMessages.js
+// Per-source message templates (SOURCE_MESSAGES), with DRAFT_MESSAGE as the fallback
+require('dotenv').config();
+const { isTemplateSyntax, parseTemplate } = require('./templateEngine');
+
+/**
+ * Normalizes a source value for lookup (trimmed, lowercase), as the source filter does.
+ *
+ * @param {string} source - Source value
+ * @returns {string} Lookup key
+ */
+function normalizeSource(source) {
+  return String(source || '').trim().toLowerCase();
+}
+
+/**
+ * Parses the SOURCE_MESSAGES environment variable: a JSON object mapping a
+ * source value (likes, comments, followers or any custom source) to its
+ * message template, e.g.
+ *   {"comments": "Hey {{firstName|there}}! Thanks for the comment.", "followers": "Hey! Thanks for the follow."}
+ *
+ * @returns {Object<string, string>} Templates keyed by lowercase source (empty if unset)
+ * @throws {Error} If SOURCE_MESSAGES is not a JSON object of non-empty, valid templates
+ */
+function loadSourceMessages() {
+  const raw = process.env.SOURCE_MESSAGES;
+  const messages = {};
+
+  if (!raw || raw.trim() === '') {
+    return messages;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (parseError) {
+    throw new Error(`SOURCE_MESSAGES is not valid JSON: ${parseError.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('SOURCE_MESSAGES must be a JSON object mapping source values to message templates');
+  }
+
+  for (const [source, template] of Object.entries(parsed)) {
+    const key = normalizeSource(source);
+    if (!key) {
+      throw new Error('SOURCE_MESSAGES has an empty source name');
+    }
+    if (messages[key] !== undefined) {
+      throw new Error(`SOURCE_MESSAGES lists source "${source}" more than once`);
+    }
+    if (typeof template !== 'string' || template.trim() === '') {
+      throw new Error(`SOURCE_MESSAGES for "${source}" must be a non-empty string`);
+    }
+    if (isTemplateSyntax(template)) {
+      try {
+        parseTemplate(template);
+      } catch (templateError) {
+        throw new Error(`SOURCE_MESSAGES for "${source}": ${templateError.message}`);
+      }
+    }
+
+    messages[key] = template.trim();
+  }
+
+  return messages;
+}
+
+/**
+ * Returns the sources without a template, for when there is no fallback message.
+ *
+ * @param {Array<string>} sources - Source values that will be drafted
+ * @param {Object<string, string>} sourceMessages - loadSourceMessages() result
+ * @returns {Array<string>} Lowercase sources missing from SOURCE_MESSAGES (deduplicated, in order)
+ */
+function findSourcesWithoutMessage(sources, sourceMessages) {
+  const missing = [];
+  sources.forEach(source => {
+    const key = normalizeSource(source);
+    if (sourceMessages[key] === undefined && !missing.includes(key)) {
+      missing.push(key);
+    }
+  });
+  return missing;
+}
+
+module.exports = {
+  normalizeSource,
+  loadSourceMessages,
+  findSourcesWithoutMessage,
+};
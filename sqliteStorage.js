@@ -0,0 +1,150 @@
+// sqliteStorage.js
+// Local SQLite storage backend (requires the better-sqlite3 package)
+const fs = require('fs');
+
+/**
+ * Quotes an SQLite identifier so header names with spaces are usable as columns.
+ *
+ * @param {string} name - Identifier to quote
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Creates a storage adapter backed by a table in a local SQLite database.
+ * Table columns are the header names (e.g. "Date Added", "Username", ...).
+ * Rows are ordered by rowid and mapped to sheet rows as rowIndex = rowid + 1,
+ * so row 1 stays the header row just like in Google Sheets.
+ *
+ * @param {string} filePath - Path to the SQLite database file
+ * @param {string} [tableName] - Table holding the leads (defaults to "leads")
+ * @returns {Object} Storage adapter ({ name, loadRows, updateRow, updateRows, appendRow, appendRows })
+ */
+function createSqliteStorage(filePath, tableName = 'leads') {
+  let db = null;
+
+  function openDatabase() {
+    if (db) {
+      return db;
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`SQLite storage file not found: ${filePath}`);
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (requireError) {
+      throw new Error(
+        `SQLite storage requires the better-sqlite3 package: ${requireError.message}. ` +
+        'Run "npm install better-sqlite3" to install it.'
+      );
+    }
+
+    db = new Database(filePath);
+    return db;
+  }
+
+  function readHeaders() {
+    const columns = openDatabase()
+      .prepare(`PRAGMA table_info(${quoteIdentifier(tableName)})`)
+      .all();
+
+    if (columns.length === 0) {
+      throw new Error(`SQLite table "${tableName}" not found in ${filePath}`);
+    }
+
+    return columns.map(column => column.name);
+  }
+
+  return {
+    name: 'sqlite',
+
+    async loadRows() {
+      const headers = readHeaders();
+      const records = openDatabase()
+        .prepare(`SELECT rowid AS __rowid, * FROM ${quoteIdentifier(tableName)} ORDER BY rowid`)
+        .all();
+
+      // Pad gaps left by deleted rowids so grid position always matches rowid
+      const grid = [headers];
+      for (const record of records) {
+        while (grid.length < record.__rowid) {
+          grid.push([]);
+        }
+        grid.push(headers.map(header =>
+          record[header] === undefined || record[header] === null ? '' : String(record[header])
+        ));
+      }
+
+      return grid;
+    },
+
+    async updateRow(rowIndex, cells) {
+      await this.updateRows([{ rowIndex, cells }]);
+    },
+
+    async updateRows(updates) {
+      const headers = readHeaders();
+      const database = openDatabase();
+
+      // Apply every row update atomically
+      const applyAll = database.transaction(() => {
+        for (const { rowIndex, cells } of updates) {
+          const assignments = [];
+          const values = [];
+
+          for (const [col, value] of Object.entries(cells)) {
+            const header = headers[Number(col)];
+            if (!header) {
+              throw new Error(`Failed to update row ${rowIndex}: no column for index ${col}`);
+            }
+            assignments.push(`${quoteIdentifier(header)} = ?`);
+            values.push(value);
+          }
+
+          const result = database
+            .prepare(`UPDATE ${quoteIdentifier(tableName)} SET ${assignments.join(', ')} WHERE rowid = ?`)
+            .run(...values, rowIndex - 1);
+
+          if (result.changes === 0) {
+            throw new Error(`Failed to update row ${rowIndex}: no SQLite row with rowid ${rowIndex - 1}`);
+          }
+        }
+      });
+
+      applyAll();
+    },
+
+    async appendRow(values) {
+      await this.appendRows([values]);
+    },
+
+    async appendRows(rows) {
+      const headers = readHeaders();
+      const database = openDatabase();
+      const placeholders = headers.map(() => '?').join(', ');
+      const columnList = headers.map(quoteIdentifier).join(', ');
+      const insert = database
+        .prepare(`INSERT INTO ${quoteIdentifier(tableName)} (${columnList}) VALUES (${placeholders})`);
+
+      // Insert every row atomically
+      const insertAll = database.transaction(() => {
+        for (const values of rows) {
+          insert.run(...headers.map((_, index) =>
+            values[index] === undefined || values[index] === null ? '' : String(values[index])
+          ));
+        }
+      });
+
+      insertAll();
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
@@ -0,0 +1,115 @@
+// storageAdapter.js
+// Selects the lead storage backend (Google Sheets, CSV, JSON or SQLite)
+require('dotenv').config();
+const { createSheetsStorage } = require('./sheetsStorage');
+const { createCsvStorage } = require('./csvStorage');
+const { createJsonStorage } = require('./jsonStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+
+/**
+ * Valid STORAGE_BACKEND values
+ */
+const VALID_STORAGE_BACKENDS = ['sheets', 'csv', 'json', 'sqlite'];
+
+/**
+ * Backends that read from a local file and require STORAGE_PATH
+ */
+const FILE_STORAGE_BACKENDS = ['csv', 'json', 'sqlite'];
+
+/**
+ * Adapter instances reused for the lifetime of the process, keyed by
+ * getStorageKey() so each campaign's sheet or file gets its own adapter
+ */
+const cachedAdapters = new Map();
+
+/**
+ * Returns the configured storage backend name (defaults to "sheets").
+ *
+ * @returns {string} Normalized backend name
+ * @throws {Error} If STORAGE_BACKEND is not a supported value
+ */
+function getStorageBackend() {
+  const backend = (process.env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+
+  if (!VALID_STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Invalid STORAGE_BACKEND value: "${process.env.STORAGE_BACKEND}". ` +
+      `Valid values are: ${VALID_STORAGE_BACKENDS.join(', ')}`
+    );
+  }
+
+  return backend;
+}
+
+/**
+ * Returns a key identifying the storage currently selected by the environment
+ * (backend plus sheet or file), e.g. "sheets:<id>/Leads" or "csv:./leads.csv".
+ *
+ * @returns {string} Storage key
+ * @throws {Error} If STORAGE_BACKEND is not a supported value
+ */
+function getStorageKey() {
+  const backend = getStorageBackend();
+
+  if (backend === 'sheets') {
+    return `sheets:${process.env.GOOGLE_SHEET_ID || ''}/${process.env.GOOGLE_SHEET_NAME || ''}`;
+  }
+  if (backend === 'sqlite') {
+    return `sqlite:${process.env.STORAGE_PATH || ''}/${process.env.STORAGE_TABLE || 'leads'}`;
+  }
+  return `${backend}:${process.env.STORAGE_PATH || ''}`;
+}
+
+/**
+ * Returns the storage adapter selected by STORAGE_BACKEND.
+ *
+ * Every adapter implements the same grid-level interface, where row 1 is the
+ * header row and rowIndex is 1-based (matching Google Sheets row numbers):
+ *   - loadRows(): Promise<Array<Array<string>>> - all rows, header included
+ *   - updateRow(rowIndex, cells): Promise<void> - cells keyed by 0-based column index
+ *   - updateRows(updates): Promise<void> - several { rowIndex, cells } updates in one write
+ *   - appendRow(values): Promise<void> - values in header column order
+ *   - appendRows(rows): Promise<void> - several rows of values in header column order
+ *
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the backend is invalid or STORAGE_PATH is missing
+ */
+function getStorageAdapter() {
+  const key = getStorageKey();
+  if (cachedAdapters.has(key)) {
+    return cachedAdapters.get(key);
+  }
+
+  const backend = getStorageBackend();
+  const storagePath = process.env.STORAGE_PATH;
+
+  if (FILE_STORAGE_BACKENDS.includes(backend) && !storagePath) {
+    throw new Error(`Missing required environment variable: STORAGE_PATH (required for STORAGE_BACKEND=${backend})`);
+  }
+
+  let adapter;
+  switch (backend) {
+    case 'csv':
+      adapter = createCsvStorage(storagePath);
+      break;
+    case 'json':
+      adapter = createJsonStorage(storagePath);
+      break;
+    case 'sqlite':
+      adapter = createSqliteStorage(storagePath, process.env.STORAGE_TABLE || 'leads');
+      break;
+    default:
+      adapter = createSheetsStorage(process.env.GOOGLE_SHEET_NAME);
+  }
+
+  cachedAdapters.set(key, adapter);
+  return adapter;
+}
+
+module.exports = {
+  VALID_STORAGE_BACKENDS,
+  FILE_STORAGE_BACKENDS,
+  getStorageBackend,
+  getStorageKey,
+  getStorageAdapter,
+};
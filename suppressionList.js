@@ -0,0 +1,327 @@
+// suppressionList.js
+// Persistent do-not-contact list that every campaign excludes
+//
+// Usage:
+//   node suppressionList.js add <username|url>... --reason <reason> [--note "text"]
+//   node suppressionList.js remove <username|url>...   (opted-out entries cannot be removed)
+//   node suppressionList.js list
+require('dotenv').config();
+const fs = require('fs');
+const { createSheetsStorage } = require('./sheetsStorage');
+const { createCsvStorage } = require('./csvStorage');
+const { stringifyCsv } = require('./csvUtils');
+const { parseUsername, canonicalizeUsername } = require('./usernameUtils');
+const { LEAD_STATUSES } = require('./leadStatus');
+const { getBaseEnv } = require('./campaigns');
+const logger = require('./logger');
+
+/**
+ * Status written to lead rows whose username is on the suppression list
+ */
+const SUPPRESSED_STATUS = LEAD_STATUSES.SUPPRESSED;
+
+/**
+ * Reason recorded when a user asked not to be contacted. These entries are
+ * permanent: they cannot be removed and take over any other reason.
+ */
+const OPT_OUT_REASON = 'opted-out';
+
+/**
+ * Valid suppression reasons
+ */
+const SUPPRESSION_REASONS = [OPT_OUT_REASON, 'customer', 'staff', 'partner', 'other'];
+
+/**
+ * Header row of the suppression tab or file
+ */
+const SUPPRESSION_HEADERS = ['Username', 'Reason', 'Added At', 'Note'];
+
+/**
+ * Returns where the suppression list lives:
+ *   - SUPPRESSION_SHEET: a tab in the SUPPRESSION_SHEET_ID spreadsheet, which
+ *     defaults to the .env GOOGLE_SHEET_ID (sheets backend only). A campaign's
+ *     own sheetId never moves it, so every campaign shares one list.
+ *   - otherwise SUPPRESSION_PATH: a local CSV file (defaults to ./suppression-list.csv)
+ *
+ * @returns {{ type: string, location: string, spreadsheetId?: string }} Suppression store description
+ */
+function getSuppressionStore() {
+  if (process.env.SUPPRESSION_SHEET) {
+    const spreadsheetId = process.env.SUPPRESSION_SHEET_ID || getBaseEnv('GOOGLE_SHEET_ID');
+    return { type: 'sheet', location: process.env.SUPPRESSION_SHEET, spreadsheetId: spreadsheetId || undefined };
+  }
+  return { type: 'file', location: process.env.SUPPRESSION_PATH || './suppression-list.csv' };
+}
+
+/**
+ * Returns a grid-level storage adapter for the suppression list
+ * (same interface as storageAdapter.js), creating the local file with its
+ * header row if it does not exist yet.
+ *
+ * @param {boolean} [create] - Create the local file when missing
+ * @returns {Object|null} Storage adapter, or null if the local file does not exist and create is false
+ */
+function getSuppressionStorage(create = false) {
+  const { type, location, spreadsheetId } = getSuppressionStore();
+
+  if (type === 'sheet') {
+    return createSheetsStorage(location, spreadsheetId);
+  }
+
+  if (!fs.existsSync(location)) {
+    if (!create) {
+      return null;
+    }
+    fs.writeFileSync(location, stringifyCsv([SUPPRESSION_HEADERS]), 'utf8');
+  }
+
+  return createCsvStorage(location);
+}
+
+/**
+ * Locates the suppression columns in a header row (case-insensitive).
+ *
+ * @param {Array<string>} headerRow - Header values
+ * @returns {Object<string, number>} 0-based column index keyed by header name
+ * @throws {Error} If the Username column is missing
+ */
+function resolveSuppressionColumns(headerRow) {
+  const normalized = (headerRow || []).map(header => String(header || '').trim().toLowerCase());
+  const columns = {};
+
+  SUPPRESSION_HEADERS.forEach(header => {
+    const index = normalized.indexOf(header.toLowerCase());
+    if (index !== -1) {
+      columns[header] = index;
+    }
+  });
+
+  if (columns.Username === undefined) {
+    const { location } = getSuppressionStore();
+    throw new Error(`Invalid suppression list at ${location}: missing "Username" header`);
+  }
+
+  return columns;
+}
+
+/**
+ * Loads the suppression list.
+ *
+ * @returns {Promise<Map<string, Object>>} Entries ({ username, reason, addedAt, note, rowIndexes })
+ *   keyed by canonical username
+ * @throws {Error} If the suppression list cannot be read
+ */
+async function loadSuppressionList() {
+  const storage = getSuppressionStorage();
+  const entries = new Map();
+  if (!storage) {
+    return entries;
+  }
+
+  const grid = await storage.loadRows();
+  if (grid.length === 0) {
+    return entries;
+  }
+
+  const columns = resolveSuppressionColumns(grid[0]);
+  const cell = (row, header) => (columns[header] === undefined ? '' : String(row[columns[header]] || '').trim());
+
+  grid.slice(1).forEach((row, index) => {
+    const username = canonicalizeUsername(cell(row, 'Username'));
+    if (!username) {
+      return;
+    }
+
+    // Keep the first entry, but remember every row so removal clears duplicates too
+    if (entries.has(username)) {
+      entries.get(username).rowIndexes.push(index + 2);
+      return;
+    }
+
+    entries.set(username, {
+      username,
+      reason: cell(row, 'Reason'),
+      addedAt: cell(row, 'Added At'),
+      note: cell(row, 'Note'),
+      rowIndexes: [index + 2],
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Adds usernames (or profile URLs) to the suppression list. Usernames already
+ * on the list are left unchanged, except that an opt-out replaces any other
+ * reason (so the entry becomes permanent).
+ *
+ * @param {Array<string>} values - Usernames or profile URLs
+ * @param {string} reason - One of SUPPRESSION_REASONS
+ * @param {string} [note] - Free-text note (e.g. where the request came from)
+ * @returns {Promise<{ added: Array<string>, existing: Array<string>, rejected: Array<{ value, reason }> }>} Outcome per value
+ * @throws {Error} If the reason is invalid or the list cannot be written
+ */
+async function addToSuppressionList(values, reason, note = '') {
+  if (!SUPPRESSION_REASONS.includes(reason)) {
+    throw new Error(`Invalid suppression reason "${reason}". Valid reasons: ${SUPPRESSION_REASONS.join(', ')}`);
+  }
+
+  const current = await loadSuppressionList();
+  const result = { added: [], existing: [], rejected: [] };
+  const optOutUpgrades = [];
+
+  for (const value of values) {
+    const { username, valid, reason: invalidReason } = parseUsername(value);
+    if (!valid) {
+      result.rejected.push({ value, reason: invalidReason });
+    } else if (current.has(username) || result.added.includes(username)) {
+      result.existing.push(username);
+      const entry = current.get(username);
+      if (reason === OPT_OUT_REASON && entry && entry.reason !== OPT_OUT_REASON) {
+        optOutUpgrades.push(entry);
+      }
+    } else {
+      result.added.push(username);
+    }
+  }
+
+  if (optOutUpgrades.length > 0) {
+    const storage = getSuppressionStorage();
+    const [headerRow] = await storage.loadRows();
+    const columns = resolveSuppressionColumns(headerRow);
+    if (columns.Reason === undefined) {
+      throw new Error(`Cannot record opt-outs in the suppression list at ${getSuppressionStore().location}: missing "Reason" header`);
+    }
+
+    const cells = { [columns.Reason]: OPT_OUT_REASON };
+    if (columns.Note !== undefined && note) {
+      cells[columns.Note] = note;
+    }
+    await storage.updateRows(optOutUpgrades.map(entry => ({ rowIndex: entry.rowIndexes[0], cells })));
+  }
+
+  if (result.added.length > 0) {
+    const storage = getSuppressionStorage(true);
+    const grid = await storage.loadRows();
+    if (grid.length === 0) {
+      await storage.appendRow(SUPPRESSION_HEADERS);
+    }
+
+    const addedAt = new Date().toISOString();
+    await storage.appendRows(result.added.map(username => [username, reason, addedAt, note]));
+  }
+
+  return result;
+}
+
+/**
+ * Removes usernames from the suppression list by blanking their rows.
+ * Opted-out usernames are kept: an opt-out is permanent.
+ *
+ * @param {Array<string>} values - Usernames or profile URLs
+ * @returns {Promise<{ removed: Array<string>, missing: Array<string>, optedOut: Array<string> }>} Outcome per value
+ * @throws {Error} If the list cannot be read or written
+ */
+async function removeFromSuppressionList(values) {
+  const current = await loadSuppressionList();
+  const result = { removed: [], missing: [], optedOut: [] };
+  const updates = [];
+
+  for (const value of values) {
+    const username = canonicalizeUsername(value);
+    const entry = current.get(username);
+
+    if (!entry) {
+      result.missing.push(username);
+      continue;
+    }
+
+    if (entry.reason === OPT_OUT_REASON) {
+      result.optedOut.push(username);
+      continue;
+    }
+
+    updates.push(...entry.rowIndexes);
+    result.removed.push(username);
+  }
+
+  if (updates.length > 0) {
+    const storage = getSuppressionStorage();
+    const [headerRow] = await storage.loadRows();
+
+    // Blank every column, including any extra ones added by hand
+    const cells = {};
+    headerRow.forEach((_, columnIndex) => {
+      cells[columnIndex] = '';
+    });
+    await storage.updateRows(updates.map(rowIndex => ({ rowIndex, cells })));
+  }
+
+  return result;
+}
+
+module.exports = {
+  SUPPRESSED_STATUS,
+  OPT_OUT_REASON,
+  SUPPRESSION_REASONS,
+  getSuppressionStore,
+  loadSuppressionList,
+  addToSuppressionList,
+  removeFromSuppressionList,
+};
+
+// Run standalone: node suppressionList.js <add|remove|list> ...
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  const argValue = flag => {
+    const index = rest.indexOf(flag);
+    return index === -1 ? undefined : rest[index + 1];
+  };
+  // Positional values are everything that is not a flag or a flag's value
+  const positional = rest.filter((arg, index) => !arg.startsWith('--') && !(index > 0 && rest[index - 1].startsWith('--')));
+  const { type, location } = getSuppressionStore();
+
+  const commands = {
+    async add() {
+      const reason = argValue('--reason');
+      if (positional.length === 0 || !reason) {
+        throw new Error(`Usage: node suppressionList.js add <username|url>... --reason <${SUPPRESSION_REASONS.join('|')}> [--note "text"]`);
+      }
+
+      const { added, existing, rejected } = await addToSuppressionList(positional, reason, argValue('--note') || '');
+      logger.success(`Added ${added.length} username(s) to the suppression list (${type}: ${location})`);
+      existing.forEach(username => logger.info(`  Already suppressed: ${username}`));
+      rejected.forEach(({ value, reason: invalidReason }) => logger.warn(`  Rejected "${value}": ${invalidReason}`));
+    },
+
+    async remove() {
+      if (positional.length === 0) {
+        throw new Error('Usage: node suppressionList.js remove <username|url>...');
+      }
+
+      const { removed, missing, optedOut } = await removeFromSuppressionList(positional);
+      logger.success(`Removed ${removed.length} username(s) from the suppression list`);
+      missing.forEach(username => logger.warn(`  Not on the list: ${username}`));
+      optedOut.forEach(username => logger.warn(`  Kept ${username}: opted out, which cannot be undone`));
+    },
+
+    async list() {
+      const entries = await loadSuppressionList();
+      logger.section(`Suppression List (${type}: ${location})`);
+      entries.forEach(({ username, reason, addedAt, note }) => {
+        logger.info(`${username} - ${reason || 'no reason'}${addedAt ? ` (added ${addedAt})` : ''}${note ? `: ${note}` : ''}`);
+      });
+      logger.info(`${entries.size} suppressed username(s)`);
+    },
+  };
+
+  if (!commands[command]) {
+    logger.error('Usage: node suppressionList.js <add|remove|list> ...');
+    process.exit(1);
+  }
+
+  commands[command]().catch(error => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
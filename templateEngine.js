@@ -0,0 +1,261 @@
+// templateEngine.js
+// Parses and renders message templates with placeholders, fallbacks and conditionals
+//
+// Examples:
+//   Hey {{firstName|there}}! Saw you through {{source}}.
+//   {{#if firstName}}Hi {{firstName}}!{{else}}Hi!{{/if}} Loved your posts.
+//   Hey {{firstName}}, how is {{Lead City|your city}}?
+//
+// Templates without "{{" are legacy templates: the first name is inserted in
+// front of the first "!" (see messageDrafter.js).
+const { ROW_PROPERTIES, normalizeColumnName, resolveColumnName } = require('./columnMapping');
+
+/**
+ * Placeholders filled from the profile rather than the sheet
+ */
+const BUILT_IN_VARIABLES = ['firstName'];
+
+/**
+ * Whether a template uses the placeholder syntax (otherwise it is a legacy template).
+ *
+ * @param {string} text - Template text
+ * @returns {boolean} True if the template contains "{{"
+ */
+function isTemplateSyntax(text) {
+  return String(text || '').includes('{{');
+}
+
+/**
+ * Parses a template into nodes:
+ *   {{name}}                            value of name
+ *   {{name|fallback}}                   fallback when the value is blank
+ *   {{#if name}}...{{else}}...{{/if}}   first part when name is not blank ({{else}} optional)
+ *
+ * Names are built-ins (firstName), column keys or header names; quote names
+ * containing "|" ({{"Yes|No"|unknown}}).
+ *
+ * @param {string} text - Template text
+ * @returns {{ text: string, nodes: Array<Object>, variables: Array<string> }} Parsed template
+ *   (variables lists every name used, in order of first use)
+ * @throws {Error} If a tag is malformed or a conditional is not closed
+ */
+function parseTemplate(text) {
+  const source = String(text || '');
+  const root = { nodes: [] };
+  const stack = [root];
+  const variables = [];
+  const useVariable = name => {
+    if (!variables.includes(name)) {
+      variables.push(name);
+    }
+  };
+  const current = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.elseNodes : top.nodes;
+  };
+
+  let index = 0;
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+    if (open === -1) {
+      current().push({ type: 'text', value: source.slice(index) });
+      break;
+    }
+    if (open > index) {
+      current().push({ type: 'text', value: source.slice(index, open) });
+    }
+
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw new Error(`Invalid template: "{{" at position ${open + 1} is never closed with "}}"`);
+    }
+    const tag = source.slice(open + 2, close).trim();
+    const position = open + 1;
+    index = close + 2;
+
+    const ifMatch = /^#if\s+(.+)$/.exec(tag);
+    if (ifMatch) {
+      const name = unquote(ifMatch[1].trim());
+      useVariable(name);
+      const node = { type: 'if', name, nodes: [], elseNodes: [], inElse: false, position };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const top = stack[stack.length - 1];
+      if (top === root || top.inElse) {
+        throw new Error(`Invalid template: {{else}} at position ${position} is not inside an {{#if}}`);
+      }
+      top.inElse = true;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        throw new Error(`Invalid template: {{/if}} at position ${position} has no matching {{#if}}`);
+      }
+      stack.pop();
+    } else if (tag.startsWith('#') || tag.startsWith('/')) {
+      throw new Error(`Invalid template: unknown tag "{{${tag}}}" at position ${position} (supported: {{#if name}}, {{else}}, {{/if}})`);
+    } else {
+      const { name, fallback } = splitPlaceholder(tag);
+      if (!name) {
+        throw new Error(`Invalid template: empty placeholder at position ${position}`);
+      }
+      useVariable(name);
+      current().push({ type: 'var', name, fallback, position });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid template: {{#if ${stack[stack.length - 1].name}}} at position ${stack[stack.length - 1].position} is never closed with {{/if}}`);
+  }
+
+  return { text: source, nodes: root.nodes, variables };
+}
+
+/**
+ * Removes the quotes around a quoted name.
+ *
+ * @param {string} value - Name, possibly quoted
+ * @returns {string} Bare name
+ */
+function unquote(value) {
+  const quoted = /^(["'])(.*)\1$/.exec(value);
+  return quoted ? quoted[2] : value;
+}
+
+/**
+ * Splits a placeholder tag into its name and fallback.
+ *
+ * @param {string} tag - Tag text between the braces
+ * @returns {{ name: string, fallback: string }} Name and fallback (empty if none)
+ */
+function splitPlaceholder(tag) {
+  const quoted = /^(["'])(.*?)\1\s*(?:\|(.*))?$/.exec(tag);
+  if (quoted) {
+    return { name: quoted[2], fallback: (quoted[3] || '').trim() };
+  }
+  const bar = tag.indexOf('|');
+  return bar === -1
+    ? { name: tag.trim(), fallback: '' }
+    : { name: tag.slice(0, bar).trim(), fallback: tag.slice(bar + 1).trim() };
+}
+
+/**
+ * Resolves a parsed template's placeholders against the sheet columns, so a
+ * misspelled placeholder fails before any browser work starts.
+ *
+ * @param {Object} template - parseTemplate() result
+ * @param {{ headers: Array<string>, columns: Object<string, number> }} columnMap - Column map
+ * @returns {Object} The template with `sources`: per placeholder name, { builtIn }, { key } or { header }
+ * @throws {Error} If a placeholder is neither a built-in nor a sheet column
+ */
+function resolveTemplateVariables(template, columnMap) {
+  const sources = {};
+
+  template.variables.forEach(name => {
+    const normalized = normalizeColumnName(name);
+    const builtIn = BUILT_IN_VARIABLES.find(candidate => normalizeColumnName(candidate) === normalized);
+    if (builtIn) {
+      sources[name] = { builtIn };
+      return;
+    }
+
+    const column = resolveColumnName(name, columnMap);
+    if (column) {
+      sources[name] = column;
+      return;
+    }
+
+    throw new Error(
+      `Invalid template: placeholder "{{${name}}}" is not a sheet column or one of ${BUILT_IN_VARIABLES.join(', ')}. ` +
+      `Sheet headers: ${columnMap.headers.filter(Boolean).join(', ')}`
+    );
+  });
+
+  return { ...template, sources };
+}
+
+/**
+ * Collects a row's values for a resolved template's sheet placeholders.
+ *
+ * @param {Object} template - resolveTemplateVariables() result
+ * @param {Object} row - Row object from loadDatabaseRows
+ * @param {{ columns: Object<string, number> }} columnMap - Column map
+ * @returns {Object<string, string>} Values keyed by placeholder name (built-ins left out)
+ */
+function getTemplateValues(template, row, columnMap) {
+  const values = {};
+
+  Object.entries(template.sources).forEach(([name, source]) => {
+    if (source.builtIn) {
+      return;
+    }
+    if (source.header) {
+      values[name] = (row.fields && row.fields[source.header]) || '';
+    } else if (ROW_PROPERTIES[source.key]) {
+      values[name] = row[ROW_PROPERTIES[source.key]] || '';
+    } else {
+      values[name] = String((row.rawRow || [])[columnMap.columns[source.key]] || '').trim();
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Whether a template needs the first name (so it can be extracted from the profile).
+ *
+ * @param {Object} template - parseTemplate() result
+ * @returns {boolean} True if {{firstName}} is used
+ */
+function usesFirstName(template) {
+  return template.variables.some(name => normalizeColumnName(name) === normalizeColumnName('firstName'));
+}
+
+/**
+ * Marks where a placeholder or conditional rendered nothing, so only the
+ * spacing around it is tidied
+ */
+const EMPTY_MARK = '\u0000';
+
+/**
+ * Renders a parsed template. Blank values use the placeholder's fallback (or
+ * nothing); where a placeholder or conditional renders nothing, the spaces on
+ * either side of it are merged into one. Other spacing, in the template or in
+ * values, is kept as written.
+ *
+ * @param {Object} template - parseTemplate() result
+ * @param {Object<string, string>} values - Values keyed by placeholder name
+ *   (built-ins such as firstName may use any spelling parseTemplate accepts)
+ * @returns {string} Rendered message
+ */
+function renderTemplate(template, values) {
+  const lookup = {};
+  Object.entries(values).forEach(([name, value]) => {
+    lookup[normalizeColumnName(name)] = String(value ?? '').trim();
+  });
+  const valueOf = name => lookup[normalizeColumnName(name)] || '';
+
+  const renderNodes = nodes => nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    const output = node.type === 'var'
+      ? valueOf(node.name) || node.fallback
+      : renderNodes(valueOf(node.name) ? node.nodes : node.elseNodes);
+    return output.split(EMPTY_MARK).join('') === '' ? EMPTY_MARK : output;
+  }).join('');
+
+  // Keep the spacing before an empty run of placeholders, or else the spacing after it
+  return renderNodes(template.nodes)
+    .replace(/([ \t]*)\u0000(?:[ \t]*\u0000)*([ \t]*)/g, (_, before, after) => before || after)
+    .trim();
+}
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  isTemplateSyntax,
+  parseTemplate,
+  resolveTemplateVariables,
+  getTemplateValues,
+  usesFirstName,
+  renderTemplate,
+};
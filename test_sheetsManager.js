@@ -0,0 +1,927 @@
+// test_sheetsManager.js
+// Offline tests for sheetsManager.js and the orchestrator, run against sheetsEmulator.js
+// Usage: npm test
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createSheetsEmulator } = require('./sheetsEmulator');
+
+const SHEET_NAME = 'Leads';
+const SUPPRESSION_SHEET = 'Do Not Contact';
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheets-test-'));
+
+// Columns deliberately out of the default order, with an aliased username header
+const INITIAL_GRID = [
+  ['Status', 'Handle', 'Source', 'Date Added', 'Message', 'Date Sent', 'Notes'],
+  ['New', 'alice', 'Followers', '2024-01-01', '', '', 'vip'],
+  ['New', 'Bob', 'Following', '2024-01-02', '', '', ''],
+  ['Drafted', 'carol', 'Followers', '2024-01-03', 'Hi', '2024-01-04', ''],
+  ['New', 'dave', 'Followers', '2024-01-05', '', '', ''],
+];
+
+const emulator = createSheetsEmulator({
+  sheets: {
+    [SHEET_NAME]: INITIAL_GRID,
+    [SUPPRESSION_SHEET]: [['Username', 'Reason', 'Added At', 'Note']],
+  },
+});
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Environment shared by the in-process tests and the spawned orchestrator.
+ * Must be applied before sheetsManager.js is required, since it reads its
+ * retry and batching settings at load time.
+ */
+function buildTestEnv(apiUrl) {
+  return {
+    STORAGE_BACKEND: 'sheets',
+    SHEETS_API_URL: apiUrl,
+    GOOGLE_SHEET_ID: 'test-sheet',
+    GOOGLE_SHEET_NAME: SHEET_NAME,
+    GOOGLE_CREDENTIALS: '',
+    GOOGLE_CREDENTIALS_PATH: '',
+    COLUMN_ALIASES: JSON.stringify({ Username: 'Handle' }),
+    WRITE_BATCH_SIZE: '50',
+    WRITE_FLUSH_MS: '60000',
+    WRITE_RETRY_ATTEMPTS: '2',
+    WRITE_RETRY_BASE_MS: '10',
+    WRITE_JOURNAL_PATH: path.join(tmpDir, 'pending-writes.jsonl'),
+    ROW_IDENTITY_MODE: 'relocate',
+    SUPPRESSION_SHEET,
+  };
+}
+
+const isBatchUpdate = (method, requestPath) => method === 'POST' && requestPath.endsWith('values:batchUpdate');
+
+test('loadDatabaseRows maps columns by header name and alias', async () => {
+  const { loadDatabaseRows } = require('./sheetsManager');
+  const rows = await loadDatabaseRows();
+
+  assert.strictEqual(rows.length, 4);
+  assert.deepStrictEqual(rows.map(row => row.rowIndex), [2, 3, 4, 5]);
+  assert.deepStrictEqual(rows.map(row => row.username), ['alice', 'bob', 'carol', 'dave']);
+  assert.strictEqual(rows[0].source, 'Followers');
+  assert.strictEqual(rows[0].status, 'New');
+  assert.strictEqual(rows[0].dateAdded, '2024-01-01');
+  assert.strictEqual(rows[0].fields.Notes, 'vip');
+});
+
+test('updateDraftData writes the right cells in one batched request', async () => {
+  const { updateDraftData, flushWrites } = require('./sheetsManager');
+  const before = emulator.requests.filter(request => isBatchUpdate(request.method, request.path)).length;
+
+  await updateDraftData(2, '2024-02-01', 'Hey alice', 'Drafted', { username: 'alice' });
+  await updateDraftData(3, '2024-02-01', '', 'Convo Exists', { username: 'bob' });
+  await flushWrites();
+
+  const after = emulator.requests.filter(request => isBatchUpdate(request.method, request.path)).length;
+  assert.strictEqual(after - before, 1, 'expected a single batchUpdate call');
+
+  const grid = emulator.getGrid(SHEET_NAME);
+  assert.deepStrictEqual(grid[1], ['Drafted', 'alice', 'Followers', '2024-01-01', 'Hey alice', '2024-02-01', 'vip']);
+  assert.strictEqual(grid[2][0], 'Convo Exists');
+  assert.strictEqual(grid[2][1], 'Bob', 'username cell must not be rewritten');
+});
+
+test('updates follow a row that moved before the flush', async () => {
+  const { updateDraftData, flushWrites, getIdentityMismatches } = require('./sheetsManager');
+
+  await updateDraftData(5, '2024-02-02', 'Hey dave', 'Drafted', { username: 'dave' });
+
+  // Someone inserts a row above dave while the update is queued
+  const grid = emulator.getGrid(SHEET_NAME);
+  grid.splice(1, 0, ['New', 'erin', 'Followers', '2024-01-06', '', '', '']);
+  emulator.setGrid(SHEET_NAME, grid);
+
+  await flushWrites();
+
+  const updated = emulator.getGrid(SHEET_NAME);
+  assert.strictEqual(updated[5][1], 'dave');
+  assert.strictEqual(updated[5][0], 'Drafted');
+  assert.strictEqual(updated[5][4], 'Hey dave');
+  assert.strictEqual(updated[4][0], 'Drafted', 'row now at index 5 (carol) must be untouched');
+  assert.strictEqual(updated[4][4], 'Hi');
+  assert.strictEqual(getIdentityMismatches().length, 0);
+});
+
+test('transient write errors are retried', async () => {
+  const { updateRowFields, flushWrites } = require('./sheetsManager');
+
+  emulator.failNext(503, 1, isBatchUpdate);
+  await updateRowFields(2, { STATUS: 'Failed' }, { username: 'erin' });
+  await flushWrites();
+
+  assert.strictEqual(emulator.getGrid(SHEET_NAME)[1][0], 'Failed');
+});
+
+test('writes that keep failing are journaled and replayed', async () => {
+  const { updateRowFields, flushWrites, replayJournal } = require('./sheetsManager');
+  const { readJournal } = require('./writeJournal');
+
+  // Initial attempt plus WRITE_RETRY_ATTEMPTS retries
+  emulator.failNext(429, 3, isBatchUpdate);
+  await updateRowFields(2, { STATUS: 'Convo Exists' }, { username: 'erin' });
+  await flushWrites();
+
+  const journal = readJournal();
+  assert.strictEqual(journal.length, 1);
+  assert.strictEqual(journal[0].rowIndex, 2);
+  assert.strictEqual(emulator.getGrid(SHEET_NAME)[1][0], 'Failed');
+
+  const { replayed, remaining } = await replayJournal();
+  assert.strictEqual(replayed, 1);
+  assert.strictEqual(remaining, 0);
+  assert.strictEqual(readJournal().length, 0);
+  assert.strictEqual(emulator.getGrid(SHEET_NAME)[1][0], 'Convo Exists');
+});
+
+test('CSV, JSON and SQLite storage round-trip loads, updates and appends', async () => {
+  const { createCsvStorage } = require('./csvStorage');
+  const { createJsonStorage } = require('./jsonStorage');
+  const { createSqliteStorage } = require('./sqliteStorage');
+  const headers = ['Date Added', 'Username', 'Source', 'Status', 'Message'];
+
+  const csvPath = path.join(tmpDir, 'leads.csv');
+  fs.writeFileSync(csvPath, 'Date Added,Username,Source,Status,Message\n2024-01-01,alice,Followers,New,\n');
+
+  const jsonPath = path.join(tmpDir, 'leads.json');
+  fs.writeFileSync(jsonPath, JSON.stringify([
+    { 'Date Added': '2024-01-01', Username: 'alice', Source: 'Followers', Status: 'New', Message: '' },
+  ]));
+
+  const adapters = [createCsvStorage(csvPath), createJsonStorage(jsonPath)];
+
+  // better-sqlite3 is an optional dependency: only test the SQLite backend where it installed
+  let Database = null;
+  try {
+    Database = require('better-sqlite3');
+  } catch (requireError) {
+    console.log(`  (skipping SQLite storage: ${requireError.message.split('\n')[0]})`);
+  }
+  if (Database) {
+    const sqlitePath = path.join(tmpDir, 'leads.db');
+    const db = new Database(sqlitePath);
+    db.exec('CREATE TABLE leads ("Date Added" TEXT, "Username" TEXT, "Source" TEXT, "Status" TEXT, "Message" TEXT)');
+    db.prepare('INSERT INTO leads VALUES (?, ?, ?, ?, ?)').run('2024-01-01', 'alice', 'Followers', 'New', '');
+    db.close();
+    adapters.push(createSqliteStorage(sqlitePath));
+  }
+
+  for (const adapter of adapters) {
+    assert.deepStrictEqual(await adapter.loadRows(), [headers, ['2024-01-01', 'alice', 'Followers', 'New', '']], adapter.name);
+
+    await adapter.updateRows([{ rowIndex: 2, cells: { 3: 'Drafted', 4: 'Hey, "alice"\nhow are you?' } }]);
+    await adapter.appendRows([['2024-01-02', 'bob', 'Likes', 'New', '']]);
+
+    assert.deepStrictEqual(await adapter.loadRows(), [
+      headers,
+      ['2024-01-01', 'alice', 'Followers', 'Drafted', 'Hey, "alice"\nhow are you?'],
+      ['2024-01-02', 'bob', 'Likes', 'New', ''],
+    ], adapter.name);
+  }
+});
+
+test('status changes follow the lead lifecycle', async () => {
+  const { updateDraftData, flushWrites, getStatusRejections, installStatusDropdown } = require('./sheetsManager');
+
+  emulator.setGrid(SHEET_NAME, [
+    INITIAL_GRID[0],
+    ['Replied', 'alice', 'Followers', '2024-01-01', 'Hi alice', '2024-01-02', ''],
+    ['Ready', 'bob', 'Followers', '2024-01-02', '', '', ''],
+  ]);
+
+  await updateDraftData(2, '2024-02-03', 'Timed out', 'Failed', { username: 'alice' });
+  await updateDraftData(3, '2024-02-03', 'Hey bob', 'Drafted', { username: 'bob' });
+  await flushWrites();
+
+  const grid = emulator.getGrid(SHEET_NAME);
+  assert.deepStrictEqual(grid[1].slice(0, 6), ['Replied', 'alice', 'Followers', '2024-01-01', 'Hi alice', '2024-01-02']);
+  assert.strictEqual(grid[2][0], 'Drafted', 'entry statuses outside the lifecycle behave like New');
+  assert.deepStrictEqual(
+    getStatusRejections().map(({ username, fromStatus, toStatus }) => [username, fromStatus, toStatus]),
+    [['alice', 'Replied', 'Failed']]
+  );
+
+  await assert.rejects(updateDraftData(3, '2024-02-03', '', 'Skipped'), /Unknown lead status "Skipped"/);
+
+  const values = await installStatusDropdown();
+  const [validation] = emulator.getValidations(SHEET_NAME);
+  assert.strictEqual(validation.range.startColumnIndex, 0, 'dropdown targets the Status column');
+  assert.deepStrictEqual(validation.rule.condition.values.map(value => value.userEnteredValue), values);
+  assert.ok(values.includes('Replied') && values.includes('Opted Out'));
+});
+
+test('importLeads normalizes, dedupes and appends new leads', async () => {
+  const { importLeads } = require('./leadImporter');
+  const leadFile = path.join(tmpDir, 'leads.csv');
+  fs.writeFileSync(leadFile, [
+    'Handle,Source',
+    '@Frank,',
+    'https://www.instagram.com/grace.h/?hl=en,Likes',
+    'instagram.com/ALICE/,',
+    'frank,',
+    'not a handle!,',
+  ].join('\n'));
+
+  const before = emulator.getGrid(SHEET_NAME).length;
+  const result = await importLeads(leadFile, { source: 'Followers', status: 'New' });
+
+  assert.strictEqual(result.added, 2);
+  assert.deepStrictEqual(result.duplicates.map(entry => entry.reason), ['already in sheet', 'repeated in file']);
+  assert.strictEqual(result.rejected.length, 1);
+
+  const grid = emulator.getGrid(SHEET_NAME);
+  assert.strictEqual(grid.length, before + 2);
+  assert.deepStrictEqual(grid[before].slice(0, 3), ['New', 'frank', 'Followers']);
+  assert.deepStrictEqual(grid[before + 1].slice(0, 3), ['New', 'grace.h', 'Likes']);
+  assert.ok(!Number.isNaN(Date.parse(grid[before][3])), 'Date Added is set');
+});
+
+test('invalid usernames are canonicalized or marked without being selected', async () => {
+  const { loadFilteredDatabase } = require('./databaseLoader');
+  const { flushWrites } = require('./sheetsManager');
+
+  emulator.setGrid(SHEET_NAME, [
+    INITIAL_GRID[0],
+    ['New', '@Heidi', 'Followers', '2024-01-01', '', '', ''],
+    ['New', 'https://www.instagram.com/ivan_k/?hl=en', 'Followers', '2024-01-01', '', '', ''],
+    ['New', 'judy smith', 'Followers', '2024-01-01', '', '', ''],
+    ['New', 'heidi', 'Followers', '2024-01-01', '', '', ''],
+  ]);
+  Object.assign(process.env, { ACTIVATE_STATUS: 'New', SOURCE_MODE: 'followers', MAX_PROCCESS: '10' });
+
+  const rows = await loadFilteredDatabase({ markInvalid: true });
+  await flushWrites();
+
+  assert.deepStrictEqual(rows.map(row => row.username), ['heidi', 'ivan_k']);
+  const grid = emulator.getGrid(SHEET_NAME);
+  assert.strictEqual(grid[3][0], 'Invalid Username');
+  assert.strictEqual(grid[1][1], '@Heidi', 'valid usernames are not rewritten');
+  assert.strictEqual(grid[1][0], 'New');
+});
+
+test('suppressed usernames are never selected and are marked Suppressed', async () => {
+  const { addToSuppressionList, removeFromSuppressionList, loadSuppressionList } = require('./suppressionList');
+  const { loadFilteredDatabase } = require('./databaseLoader');
+  const { flushWrites } = require('./sheetsManager');
+
+  emulator.setGrid(SHEET_NAME, INITIAL_GRID);
+  const added = await addToSuppressionList(['@Alice', 'instagram.com/mallory', 'mallory'], 'customer', 'test');
+  assert.deepStrictEqual(added.added, ['alice', 'mallory']);
+  assert.deepStrictEqual(added.existing, ['mallory']);
+
+  const rows = await loadFilteredDatabase({ markSuppressed: true });
+  await flushWrites();
+
+  assert.deepStrictEqual(rows.map(row => row.username), ['dave']);
+  assert.strictEqual(emulator.getGrid(SHEET_NAME)[1][0], 'Suppressed');
+
+  const removed = await removeFromSuppressionList(['alice', 'mallory']);
+  assert.deepStrictEqual(removed.removed, ['alice', 'mallory']);
+  assert.strictEqual((await loadSuppressionList()).size, 0);
+});
+
+test('FILTER selects several statuses, sources and a Date Added range', async () => {
+  const { loadFilteredDatabase } = require('./databaseLoader');
+  const today = new Date().toISOString().slice(0, 10);
+
+  emulator.setGrid(SHEET_NAME, [
+    INITIAL_GRID[0],
+    ['Ready', 'kim', 'Comments', today, '', '', ''],
+    ['Retry', 'liam', 'Likes', today, '', '', 'skip'],
+    ['Retry', 'mona', 'likes', today, '', '', ''],
+    ['Ready', 'nina', 'Followers', today, '', '', ''],
+    ['Ready', 'omar', 'Comments', '2000-01-01', '', '', ''],
+    ['Drafted', 'pat', 'Comments', today, '', '', ''],
+  ]);
+
+  process.env.FILTER = 'status in (Ready, Retry) and source in (comments, likes) and added this month and Notes != skip';
+  try {
+    const rows = await loadFilteredDatabase();
+    assert.deepStrictEqual(rows.map(row => row.username), ['kim', 'mona']);
+
+    emulator.setGrid(SHEET_NAME, [
+      INITIAL_GRID[0],
+      ['New', 'kim', 'Comments', '2024-01-10', '', '', ''],
+      ['Sent', 'liam', 'Likes', '2024-01-11', 'Hi', '2024-01-12', ''],
+      ['Drafted', 'mona', 'Likes', '2024-01-12', 'Hi', '2024-01-13', ''],
+      ['Ready', 'nina', 'Likes', '2024-01-13', '', '', ''],
+    ]);
+    process.env.FILTER = 'source not in (followers) and added between 2024-01-01 and 2024-01-31';
+    assert.deepStrictEqual((await loadFilteredDatabase()).map(row => row.username), ['kim'], 'no status condition means ACTIVATE_STATUS');
+
+    process.env.FILTER = 'status = Ready and "Lead Score" = high';
+    await assert.rejects(loadFilteredDatabase(), /column "Lead Score" \(position 20\) is not in the sheet/);
+  } finally {
+    delete process.env.FILTER;
+  }
+});
+
+test('queue ordering sorts by Date Added and interleaves sources before the limit', async () => {
+  const { loadFilteredDatabase } = require('./databaseLoader');
+
+  emulator.setGrid(SHEET_NAME, [
+    INITIAL_GRID[0],
+    ['New', 'quinn', 'Likes', '2024-01-01', '', '', ''],
+    ['New', 'rosa', 'Likes', '2024-03-01', '', '', ''],
+    ['New', 'sam', 'Comments', '2024-02-01', '', '', ''],
+    ['New', 'tara', 'Likes', '2024-02-15', '', '', ''],
+    ['New', 'uma', 'Comments', '2024-01-15', '', '', ''],
+  ]);
+
+  Object.assign(process.env, { SOURCE_MODE: 'all', MAX_PROCCESS: '4', QUEUE_ORDER: 'newest', QUEUE_INTERLEAVE: 'true' });
+  try {
+    const rows = await loadFilteredDatabase();
+    assert.deepStrictEqual(rows.map(row => row.username), ['rosa', 'sam', 'tara', 'uma']);
+  } finally {
+    delete process.env.QUEUE_ORDER;
+    delete process.env.QUEUE_INTERLEAVE;
+    Object.assign(process.env, { SOURCE_MODE: 'followers', MAX_PROCCESS: '10' });
+  }
+});
+
+/**
+ * Runs main_messageDrafter.js against the emulator and resolves with its output.
+ *
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} [extraEnv] - Environment overrides
+ * @param {string} [script] - Script to run (defaults to the orchestrator)
+ * @returns {Promise<string>} Combined stdout and stderr
+ */
+function runOrchestrator(args, extraEnv = {}, script = 'main_messageDrafter.js') {
+  const env = {
+    ...process.env,
+    ...buildTestEnv(process.env.SHEETS_API_URL),
+    INSTAGRAM_USERNAME: 'tester',
+    DRAFT_MESSAGE: 'Hey !name!',
+    ACTIVATE_STATUS: 'New',
+    SOURCE_MODE: 'Followers',
+    MAX_DRAFT: '5',
+    MAX_PROCCESS: '10',
+    ...extraEnv,
+  };
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], { cwd: __dirname, env });
+    let text = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Orchestrator timed out. Output so far:\n${text}`));
+    }, 30000);
+
+    child.stdout.on('data', chunk => { text += chunk; });
+    child.stderr.on('data', chunk => { text += chunk; });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(`Orchestrator exited with code ${code}:\n${text}`));
+      } else {
+        resolve(text);
+      }
+    });
+  });
+}
+
+test('Failed rows are retried after the cooldown until attempts run out', async () => {
+  const { loadFilteredDatabase } = require('./databaseLoader');
+  const { getFailureOutcome } = require('./retryPolicy');
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  emulator.setGrid(SHEET_NAME, [
+    [...INITIAL_GRID[0], 'Attempts', 'Last Error'],
+    ['Failed', 'vera', 'Followers', '2024-01-01', '', hoursAgo(2), '', '1', 'Failed to open DM: timeout'],
+    ['Failed', 'walt', 'Followers', '2024-01-01', '', hoursAgo(0.1), '', '1', 'Failed to open DM: timeout'],
+    ['Failed', 'xavi', 'Followers', '2024-01-01', '', hoursAgo(2), '', '3', 'Failed to draft message'],
+    ['Failed', 'yuri', 'Followers', '2024-01-01', '', hoursAgo(2), '', '1', 'Account not found: gone'],
+    ['New', 'zoe', 'Followers', '2024-01-01', '', '', '', '', ''],
+  ]);
+
+  Object.assign(process.env, { RETRY_MAX_ATTEMPTS: '3', RETRY_COOLDOWN_MINUTES: '60' });
+  try {
+    const rows = await loadFilteredDatabase();
+    assert.deepStrictEqual(rows.map(row => row.username), ['vera', 'zoe']);
+    assert.strictEqual(rows[0].attempts, 1);
+
+    assert.strictEqual(getFailureOutcome(rows[0], 'timeout').status, 'Failed');
+    assert.strictEqual(getFailureOutcome({ attempts: 2 }, 'timeout').status, 'Permanently Failed');
+    assert.deepStrictEqual(
+      getFailureOutcome(rows[1], 'account-not-found'),
+      { status: 'Permanently Failed', code: 'account-not-found', attempts: 1, retryable: false }
+    );
+  } finally {
+    delete process.env.RETRY_MAX_ATTEMPTS;
+    delete process.env.RETRY_COOLDOWN_MINUTES;
+  }
+});
+
+test('released claims restore the status each row had before the claim', async () => {
+  const { loadDatabaseRows } = require('./sheetsManager');
+  const { claimRows, releaseClaims } = require('./rowClaims');
+  const expired = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+  emulator.setGrid(SHEET_NAME, [
+    [...INITIAL_GRID[0], 'Attempts', 'Claimed By', 'Claimed At'],
+    ['Failed', 'vera', 'Followers', '2024-01-01', '', '2024-01-02', '', '1', '', ''],
+    ['Retry', 'walt', 'Followers', '2024-01-01', '', '', '', '', '', ''],
+    ['In Progress', 'xavi', 'Followers', '2024-01-01', '', '', '', '', 'crashed-run', expired],
+  ]);
+  const rows = await loadDatabaseRows();
+
+  process.env.CLAIM_SETTLE_MS = '0';
+  try {
+    const claimed = await claimRows(rows, 'test-run');
+    assert.deepStrictEqual(emulator.getGrid(SHEET_NAME).slice(1).map(row => row[0]), ['In Progress', 'In Progress', 'In Progress']);
+
+    await releaseClaims(claimed, 'New');
+    const grid = emulator.getGrid(SHEET_NAME);
+    assert.deepStrictEqual(grid.slice(1).map(row => row[0]), ['Failed', 'Retry', 'New']);
+    assert.deepStrictEqual(grid[1].slice(5, 10), ['2024-01-02', '', '1', '', ''], 'the failure time and attempts are kept');
+  } finally {
+    delete process.env.CLAIM_SETTLE_MS;
+  }
+});
+
+test('failures carry a machine-readable code kept apart from the message', async () => {
+  const { loadDatabaseRows } = require('./sheetsManager');
+  const { isRetryEligible, getRetryPolicy } = require('./retryPolicy');
+  const { createFailure, getFailureCode } = require('./failureCodes');
+  const { draftMessage } = require('./messageDrafter');
+
+  emulator.setGrid(SHEET_NAME, [
+    [...INITIAL_GRID[0], 'Attempts', 'Error', 'Failure Reason'],
+    ['Failed', 'vera', 'Followers', '2024-01-01', 'Hi vera', '', '', '1', 'Profile check failed', 'account-not-found'],
+    ['Failed', 'walt', 'Followers', '2024-01-01', '', '', '', '1', 'Account not found: gone', ''],
+    ['Failed', 'xavi', 'Followers', '2024-01-01', '', '', '', '1', 'Failed to draft message', 'dm-input-not-found'],
+  ]);
+  process.env.COLUMN_ALIASES = JSON.stringify({ Username: 'Handle', 'Last Error': 'Error', 'Failure Code': 'Failure Reason' });
+  try {
+    const rows = await loadDatabaseRows();
+    assert.deepStrictEqual(rows.map(row => row.failureCode), ['account-not-found', '', 'dm-input-not-found']);
+    assert.strictEqual(rows[0].fields.Message, 'Hi vera');
+
+    // The recorded code wins; rows without one are classified by their error text
+    const policy = getRetryPolicy();
+    assert.deepStrictEqual(rows.map(row => isRetryEligible(row, policy)), [false, false, true]);
+  } finally {
+    process.env.COLUMN_ALIASES = JSON.stringify({ Username: 'Handle' });
+  }
+
+  assert.strictEqual(getFailureCode(createFailure('not-logged-in', 'Redirected')), 'not-logged-in');
+  assert.strictEqual(getFailureCode(new Error('Navigation timeout of 30000 ms exceeded')), 'timeout');
+  assert.strictEqual(getFailureCode(new Error('Something odd')), 'other');
+
+  const draft = await draftMessage({ $: async () => null }, { firstName: 'Vera', nameFound: true, template: 'Hey! Welcome.' });
+  assert.deepStrictEqual(
+    { success: draft.success, code: draft.code, message: draft.message },
+    { success: false, code: 'dm-input-not-found', message: 'Hey Vera! Welcome.' }
+  );
+});
+
+test('drafted tabs are watched until the message is sent or the tab closed', async () => {
+  const { loadDatabaseRows, updateDraftData, updateRowFields, flushWrites } = require('./sheetsManager');
+  const { watchDraftedTabs } = require('./sendWatcher');
+
+  emulator.setGrid(SHEET_NAME, [
+    [...INITIAL_GRID[0], 'Date Drafted'],
+    ['New', 'alice', 'Followers', '2024-01-01', '', '', '', ''],
+    ['New', 'dave', 'Followers', '2024-01-05', '', '', '', ''],
+  ]);
+  await loadDatabaseRows();
+  await updateDraftData(2, '2024-02-01T10:00:00.000Z', 'Hi alice', 'Drafted', { username: 'alice' });
+  await updateDraftData(3, '2024-02-01T10:01:00.000Z', 'Hi dave', 'Drafted', { username: 'dave' });
+  await flushWrites();
+  assert.deepStrictEqual(emulator.getGrid(SHEET_NAME)[1].slice(4), ['Hi alice', '', '', '2024-02-01T10:00:00.000Z']);
+
+  // alice's composer empties and an outgoing bubble appears; dave's tab is closed
+  let polls = 0;
+  const alicePage = {
+    isClosed: () => false,
+    evaluate: async () => (++polls < 3
+      ? { composerText: 'Hi alice', messages: [] }
+      : { composerText: '', messages: [{ text: 'Hi alice', outgoing: true }] }),
+  };
+  const davePage = { isClosed: () => true, evaluate: async () => assert.fail('closed tabs are not read') };
+  const drafts = [
+    { username: 'alice', row: { rowIndex: 2, username: 'alice' }, page: alicePage, baseline: { composerText: 'Hi alice', outgoingCount: 0 } },
+    { username: 'dave', row: { rowIndex: 3, username: 'dave' }, page: davePage, baseline: null },
+  ];
+  const record = (draft, values) => updateRowFields(draft.row.rowIndex, values, { username: draft.row.username });
+
+  const counts = await watchDraftedTabs(drafts, {
+    onSent: (draft, sentAt) => record(draft, { STATUS: 'Sent', DATE_SENT: sentAt }),
+    onAbandoned: draft => record(draft, { STATUS: 'Draft Abandoned' }),
+  }, { timeoutMs: 5000, pollMs: 5 });
+  await flushWrites();
+
+  assert.deepStrictEqual(counts, { sent: 1, abandoned: 1, pending: 0 });
+  const grid = emulator.getGrid(SHEET_NAME);
+  assert.strictEqual(grid[1][0], 'Sent');
+  assert.ok(Date.parse(grid[1][5]) > Date.parse(grid[1][7]), 'Date Sent holds the send time');
+  assert.strictEqual(grid[2][0], 'Draft Abandoned');
+});
+
+test('orchestrator dry run lists the rows it would draft', async () => {
+  emulator.setGrid(SHEET_NAME, INITIAL_GRID);
+
+  const output = await runOrchestrator(['--dry-run']);
+
+  assert.match(output, /Dry run completed successfully/);
+  assert.match(output, /1\. alice \(row 2\)/);
+  assert.match(output, /2\. dave \(row 5\)/);
+  assert.doesNotMatch(output, /\bbob\b/, 'Following rows are excluded in Followers mode');
+  assert.deepStrictEqual(emulator.getGrid(SHEET_NAME), INITIAL_GRID, 'dry run must not write');
+});
+
+test('templates render placeholders, fallbacks and conditionals from the row', async () => {
+  const { parseTemplate, resolveTemplateVariables, getTemplateValues, renderTemplate } = require('./templateEngine');
+  const { loadDatabaseRows, getColumnMap } = require('./sheetsManager');
+
+  const template = parseTemplate('{{#if firstName}}Hi {{firstName}}!{{else}}Hi!{{/if}} Saw you via {{source}}, {{Notes|no notes}}.');
+  assert.strictEqual(renderTemplate(template, { firstName: 'Ana', source: 'Likes', notes: 'vip' }), 'Hi Ana! Saw you via Likes, vip.');
+  assert.strictEqual(renderTemplate(template, { source: 'Likes' }), 'Hi! Saw you via Likes, no notes.');
+  assert.strictEqual(
+    renderTemplate(parseTemplate('Hey {{firstName}} {{#if notes}}({{notes}}){{/if}} there!\n\n  - {{source}}'), { source: 'Likes  Page' }),
+    'Hey there!\n\n  - Likes  Page',
+    'only the spaces around empty placeholders are merged'
+  );
+  assert.throws(() => parseTemplate('{{#if firstName}}Hi'), /\{\{#if firstName\}\} at position 1 is never closed/);
+  assert.throws(() => parseTemplate('Hi {{firstName'), /"\{\{" at position 4 is never closed/);
+
+  emulator.setGrid(SHEET_NAME, INITIAL_GRID);
+  const [alice] = await loadDatabaseRows();
+  const columnMap = await getColumnMap();
+  const resolved = resolveTemplateVariables(parseTemplate('{{username}} {{Date Added}} {{notes}} {{firstName}}'), columnMap);
+  assert.deepStrictEqual(getTemplateValues(resolved, alice, columnMap), { username: 'alice', 'Date Added': '2024-01-01', notes: 'vip' });
+  assert.throws(() => resolveTemplateVariables(parseTemplate('{{Cty}}'), columnMap), /placeholder "\{\{Cty\}\}" is not a sheet column/);
+
+  const { parseFilter, resolveFilterColumns } = require('./filterExpression');
+  const scored = { headers: ['Status', 'Handle', 'Date Added', 'Lead-Score'], columns: { STATUS: 0, USERNAME: 1, DATE_ADDED: 2 } };
+  ['added', 'date_added', 'Lead Score', 'leadScore'].forEach(name => {
+    assert.deepStrictEqual(
+      resolveTemplateVariables(parseTemplate(`{{${name}}}`), scored).sources[name],
+      (({ key, header }) => (key ? { key } : { header }))(resolveFilterColumns(parseFilter(`"${name}" = x`), scored).clauses[0]),
+      `FILTER and templates resolve "${name}" alike`
+    );
+  });
+
+  const output = await runOrchestrator(['--dry-run'], { DRAFT_MESSAGE: 'Hey {{firstName|there}}, {{username}} from {{source}}!' });
+  assert.match(output, /1\. alice \(row 2\)\s+.*Message: "Hey there, alice from Followers!"/);
+  const typo = await runOrchestrator(['--dry-run'], { DRAFT_MESSAGE: 'Hey {{firstName}} from {{Cty}}' });
+  assert.match(typo, /placeholder "\{\{Cty\}\}" is not a sheet column/);
+  assert.doesNotMatch(typo, /Would process/);
+});
+
+test('message variants are picked per username by weight and reported per variant', async () => {
+  const { loadVariants, pickVariant } = require('./messageVariants');
+  const { countVariantOutcomes } = require('./variantReport');
+  const { updateDraftData, loadDatabaseRows, flushWrites } = require('./sheetsManager');
+
+  const variantsPath = path.join(tmpDir, 'variants.json');
+  fs.writeFileSync(variantsPath, JSON.stringify([
+    { id: 'short', weight: 3, template: 'Hey {{firstName|there}}!' },
+    { id: 'story', template: 'Loved your story!' },
+  ]));
+  const variants = loadVariants(variantsPath);
+  assert.deepStrictEqual(variants.map(({ id, weight }) => [id, weight]), [['short', 3], ['story', 1]]);
+
+  const picks = Array.from({ length: 2000 }, (_, index) => pickVariant(variants, `user${index}`).id);
+  const shortShare = picks.filter(id => id === 'short').length / picks.length;
+  assert.ok(shortShare > 0.7 && shortShare < 0.8, `short share ${shortShare} should follow its 3:1 weight`);
+  assert.strictEqual(pickVariant(variants, 'alice').id, pickVariant(variants, 'alice').id);
+
+  fs.writeFileSync(variantsPath, JSON.stringify([{ id: 'a', template: 'x' }, { id: 'A', template: 'y' }]));
+  assert.throws(() => loadVariants(variantsPath), /Duplicate message variant id "A"/);
+
+  emulator.setGrid(SHEET_NAME, [
+    [...INITIAL_GRID[0], 'Variant'],
+    ['New', 'alice', 'Followers', '2024-01-01', '', '', '', ''],
+    ['Sent', 'bob', 'Followers', '2024-01-02', 'Hi', '', '', 'short'],
+    ['Replied', 'carol', 'Followers', '2024-01-03', 'Hi', '', '', 'short'],
+    ['Opted Out', 'dave', 'Followers', '2024-01-04', 'Hi', '', '', 'story'],
+  ]);
+  await loadDatabaseRows();
+  await updateDraftData(2, '2024-02-01T10:00:00.000Z', 'Hey there!', 'Drafted', { username: 'alice', variant: 'short' });
+  await flushWrites();
+  assert.strictEqual(emulator.getGrid(SHEET_NAME)[1][7], 'short');
+
+  assert.deepStrictEqual(countVariantOutcomes(await loadDatabaseRows()), {
+    short: { drafted: 3, sent: 2, replied: 1, optedOut: 0 },
+    story: { drafted: 1, sent: 1, replied: 1, optedOut: 1 },
+  });
+
+  fs.writeFileSync(variantsPath, JSON.stringify([{ id: 'short', template: 'Hey {{firstName|there}} from {{source}}!' }]));
+  emulator.setGrid(SHEET_NAME, INITIAL_GRID);
+  const output = await runOrchestrator(['--dry-run'], { MESSAGE_VARIANTS_PATH: variantsPath, DRAFT_MESSAGE: '' });
+  assert.match(output, /Add a "Variant" column/);
+  assert.match(output, /1\. alice \(row 2, variant short\)\s+.*Message: "Hey there from Followers!"/);
+});
+
+test('sources get their own template and uncovered sources fail before drafting', async () => {
+  const { loadSourceMessages } = require('./sourceMessages');
+
+  process.env.SOURCE_MESSAGES = '{"Comments": "Thanks for the comment!", "followers": "Hi {{#if"}';
+  try {
+    assert.throws(() => loadSourceMessages(), /SOURCE_MESSAGES for "followers": Invalid template/);
+    process.env.SOURCE_MESSAGES = '{"Comments": "Thanks for the comment!"}';
+    assert.deepStrictEqual(loadSourceMessages(), { comments: 'Thanks for the comment!' });
+  } finally {
+    delete process.env.SOURCE_MESSAGES;
+  }
+
+  emulator.setGrid(SHEET_NAME, INITIAL_GRID);
+  const output = await runOrchestrator(['--dry-run'], { SOURCE_MESSAGES: '{"Followers": "Hi {{username}}, thanks for the follow!"}' });
+  assert.match(output, /1\. alice \(row 2, followers template\)\s+.*Message: "Hi alice, thanks for the follow!"/);
+
+  const startup = await runOrchestrator(['--dry-run'], { DRAFT_MESSAGE: '', SOURCE_MESSAGES: '{"comments": "Hi!"}' });
+  assert.match(startup, /SOURCE_MESSAGES has no template for source\(s\) "followers" and there is no DRAFT_MESSAGE/);
+
+  const filtered = await runOrchestrator(['--dry-run'], {
+    DRAFT_MESSAGE: '',
+    FILTER: 'status = New',
+    SOURCE_MESSAGES: '{"followers": "Hi!"}',
+  });
+  assert.match(filtered, /SOURCE_MESSAGES has no template for source\(s\) "following"/);
+  assert.doesNotMatch(filtered, /Would process/);
+});
+
+test('reconcile sorts Drafted rows into sent, unsent and unclear', async () => {
+  const { classifyDraft } = require('./reconcileDrafts');
+  const row = { message: 'Hey Carol!  Great seeing you here.' };
+
+  assert.deepStrictEqual(
+    classifyDraft(row, { messages: [{ text: 'hey carol! great seeing you here.', outgoing: true }] }, true),
+    { outcome: 'sent', matched: true }
+  );
+  assert.deepStrictEqual(
+    classifyDraft(row, { messages: [{ text: 'Hey Carol, edited', outgoing: true }] }, true),
+    { outcome: 'sent', matched: false }
+  );
+  assert.strictEqual(classifyDraft(row, { messages: [] }, false).outcome, 'unsent');
+  assert.deepStrictEqual(
+    classifyDraft(row, { messages: [{ text: 'hi?', outgoing: false }] }, true),
+    { outcome: 'unclear', matched: false, reason: 'incoming' },
+    'their messages alone mean a live conversation, never a redraft'
+  );
+  assert.strictEqual(classifyDraft(row, { messages: [] }, true).outcome, 'unclear');
+
+  emulator.setGrid(SHEET_NAME, INITIAL_GRID);
+  const output = await runOrchestrator(['--dry-run'], {}, 'reconcileDrafts.js');
+  assert.match(output, /Found 1 Drafted row\(s\)/);
+  assert.match(output, /1\. carol \(row 4\)/);
+  assert.deepStrictEqual(emulator.getGrid(SHEET_NAME), INITIAL_GRID, 'dry run must not write');
+});
+
+test('restore reopens only the current operator\'s drafts', async () => {
+  const { loadDatabaseRows, updateDraftData, flushWrites } = require('./sheetsManager');
+  const { selectDraftsToRestore } = require('./restoreDrafts');
+
+  emulator.setGrid(SHEET_NAME, [
+    [...INITIAL_GRID[0], 'Operator'],
+    ['New', 'alice', 'Followers', '2024-01-01', '', '', '', ''],
+    ['Drafted', 'carol', 'Followers', '2024-01-03', 'Hi carol', '', '', 'Tester'],
+    ['Drafted', 'dave', 'Followers', '2024-01-05', 'Hi dave', '', '', 'someone_else'],
+    ['Drafted', 'erin', 'Followers', '2024-01-06', 'Hi erin', '', '', ''],
+  ]);
+  await loadDatabaseRows();
+  await updateDraftData(2, '2024-02-01T10:00:00.000Z', 'Hi alice', 'Drafted', { username: 'alice', operator: 'tester' });
+  await flushWrites();
+
+  const rows = await loadDatabaseRows();
+  assert.strictEqual(rows[0].operator, 'tester');
+  assert.deepStrictEqual(selectDraftsToRestore(rows, 'tester').map(row => row.username), ['alice', 'carol', 'erin']);
+
+  const output = await runOrchestrator(['--dry-run', '--limit', '2'], {}, 'restoreDrafts.js');
+  assert.match(output, /Found 3 Drafted row\(s\) for tester, restoring 2/);
+  assert.match(output, /2\. carol \(row 3\)/);
+  assert.doesNotMatch(output, /\bdave\b/);
+
+  // A thread with only their messages was read fine: it is a live conversation, not an unreadable one
+  const reconcile = require('./reconcileDrafts');
+  const logger = require('./logger');
+  const { checkDraft } = reconcile;
+  const { warn } = logger;
+  const warnings = [];
+  reconcile.checkDraft = async () => ({ outcome: 'unclear', matched: false, reason: 'incoming' });
+  logger.warn = message => warnings.push(message);
+  process.env.INSTAGRAM_USERNAME = 'tester';
+  try {
+    delete require.cache[require.resolve('./restoreDrafts')];
+    const { restoreDrafts } = require('./restoreDrafts');
+    const browser = { newPage: async () => ({ close: async () => {} }) };
+    const result = await restoreDrafts({ browser }, { name: 'default', env: {} }, { limit: 1 });
+    assert.deepStrictEqual({ restored: result.restored.length, failed: result.failed }, { restored: 0, failed: 1 });
+    assert.ok(warnings.some(message => /alice \(row 2\): thread only has their messages - not restored/.test(message)), warnings.join('\n'));
+    assert.ok(!warnings.some(message => /could not be read/.test(message)));
+  } finally {
+    reconcile.checkDraft = checkDraft;
+    logger.warn = warn;
+    delete process.env.INSTAGRAM_USERNAME;
+    delete require.cache[require.resolve('./restoreDrafts')];
+  }
+});
+
+test('replies after our send time are recorded as Replied', async () => {
+  const { findReply, countReplyFunnel } = require('./trackReplies');
+  const sentAt = '2024-02-01T10:00:00.000Z';
+  const message = (text, outgoing, time = null) => ({ text, outgoing, time });
+
+  assert.strictEqual(findReply({ messages: [message('Hey carol!', true, sentAt)] }, sentAt), null);
+  assert.deepStrictEqual(
+    findReply({ messages: [message('Hey carol!', true, sentAt), message('Hi!  Tell me   more', false, '2024-02-01T11:30:00Z')] }, sentAt),
+    { repliedAt: '2024-02-01T11:30:00.000Z', snippet: 'Hi! Tell me more' }
+  );
+  assert.strictEqual(
+    findReply({ messages: [message('Hey carol!', true), message('old message', false, '2024-01-01T00:00:00Z')] }, sentAt),
+    null,
+    'incoming messages older than the send are not replies'
+  );
+  assert.deepStrictEqual(findReply({ messages: [message('Hey', true), message('x'.repeat(150), false)] }, ''), {
+    repliedAt: null,
+    snippet: `${'x'.repeat(99)}…`,
+  });
+  assert.deepStrictEqual(countReplyFunnel([{ status: 'Sent' }, { status: 'Replied' }, { status: 'Drafted' }]), { sent: 2, replied: 1 });
+  assert.deepStrictEqual(
+    countReplyFunnel([{ status: 'Sent' }, { status: 'Opted Out' }, { status: 'Drafted' }]),
+    { sent: 2, replied: 1 },
+    'a replied row that opts out stays in the funnel'
+  );
+
+  emulator.setGrid(SHEET_NAME, [
+    INITIAL_GRID[0],
+    ['Sent', 'carol', 'Followers', '2024-01-03', 'Hi', sentAt, ''],
+    ['Replied', 'dave', 'Followers', '2024-01-05', 'Hi', sentAt, ''],
+  ]);
+  const output = await runOrchestrator(['--dry-run'], {}, 'trackReplies.js');
+  assert.match(output, /Add "Replied At" and "Reply Snippet" columns/);
+  assert.match(output, /1\. carol \(row 2\)/);
+  assert.match(output, /Funnel: 2 sent, 1 replied \(50\.0% reply rate\)/);
+});
+
+test('opt-out replies mark the row Opted Out and suppress the username for good', async () => {
+  const { findOptOut } = require('./optOut');
+  const { recordOptOut } = require('./trackReplies');
+  const { addToSuppressionList, removeFromSuppressionList, loadSuppressionList } = require('./suppressionList');
+  const { loadFilteredDatabase } = require('./databaseLoader');
+  const { flushWrites } = require('./sheetsManager');
+
+  assert.deepStrictEqual(findOptOut(['Thanks!', 'Please STOP.']), { phrase: 'stop', text: 'Please STOP.' });
+  assert.strictEqual(findOptOut(['No, gracias. No me INTERESA'])?.phrase, 'no me interesa');
+  assert.strictEqual(findOptOut(['nao tenho interesse'])?.phrase, 'não tenho interesse', 'accents are optional');
+  assert.strictEqual(findOptOut(['Dont message me again'])?.phrase, "don't message me", 'apostrophes are optional');
+  assert.strictEqual(findOptOut(['This is unstoppable', 'Sounds interesting']), null, 'phrases match whole words only');
+  assert.strictEqual(
+    findOptOut(["Can't stop thinking about it", 'No thanks needed, happy to help', "Don't stop!"]),
+    null,
+    'short replies only count as (nearly) the whole message'
+  );
+  assert.strictEqual(findOptOut(['No thanks!'])?.phrase, 'no thanks');
+  assert.strictEqual(findOptOut(['もう連絡しないで'], ['連絡しないで'])?.phrase, '連絡しないで');
+
+  emulator.setGrid(SHEET_NAME, [
+    INITIAL_GRID[0],
+    ['Sent', 'carol', 'Followers', '2024-01-03', 'Hi', '2024-02-01T10:00:00.000Z', ''],
+    ['New', 'carol', 'Followers', '2024-01-04', '', '', ''],
+  ]);
+  await addToSuppressionList(['carol'], 'customer');
+  await recordOptOut({ rowIndex: 2, username: 'carol' }, { phrase: 'stop', text: 'stop' });
+  await flushWrites();
+  assert.strictEqual(emulator.getGrid(SHEET_NAME)[1][0], 'Opted Out');
+  assert.strictEqual((await loadSuppressionList()).get('carol').reason, 'opted-out', 'an opt-out replaces the earlier reason');
+
+  const rows = await loadFilteredDatabase({ markSuppressed: true });
+  await flushWrites();
+  assert.deepStrictEqual(rows, []);
+  assert.strictEqual(emulator.getGrid(SHEET_NAME)[2][0], 'Opted Out');
+
+  const removed = await removeFromSuppressionList(['carol']);
+  assert.deepStrictEqual(removed, { removed: [], missing: [], optedOut: ['carol'] });
+  assert.ok((await loadSuppressionList()).has('carol'));
+
+  const { withCampaignEnv } = require('./campaigns');
+  const { getSuppressionStore } = require('./suppressionList');
+  const spreadsheetId = await withCampaignEnv({ name: 'spring', env: { GOOGLE_SHEET_ID: 'spring-sheet' } }, async () => getSuppressionStore().spreadsheetId);
+  assert.strictEqual(spreadsheetId, 'test-sheet', 'a campaign\'s own spreadsheet never moves the shared list');
+  emulator.setGrid(SUPPRESSION_SHEET, [['Username', 'Reason', 'Added At', 'Note']]);
+});
+
+test('follow-ups are due after N days without a reply, up to the cap', async () => {
+  const { selectFollowUps } = require('./followUpPolicy');
+  const { checkFollowUpThread, recordFollowUp } = require('./followUps');
+  const { loadDatabaseRows, flushWrites } = require('./sheetsManager');
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  emulator.setGrid(SHEET_NAME, [
+    [...INITIAL_GRID[0], 'Follow-Up Count', 'Follow-Up Date'],
+    ['Sent', 'carol', 'Followers', '2024-01-03', 'Hi', daysAgo(5), '', '', ''],
+    ['Sent', 'dave', 'Followers', '2024-01-05', 'Hi', daysAgo(1), '', '', ''],
+    ['Sent', 'erin', 'Followers', '2024-01-05', 'Hi', daysAgo(9), '', '1', daysAgo(4)],
+    ['Sent', 'fred', 'Followers', '2024-01-05', 'Hi', daysAgo(9), '', '2', daysAgo(4)],
+    ['Replied', 'gina', 'Followers', '2024-01-05', 'Hi', daysAgo(9), '', '', ''],
+  ]);
+  const rows = await loadDatabaseRows();
+  assert.deepStrictEqual(selectFollowUps(rows, { afterDays: 3, max: 2 }).map(row => row.username), ['carol', 'erin']);
+  assert.deepStrictEqual(selectFollowUps(rows, { afterDays: 3, max: 1 }).map(row => row.username), ['carol']);
+
+  const message = outgoing => ({ text: 'x', outgoing, time: null });
+  assert.strictEqual(checkFollowUpThread({ messages: [message(false), message(true)] }), 'ready');
+  assert.strictEqual(checkFollowUpThread({ messages: [message(true), message(false)] }), 'replied');
+  assert.strictEqual(checkFollowUpThread({ messages: [] }), 'unclear');
+
+  await recordFollowUp(rows.find(row => row.username === 'erin'));
+  await flushWrites();
+  const erin = emulator.getGrid(SHEET_NAME)[3];
+  assert.deepStrictEqual([erin[0], erin[7]], ['Sent', '2']);
+  assert.ok(Date.now() - Date.parse(erin[8]) < 60 * 1000);
+
+  const output = await runOrchestrator(['--dry-run'], { FOLLOW_UP_MESSAGE: 'Just checking in!', FOLLOW_UP_MAX: '2' }, 'followUps.js');
+  assert.match(output, /1\. carol \(row 2, follow-up 1 of 2\)/);
+  assert.doesNotMatch(output, /erin/, 'the follow-up just drafted resets the wait');
+
+  // Opted out through another campaign while this row is still Sent
+  const { addToSuppressionList } = require('./suppressionList');
+  const { draftFollowUps } = require('./followUps');
+  await addToSuppressionList(['carol'], 'opted-out');
+  process.env.FOLLOW_UP_MESSAGE = 'Just checking in!';
+  try {
+    const counts = await draftFollowUps({ browser: null });
+    assert.deepStrictEqual([counts.due, counts.suppressed, counts.drafted], [0, 1, 0]);
+    assert.strictEqual(emulator.getGrid(SHEET_NAME)[1][0], 'Opted Out');
+  } finally {
+    delete process.env.FOLLOW_UP_MESSAGE;
+    emulator.setGrid(SUPPRESSION_SHEET, [['Username', 'Reason', 'Added At', 'Note']]);
+  }
+});
+
+test('campaigns run against their own sheet, filter and limits', async () => {
+  emulator.setGrid(SHEET_NAME, INITIAL_GRID);
+  // Same columns in another order, so a column map reused across tabs would misread it
+  emulator.setGrid('Spring', [
+    ['Handle', 'Date Added', 'Source', 'Status', 'Message', 'Date Sent'],
+    ['victor', '2024-04-01', 'Likes', 'Ready', '', ''],
+    ['wendy', '2024-04-02', 'Comments', 'Drafted', '', ''],
+    ['xena', '2024-04-03', 'Comments', 'Ready', '', ''],
+  ]);
+
+  const campaignsPath = path.join(tmpDir, 'campaigns.json');
+  fs.writeFileSync(campaignsPath, JSON.stringify([
+    { name: 'followers', maxDraft: 1 },
+    { name: 'spring', sheet: 'Spring', filter: 'status = Ready', template: 'Spring offer!', maxDraft: 5 },
+  ]));
+
+  const output = await runOrchestrator(['--dry-run', '--campaign', 'spring,followers'], { CAMPAIGNS_PATH: campaignsPath });
+
+  assert.match(output, /Filter: status = Ready/);
+  assert.match(output, /1\. victor \(row 2\)[\s\S]*2\. xena \(row 4\)[\s\S]*1\. alice \(row 2\)/);
+  assert.doesNotMatch(output, /dave/, 'followers campaign is capped at one draft');
+  assert.match(output, /Campaign "spring": 2 rows selected/);
+  assert.match(output, /Campaign "followers": 2 rows selected/);
+
+  const unknown = await runOrchestrator(['--dry-run', '--campaign', 'autumn'], { CAMPAIGNS_PATH: campaignsPath });
+  assert.match(unknown, /Unknown campaign "autumn"\. Campaigns in .*: followers, spring/);
+
+  const sourcePath = path.join(tmpDir, 'campaigns-sources.json');
+  fs.writeFileSync(sourcePath, JSON.stringify([
+    { name: 'spring', sheet: 'Spring', filter: 'status = Ready', template: 'Spring offer!' },
+    { name: 'likes', sheet: 'Spring', filter: 'status = Ready', template: 'Spring offer!', sourceMessages: { likes: 'Thanks for the like!' } },
+    { name: 'plain', sheet: 'Spring', filter: 'status = Ready', template: 'Spring offer!', sourceMessages: '' },
+  ]));
+  const sources = await runOrchestrator(['--dry-run', '--campaign', 'spring,likes,plain'], {
+    CAMPAIGNS_PATH: sourcePath,
+    SOURCE_MESSAGES: '{"comments": "Thanks for the comment!"}',
+  });
+  assert.match(sources, /Campaign "spring": its own message replaces the \.env SOURCE_MESSAGES/);
+  assert.doesNotMatch(sources, /Campaign "(likes|plain)": its own message/, 'campaigns that set sourceMessages get no warning');
+  assert.doesNotMatch(sources, /comments template/, 'a campaign template wins over the .env source messages');
+  assert.match(sources, /2\. xena \(row 4\)\n[\s\S]*Campaign: likes[\s\S]*1\. victor \(row 2, likes template\)/);
+});
+
+async function main() {
+  const apiUrl = await emulator.start(0);
+  Object.assign(process.env, buildTestEnv(apiUrl));
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`✗ ${name}`);
+      console.error(error);
+    }
+  }
+
+  await emulator.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  console.log(`\n${tests.length - failed}/${tests.length} tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
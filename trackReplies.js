@@ -0,0 +1,245 @@
+// trackReplies.js
+// Visits the threads of "Sent" rows and records replies (Replied At, Reply Snippet),
+// marking users who asked not to be contacted as "Opted Out"
+//
+// Usage: node trackReplies.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+require('dotenv').config();
+const { validateEnv } = require('./envValidator');
+const { loadDatabaseRows, updateRowFields, getColumnMap, flushWrites } = require('./sheetsManager');
+const { LEAD_STATUSES, resolveStatus } = require('./leadStatus');
+const { DEFAULT_CAMPAIGN, loadCampaigns, parseCampaignArgs, selectCampaigns, withCampaignEnv } = require('./campaigns');
+const { ensureBrowser, openThread } = require('./browserSession');
+const { getOptOutPhrases, findOptOut } = require('./optOut');
+const { OPT_OUT_REASON, addToSuppressionList } = require('./suppressionList');
+const { humanDelay } = require('./utils');
+const logger = require('./logger');
+
+/**
+ * Longest reply text kept in the Reply Snippet column
+ */
+const REPLY_SNIPPET_LENGTH = 100;
+
+/**
+ * Returns the replies in a thread: incoming messages after our first
+ * outgoing one that are not older than our send time. Messages without a
+ * readable timestamp are judged by their position alone.
+ *
+ * @param {{ messages: Array<{ text: string, outgoing: boolean, time: string|null }> }} thread -
+ *   readThreadMessages() result
+ * @param {string} dateSent - Row's Date Sent (ISO time, may be blank)
+ * @returns {Array<{ text: string, outgoing: boolean, time: string|null }>} Replies, oldest first
+ */
+function getReplies(thread, dateSent) {
+  const firstOutgoing = thread.messages.findIndex(message => message.outgoing);
+  if (firstOutgoing === -1) {
+    return [];
+  }
+
+  const sentAt = Date.parse(dateSent || '');
+  return thread.messages.slice(firstOutgoing + 1).filter(message => {
+    if (message.outgoing) {
+      return false;
+    }
+    const time = Date.parse(message.time || '');
+    return Number.isNaN(time) || Number.isNaN(sentAt) || time >= sentAt;
+  });
+}
+
+/**
+ * Finds the first reply in a thread (see getReplies).
+ *
+ * @param {Object} thread - readThreadMessages() result
+ * @param {string} dateSent - Row's Date Sent (ISO time, may be blank)
+ * @returns {{ repliedAt: string|null, snippet: string }|null} The reply (repliedAt null when
+ *   the thread shows no time for it), or null if there is none
+ */
+function findReply(thread, dateSent) {
+  const [reply] = getReplies(thread, dateSent);
+  if (!reply) {
+    return null;
+  }
+
+  const time = Date.parse(reply.time || '');
+  const text = reply.text.replace(/\s+/g, ' ');
+  return {
+    repliedAt: Number.isNaN(time) ? null : new Date(time).toISOString(),
+    snippet: text.length > REPLY_SNIPPET_LENGTH ? `${text.slice(0, REPLY_SNIPPET_LENGTH - 1)}…` : text,
+  };
+}
+
+/**
+ * Counts the reply funnel of a sheet: rows that were sent (Sent, Replied
+ * or Opted Out) and how many of those replied (an opt-out is a reply), so
+ * an opt-out does not change the counts.
+ *
+ * @param {Array<Object>} rows - Rows from loadDatabaseRows
+ * @returns {{ sent: number, replied: number }} Funnel counts
+ */
+function countReplyFunnel(rows) {
+  const statuses = rows.map(row => resolveStatus(row.status));
+  const replied = statuses.filter(status => [LEAD_STATUSES.REPLIED, LEAD_STATUSES.OPTED_OUT].includes(status)).length;
+  const sent = statuses.filter(status => status === LEAD_STATUSES.SENT).length + replied;
+  return { sent, replied };
+}
+
+/**
+ * Marks a row "Opted Out" and adds the username to the suppression list,
+ * which keeps it out of every future campaign.
+ *
+ * @param {Object} row - Row from loadDatabaseRows
+ * @param {{ phrase: string, text: string }} optOut - findOptOut() match
+ * @param {Object} [values] - Other fields to write with the status (e.g. Replied At)
+ */
+async function recordOptOut(row, optOut, values = {}) {
+  await addToSuppressionList([row.username], OPT_OUT_REASON, `Replied "${optOut.phrase}" (row ${row.rowIndex})`);
+  await updateRowFields(row.rowIndex, { ...values, STATUS: LEAD_STATUSES.OPTED_OUT }, { username: row.username });
+}
+
+/**
+ * Checks the Sent rows of the current storage for replies, and the Sent and
+ * Replied rows for opt-out requests (run inside withCampaignEnv for a
+ * campaign's sheet).
+ *
+ * @param {Object} session - Browser state shared across campaigns ({ browser })
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum threads to visit
+ * @param {boolean} [options.dryRun] - List the rows without opening the browser
+ * @returns {Promise<Object>} Counts: { checked, replied, optedOut, waiting, failed, funnel }
+ */
+async function trackReplies(session, options = {}) {
+  const rows = await loadDatabaseRows();
+  const { columns } = await getColumnMap();
+  const phrases = getOptOutPhrases();
+  const tracked = rows.filter(row => [LEAD_STATUSES.SENT, LEAD_STATUSES.REPLIED].includes(resolveStatus(row.status)));
+  const selected = options.limit ? tracked.slice(0, options.limit) : tracked;
+  const counts = { checked: selected.length, replied: 0, optedOut: 0, waiting: 0, failed: 0, funnel: countReplyFunnel(rows) };
+
+  if (columns.REPLIED_AT === undefined || columns.REPLY_SNIPPET === undefined) {
+    logger.warn('Add "Replied At" and "Reply Snippet" columns to the sheet to record when and what users replied');
+  }
+  logger.info(`Found ${tracked.length} Sent or Replied row(s)${selected.length < tracked.length ? `, checking ${selected.length}` : ''}`);
+  if (options.dryRun) {
+    selected.forEach((row, index) => logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex})`));
+    return counts;
+  }
+  if (selected.length === 0) {
+    return counts;
+  }
+
+  const browser = await ensureBrowser(session);
+  for (const row of selected) {
+    const page = await browser.newPage();
+    try {
+      const { thread } = await openThread(page, row.username);
+      const reply = findReply(thread, row.dateSent);
+      const optOut = findOptOut(getReplies(thread, row.dateSent).map(message => message.text), phrases);
+      const isNewReply = reply && resolveStatus(row.status) === LEAD_STATUSES.SENT;
+
+      const values = {};
+      if (isNewReply) {
+        counts.replied++;
+        counts.funnel.replied++;
+        if (columns.REPLIED_AT !== undefined) {
+          values.REPLIED_AT = reply.repliedAt || new Date().toISOString();
+        }
+        if (columns.REPLY_SNIPPET !== undefined) {
+          values.REPLY_SNIPPET = reply.snippet;
+        }
+      }
+
+      if (optOut) {
+        counts.optedOut++;
+        await recordOptOut(row, optOut, values);
+        logger.warn(`${row.username} (row ${row.rowIndex}): asked not to be contacted ("${optOut.phrase}") - Status: Opted Out, added to the suppression list`);
+      } else if (isNewReply) {
+        await updateRowFields(row.rowIndex, { ...values, STATUS: LEAD_STATUSES.REPLIED }, { username: row.username });
+        logger.success(`${row.username} (row ${row.rowIndex}): replied "${reply.snippet}" - Status: Replied`);
+      } else if (!reply) {
+        counts.waiting++;
+        logger.info(`${row.username} (row ${row.rowIndex}): no reply yet`);
+      }
+    } catch (error) {
+      counts.failed++;
+      logger.error(`${row.username} (row ${row.rowIndex}): could not check the thread (${error.message})`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+    await humanDelay(2000, 4000);
+  }
+
+  await flushWrites();
+  return counts;
+}
+
+module.exports = {
+  REPLY_SNIPPET_LENGTH,
+  getReplies,
+  findReply,
+  countReplyFunnel,
+  recordOptOut,
+  trackReplies,
+};
+
+// Run standalone: node trackReplies.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]
+if (require.main === module) {
+  const argValue = flag => {
+    const index = process.argv.indexOf(flag);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+
+  const dryRun = process.argv.includes('--dry-run');
+  const limitRaw = argValue('--limit');
+  const limit = limitRaw === undefined ? undefined : Number(limitRaw);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    logger.error('Usage: node trackReplies.js [--campaign <name,...|all>] [--limit <n>] [--dry-run]');
+    process.exit(1);
+  }
+
+  process.on('SIGINT', async () => {
+    logger.warn('Received SIGINT - flushing queued sheet updates before exit...');
+    await flushWrites().catch(error => logger.error(`Failed to flush queued sheet updates: ${error.message}`));
+    process.exit(0);
+  });
+
+  const session = { browser: null };
+  (async () => {
+    const names = parseCampaignArgs(process.argv);
+    const campaigns = names.length === 0 ? [DEFAULT_CAMPAIGN] : selectCampaigns(loadCampaigns(), names);
+    logger.section(dryRun ? 'Reply Tracking (DRY RUN - no browser or sheet updates)' : 'Reply Tracking');
+
+    const totals = { checked: 0, replied: 0, optedOut: 0, waiting: 0, failed: 0, sent: 0, repliedTotal: 0 };
+    for (const campaign of campaigns) {
+      if (campaign !== DEFAULT_CAMPAIGN) {
+        logger.section(`Campaign: ${campaign.name}`);
+      }
+      const counts = await withCampaignEnv(campaign, async () => {
+        validateEnv();
+        return trackReplies(session, { limit, dryRun });
+      });
+      ['checked', 'replied', 'optedOut', 'waiting', 'failed'].forEach(key => { totals[key] += counts[key]; });
+      totals.sent += counts.funnel.sent;
+      totals.repliedTotal += counts.funnel.replied;
+    }
+
+    logger.section('Reply Summary');
+    logger.info(`Sent and Replied rows checked: ${totals.checked}`);
+    if (!dryRun) {
+      logger.success(`New replies: ${totals.replied}`);
+      logger.warn(`Opted out (suppressed in every campaign): ${totals.optedOut}`);
+      logger.info(`No reply yet: ${totals.waiting}`);
+      logger.error(`Could not check: ${totals.failed}`);
+    }
+    const rate = totals.sent > 0 ? ((totals.repliedTotal / totals.sent) * 100).toFixed(1) : '0.0';
+    logger.info(`Funnel: ${totals.sent} sent, ${totals.repliedTotal} replied (${rate}% reply rate)`);
+    logger.success(dryRun ? 'Dry run completed successfully' : 'Reply tracking completed');
+  })()
+    .catch(error => {
+      logger.error(`Reply tracking failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      if (session.browser) {
+        await session.browser.close().catch(() => {});
+      }
+    });
+}
@@ -0,0 +1,95 @@
+// usernameUtils.js
+// Canonicalizes and validates Instagram usernames from handles and profile URLs
+
+/**
+ * Maximum Instagram username length
+ */
+const MAX_USERNAME_LENGTH = 30;
+
+/**
+ * Allowed username characters: letters, digits, periods and underscores
+ */
+const USERNAME_CHARSET = /^[a-z0-9._]+$/;
+
+/**
+ * Reduces a handle or profile URL to a bare lowercase username.
+ * Accepts forms such as "@Name", "instagram.com/name", "https://www.instagram.com/name/?hl=en"
+ * and "instagram.com/stories/name/123". The result is not validated; see validateUsername().
+ *
+ * @param {string} raw - Handle, username or profile URL
+ * @returns {string} Canonical username candidate (may be empty)
+ */
+function canonicalizeUsername(raw) {
+  let value = String(raw || '').trim();
+
+  // Strip a profile URL down to its path
+  const urlMatch = /^(?:https?:\/\/)?(?:(?:www|m)\.)?instagram\.com\/?(.*)$/i.exec(value);
+  if (urlMatch) {
+    value = urlMatch[1];
+  }
+
+  // Drop query string and fragment, then surrounding slashes
+  value = value.split(/[?#]/)[0].replace(/^\/+|\/+$/g, '');
+
+  if (urlMatch) {
+    const segments = value.split('/');
+    // Story links carry the username as the second segment
+    value = segments[0].toLowerCase() === 'stories' ? (segments[1] || '') : segments.join('/');
+  }
+
+  return value.replace(/^@+/, '').trim().toLowerCase();
+}
+
+/**
+ * Checks a canonical username against Instagram's username rules.
+ *
+ * @param {string} username - Canonical username (see canonicalizeUsername)
+ * @returns {string|null} Reason the username is invalid, or null if it is valid
+ */
+function validateUsername(username) {
+  if (!username) {
+    return 'empty username';
+  }
+
+  if (username.length > MAX_USERNAME_LENGTH) {
+    return `longer than ${MAX_USERNAME_LENGTH} characters`;
+  }
+
+  // Post, reel and other non-profile links keep their full path
+  if (username.includes('/')) {
+    return 'not a profile link';
+  }
+
+  if (!USERNAME_CHARSET.test(username)) {
+    return 'contains characters other than letters, digits, periods and underscores';
+  }
+
+  if (username.startsWith('.') || username.endsWith('.')) {
+    return 'starts or ends with a period';
+  }
+
+  if (username.includes('..')) {
+    return 'contains consecutive periods';
+  }
+
+  return null;
+}
+
+/**
+ * Canonicalizes and validates a handle or profile URL in one step.
+ *
+ * @param {string} raw - Handle, username or profile URL
+ * @returns {{ username: string, valid: boolean, reason: string|null }} Canonical username and validity
+ */
+function parseUsername(raw) {
+  const username = canonicalizeUsername(raw);
+  const reason = validateUsername(username);
+  return { username, valid: reason === null, reason };
+}
+
+module.exports = {
+  MAX_USERNAME_LENGTH,
+  canonicalizeUsername,
+  validateUsername,
+  parseUsername,
+};
@@ -102,4 +102,62 @@ async function waitForNewFollowers(page, followerSelector, prevCount, timeout =
   return false;
 }
 
-module.exports = { ts, humanDelay, performScroll, waitForNewFollowers };
\ No newline at end of file
+/**
+ * HTTP statuses and network error codes worth retrying (rate limits, server
+ * errors and dropped connections).
+ */
+const TRANSIENT_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Returns true if an error looks transient (429/5xx/network) and is worth retrying.
+ * @param {Error} error - Error thrown by an API call (may carry status or code)
+ */
+function isTransientError(error) {
+  if (!error) return false;
+
+  const status = Number(error.status || (error.response && error.response.status) || error.code);
+  if (TRANSIENT_HTTP_STATUSES.includes(status)) return true;
+
+  if (typeof error.code === 'string' && TRANSIENT_NETWORK_CODES.includes(error.code)) return true;
+
+  return /socket hang up|network|timed? ?out/i.test(error.message || '');
+}
+
+/**
+ * Runs an async function, retrying with exponential backoff while the error is transient.
+ * @param {Function} fn - Async function to run
+ * @param {object} options
+ * @param {number} [options.retries] - Retries after the first attempt (default 4)
+ * @param {number} [options.baseDelayMs] - Delay before the first retry, doubled each time (default 1000)
+ * @param {number} [options.maxDelayMs] - Upper bound for a single delay (default 30000)
+ * @param {Function} [options.shouldRetry] - (error) => boolean, defaults to isTransientError
+ * @param {Function} [options.onRetry] - (error, attempt, delayMs) => void, called before each retry
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    shouldRetry = isTransientError,
+    onRetry = null,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      // Exponential backoff with up to 25% jitter
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay = Math.floor(backoff * (1 + Math.random() * 0.25));
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = { ts, humanDelay, performScroll, waitForNewFollowers, isTransientError, retryWithBackoff };
\ No newline at end of file
@@ -0,0 +1,114 @@
+// variantReport.js
+// Compares drafted, sent and replied counts per message variant (Variant column)
+//
+// Usage: node variantReport.js [--campaign <name,...|all>]
+require('dotenv').config();
+const { validateEnv } = require('./envValidator');
+const { loadDatabaseRows, getColumnMap } = require('./sheetsManager');
+const { LEAD_STATUSES, resolveStatus } = require('./leadStatus');
+const { DEFAULT_CAMPAIGN, loadCampaigns, parseCampaignArgs, selectCampaigns, withCampaignEnv } = require('./campaigns');
+const logger = require('./logger');
+
+/**
+ * Statuses of rows whose message went out (an opt-out is a reply to a sent message)
+ */
+const SENT_STATUSES = [LEAD_STATUSES.SENT, LEAD_STATUSES.REPLIED, LEAD_STATUSES.OPTED_OUT];
+
+/**
+ * Statuses of rows that replied
+ */
+const REPLIED_STATUSES = [LEAD_STATUSES.REPLIED, LEAD_STATUSES.OPTED_OUT];
+
+/**
+ * Counts the outcome of every variant: rows drafted with it (any row with
+ * the variant ID), sent, replied and opted out.
+ *
+ * @param {Array<Object>} rows - Rows from loadDatabaseRows
+ * @param {Object<string, Object>} [totals] - Counts to add to, keyed by variant ID
+ * @returns {Object<string, { drafted: number, sent: number, replied: number, optedOut: number }>}
+ *   Counts keyed by variant ID
+ */
+function countVariantOutcomes(rows, totals = {}) {
+  rows.forEach(row => {
+    if (!row.variant) {
+      return;
+    }
+    const counts = totals[row.variant] || (totals[row.variant] = { drafted: 0, sent: 0, replied: 0, optedOut: 0 });
+    const status = resolveStatus(row.status);
+    counts.drafted++;
+    if (SENT_STATUSES.includes(status)) {
+      counts.sent++;
+    }
+    if (REPLIED_STATUSES.includes(status)) {
+      counts.replied++;
+    }
+    if (status === LEAD_STATUSES.OPTED_OUT) {
+      counts.optedOut++;
+    }
+  });
+  return totals;
+}
+
+/**
+ * Formats a rate as a percentage with one decimal.
+ *
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {string} e.g. "42.5%" ("-" when whole is 0)
+ */
+function formatRate(part, whole) {
+  return whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '-';
+}
+
+module.exports = {
+  countVariantOutcomes,
+};
+
+// Run standalone: node variantReport.js [--campaign <name,...|all>]
+if (require.main === module) {
+  (async () => {
+    const names = parseCampaignArgs(process.argv);
+    const campaigns = names.length === 0 ? [DEFAULT_CAMPAIGN] : selectCampaigns(loadCampaigns(), names);
+    logger.section('Message Variant Report');
+
+    const totals = {};
+    const configured = [];
+    for (const campaign of campaigns) {
+      await withCampaignEnv(campaign, async () => {
+        const config = validateEnv();
+        (config.variants || []).forEach(({ id }) => {
+          if (!configured.includes(id)) {
+            configured.push(id);
+          }
+        });
+        const rows = await loadDatabaseRows();
+        const { columns } = await getColumnMap();
+        if (columns.VARIANT === undefined) {
+          logger.warn(`${campaign === DEFAULT_CAMPAIGN ? 'Sheet' : `Campaign "${campaign.name}"`} has no "Variant" column - nothing to report`);
+          return;
+        }
+        countVariantOutcomes(rows, totals);
+      });
+    }
+
+    // Configured variants first (in file order, even with no rows yet), then retired ones
+    const ids = [...configured, ...Object.keys(totals).filter(id => !configured.includes(id)).sort()];
+    if (ids.length === 0) {
+      logger.info('No rows have a variant yet');
+      return;
+    }
+
+    ids.forEach(id => {
+      const { drafted, sent, replied, optedOut } = totals[id] || { drafted: 0, sent: 0, replied: 0, optedOut: 0 };
+      logger.info(
+        `${id}: ${drafted} drafted, ${sent} sent (${formatRate(sent, drafted)} of drafted), ` +
+        `${replied} replied (${formatRate(replied, sent)} of sent), ${optedOut} opted out`
+      );
+    });
+    logger.success('Variant report completed');
+  })()
+    .catch(error => {
+      logger.error(`Variant report failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
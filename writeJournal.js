@@ -0,0 +1,102 @@
+// writeJournal.js
+// Local write-ahead journal for row updates that could not be written to storage
+require('dotenv').config();
+const fs = require('fs');
+
+/**
+ * Returns the journal file path (WRITE_JOURNAL_PATH, defaults to ./pending-writes.jsonl).
+ *
+ * @returns {string} Journal file path
+ */
+function getJournalPath() {
+  return process.env.WRITE_JOURNAL_PATH || './pending-writes.jsonl';
+}
+
+/**
+ * Appends failed row updates to the journal, one JSON object per line.
+ * Values are keyed by column key (e.g. STATUS, MESSAGE) and re-mapped through
+ * the column map on replay, so they still land in the right cells if the
+ * sheet's columns are reordered in between.
+ *
+ * @param {Array<{ rowIndex: number, values: Object<string, string> }>} entries - Updates with values keyed by column key
+ * @param {string} reason - Error message explaining why the write failed
+ * @throws {Error} If the journal file cannot be written
+ */
+function appendToJournal(entries, reason) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const failedAt = new Date().toISOString();
+  const lines = entries
+    .map(entry => JSON.stringify({ ...entry, failedAt, reason }))
+    .join('\n') + '\n';
+
+  try {
+    fs.appendFileSync(getJournalPath(), lines, 'utf8');
+  } catch (writeError) {
+    throw new Error(`Failed to write update journal at ${getJournalPath()}: ${writeError.message}`);
+  }
+}
+
+/**
+ * Reads every journaled update, oldest first. Unparseable lines are skipped.
+ *
+ * @returns {Array<Object>} Journal entries ({ rowIndex, values, storage, failedAt, reason })
+ * @throws {Error} If the journal file exists but cannot be read
+ */
+function readJournal() {
+  const journalPath = getJournalPath();
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(journalPath, 'utf8');
+  } catch (readError) {
+    throw new Error(`Failed to read update journal at ${journalPath}: ${readError.message}`);
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (parseError) {
+      // A partially written line (e.g. crash mid-append) cannot be replayed
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Replaces the journal contents with the given entries (removes the file when empty).
+ *
+ * @param {Array<Object>} entries - Entries that are still pending
+ * @throws {Error} If the journal file cannot be written
+ */
+function rewriteJournal(entries) {
+  const journalPath = getJournalPath();
+
+  try {
+    if (entries.length === 0) {
+      if (fs.existsSync(journalPath)) {
+        fs.unlinkSync(journalPath);
+      }
+      return;
+    }
+
+    fs.writeFileSync(journalPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+  } catch (writeError) {
+    throw new Error(`Failed to rewrite update journal at ${journalPath}: ${writeError.message}`);
+  }
+}
+
+module.exports = {
+  getJournalPath,
+  appendToJournal,
+  readJournal,
+  rewriteJournal,
+};
@@ -0,0 +1,101 @@
+// writeQueue.js
+// Coalesces row updates and flushes them to storage in batches
+const logger = require('./logger');
+
+/**
+ * Creates a write queue that merges updates per row and hands them to
+ * `flushFn` in batches. A flush is triggered when `maxSize` distinct rows
+ * are pending, when `flushIntervalMs` has elapsed since the first queued
+ * update, or explicitly via flush() (e.g. at shutdown).
+ *
+ * @param {Object} options
+ * @param {Function} options.flushFn - async (updates: Array<{ rowIndex, values, ...meta }>) => void
+ * @param {number} [options.maxSize] - Pending row count that triggers a flush (default 20)
+ * @param {number} [options.flushIntervalMs] - Max time an update waits before flushing (default 5000)
+ * @returns {Object} Queue with enqueue(rowIndex, values, meta), flush() and size()
+ */
+function createWriteQueue({ flushFn, maxSize = 20, flushIntervalMs = 5000 }) {
+  // rowIndex -> { values, meta } merged per row, in first-queued order
+  let pending = new Map();
+  let timer = null;
+  let inFlight = Promise.resolve();
+
+  function clearTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Sends every pending update in one batch. Flushes are serialized so a
+   * timer flush and an explicit flush never write concurrently.
+   *
+   * @returns {Promise<number>} Number of rows written
+   * @throws {Error} If the batch write fails
+   */
+  function flush() {
+    clearTimer();
+
+    const run = inFlight.then(async () => {
+      if (pending.size === 0) {
+        return 0;
+      }
+
+      const batch = Array.from(pending, ([rowIndex, { values, meta }]) => ({ ...meta, rowIndex, values }));
+      pending = new Map();
+
+      await flushFn(batch);
+      return batch.length;
+    });
+
+    // Keep the chain alive even if this flush fails
+    inFlight = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Flush triggered by size or time: errors are logged instead of thrown,
+   * since no caller is awaiting it.
+   */
+  function backgroundFlush(reason) {
+    flush().catch(error => {
+      logger.error(`Batched write (${reason}) failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Queues values for a row, merging with any pending update of the same row
+   * (later values win).
+   *
+   * @param {number} rowIndex - 1-based row index
+   * @param {Object<string, string>} values - Values to write, keyed by column
+   * @param {Object} [meta] - Extra fields passed through to flushFn (e.g. expected username)
+   */
+  function enqueue(rowIndex, values, meta = {}) {
+    const existing = pending.get(rowIndex) || { values: {}, meta: {} };
+    pending.set(rowIndex, {
+      values: { ...existing.values, ...values },
+      meta: { ...existing.meta, ...meta },
+    });
+
+    if (pending.size >= maxSize) {
+      backgroundFlush('size threshold');
+    } else if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        backgroundFlush('time threshold');
+      }, flushIntervalMs);
+    }
+  }
+
+  return {
+    enqueue,
+    flush,
+    size: () => pending.size,
+  };
+}
+
+module.exports = {
+  createWriteQueue,
+};